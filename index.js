@@ -4,6 +4,9 @@ const helmet = require('helmet');
 const fs = require('fs');
 const path = require('path');
 const { StandardLogger, latencyMiddleware } = require('./utils/logger');
+const { ResilientHttpClient, breakerMetricsCollector } = require('./utils/resilience');
+const { metrics, renderPrometheus, PROMETHEUS_CONTENT_TYPE } = require('./utils/metrics');
+const { propagationHeaders } = require('./utils/request-context');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -19,6 +22,13 @@ app.use(cors());
 app.use(express.json());
 app.use(latencyMiddleware(logger, 'GATEWAY'));
 
+// Circuit breaker por microservicio; solo se reintentan las peticiones idempotentes
+const upstream = new ResilientHttpClient({
+    logger,
+    api: 'GATEWAY',
+    timeoutMs: parseInt(process.env.GATEWAY_TIMEOUT_MS) || 30000
+});
+
 const MICROSERVICES = {
     SEARCH_API: process.env.SEARCH_API_URL || 'http://localhost:3001',
     STATS_API: process.env.STATS_API_URL || 'http://localhost:3002',
@@ -26,6 +36,13 @@ const MICROSERVICES = {
     POKE_API: process.env.POKE_API_URL || 'http://localhost:3004'
 };
 
+// search-api ya reintenta cada llamada a los servicios que combina: si el gateway también reintentara,
+// un fallo de poke-api se convertiría en (intentos del gateway x intentos de search-api) llamadas
+const SERVICES_WITH_OWN_RETRIES = ['SEARCH_API'];
+
+Object.keys(MICROSERVICES).forEach(serviceName => upstream.getBreaker(serviceName));
+metrics.addCollector(breakerMetricsCollector(upstream));
+
 app.get('/', (req, res) => {
     logger.logApiCall('GATEWAY', 'ROOT_INFO', 'Gateway info requested');
     
@@ -35,9 +52,24 @@ app.get('/', (req, res) => {
         description: 'Central gateway for Pokemon microservices architecture',
         endpoints: {
             search: '/poke/search?pokemon_name={name}',
+            search_batch: 'POST /poke/search/batch',
             pokemon_data: '/api/pokemon/{name}',
+            pokemon_species: '/api/pokemon/{name}/species',
+            pokemon_evolution: '/api/pokemon/{name}/evolution',
+            moves: '/api/moves/{name}',
+            types: '/api/types/{name}',
             stats: '/api/stats/{name}',
+            stats_compare: '/api/stats/compare?names={name},{name}',
+            stats_query: '/api/stats?filter={expr}&type={type}&sort={keys}',
+            stats_leaderboard: '/api/stats/leaderboard/{stat}',
+            stats_summary: '/api/stats/summary?by={generation|type|legendary}',
+            stats_similar: '/api/stats/{name}/similar?k={k}&metric={euclidean|manhattan|cosine}',
+            type_matchup: '/api/matchup/types?types={type1},{type2}',
+            matchup: '/api/matchup?attacker={name}&defender={name}',
+            team_analysis: 'POST /api/teams/analyze',
+            battle_simulate: 'POST /api/battle/simulate',
             images: '/api/images/{name}',
+            image_raw: '/api/images/{name}/{type}/raw?width={px}&format={png|webp|jpeg|avif}',
             health: '/health',
             status: '/status'
         },
@@ -49,9 +81,23 @@ app.get('/', (req, res) => {
         },
         documentation: {
             search_example: '/poke/search?pokemon_name=pikachu',
+            search_batch_example: 'POST /poke/search/batch {"names": ["pikachu", "charizard"]}',
             pokemon_example: '/api/pokemon/charizard',
+            evolution_example: '/api/pokemon/charmander/evolution',
+            move_example: '/api/moves/thunderbolt',
+            type_example: '/api/types/electric',
             stats_example: '/api/stats/bulbasaur',
-            images_example: '/api/images/squirtle'
+            stats_compare_example: '/api/stats/compare?names=pikachu,charizard&radar=true',
+            stats_query_example: '/api/stats?filter=speed>=100,total:500..600&type=fire&sort=-speed,name',
+            stats_leaderboard_example: '/api/stats/leaderboard/sp_attack?limit=10',
+            stats_summary_example: '/api/stats/summary?by=type&bins=10',
+            stats_similar_example: '/api/stats/pikachu/similar?k=5&metric=cosine&same_type=true',
+            type_matchup_example: '/api/matchup/types?types=fire,flying',
+            matchup_example: '/api/matchup?attacker=pikachu&defender=squirtle',
+            team_analysis_example: 'POST /api/teams/analyze {"pokemon": ["pikachu", "charizard", "bulbasaur"]}',
+            battle_simulate_example: 'POST /api/battle/simulate {"attacker": {"name": "pikachu"}, "defender": {"name": "squirtle"}, "move": {"power": 90, "type": "electric"}, "seed": "demo"}',
+            images_example: '/api/images/squirtle',
+            image_raw_example: '/api/images/pikachu/official_artwork/raw?width=128&format=webp'
         },
         timestamp: new Date().toISOString()
     });
@@ -59,13 +105,19 @@ app.get('/', (req, res) => {
 
 app.use('/poke/search', createProxy('SEARCH_API', '/poke/search'));
 app.use('/api/pokemon', createProxy('POKE_API', '/api/pokemon'));
+app.use('/api/moves', createProxy('POKE_API', '/api/moves'));
+app.use('/api/types', createProxy('POKE_API', '/api/types'));
 app.use('/api/stats', createProxy('STATS_API', '/api/stats'));
+app.use('/api/matchup', createProxy('STATS_API', '/api/matchup'));
+app.use('/api/teams', createProxy('STATS_API', '/api/teams'));
+app.use('/api/battle', createProxy('STATS_API', '/api/battle'));
+app.get('/api/images/:pokemonName/:type/raw', createBinaryProxy('IMAGES_API', '/api/images'));
 app.use('/api/images', createProxy('IMAGES_API', '/api/images'));
 
 function createProxy(serviceName, basePath) {
     return async (req, res, next) => {
-        const axios = require('axios');
         const functionName = 'PROXY_REQUEST';
+        res.locals.metricsRoute = `${basePath}/*`;
         
         try {
             const serviceUrl = MICROSERVICES[serviceName];
@@ -79,18 +131,24 @@ function createProxy(serviceName, basePath) {
             });
 
             const startTime = Date.now();
-            
-            const response = await axios({
+
+            // express.json() solo consume los JSON: cualquier otro body (p. ej. la subida multipart de
+            // /api/stats/load-csv) se reenvía en streaming con su content-type y su longitud originales
+            const streamBody = Boolean(req.is('*/*')) && !req.is('json');
+
+            const response = await upstream.request(serviceName, {
                 method: req.method,
                 url: targetUrl,
-                data: req.body,
-                params: req.query,
+                data: streamBody ? req : req.body,
+                maxBodyLength: Infinity,
                 headers: {
                     ...req.headers,
-                    host: undefined 
-                },
-                timeout: 30000
-            });
+                    host: undefined,
+                    // El JSON se vuelve a serializar, la longitud original ya no aplica
+                    'content-length': streamBody ? req.headers['content-length'] : undefined,
+                    ...propagationHeaders()
+                }
+            }, SERVICES_WITH_OWN_RETRIES.includes(serviceName) ? { retries: 0 } : {});
 
             const endTime = Date.now();
             const latency = endTime - startTime;
@@ -105,28 +163,91 @@ function createProxy(serviceName, basePath) {
             res.status(response.status).json(response.data);
 
         } catch (error) {
-            const errorMessage = error.response 
-                ? `Service error: ${error.response.status} - ${error.response.statusText}`
-                : `Network error: ${error.message}`;
+            sendProxyError(res, serviceName, functionName, error);
+        }
+    };
+}
+
+// Respuestas binarias (imágenes de /raw): se reenvían los bytes y las cabeceras de caché tal cual,
+// incluido el 304 de una petición condicional
+const BINARY_REQUEST_HEADERS = ['accept', 'if-none-match', 'if-modified-since'];
+const BINARY_RESPONSE_HEADERS = ['content-type', 'etag', 'last-modified', 'cache-control', 'x-image-cache', 'cross-origin-resource-policy'];
 
-            logger.logApiError('GATEWAY', functionName, `Proxy request failed for ${serviceName}`, error, {
+function createBinaryProxy(serviceName, basePath) {
+    return async (req, res) => {
+        const functionName = 'PROXY_BINARY_REQUEST';
+        res.locals.metricsRoute = `${basePath}/*`;
+
+        try {
+            const targetUrl = `${MICROSERVICES[serviceName]}${req.originalUrl}`;
+
+            logger.logApiCall('GATEWAY', functionName, `Proxying binary request to ${serviceName}`, {
                 service: serviceName,
-                error_status: error.response?.status,
-                error_code: error.code,
-                target_url: error.config?.url
+                target_url: targetUrl
+            });
+
+            const response = await upstream.request(serviceName, {
+                method: 'GET',
+                url: targetUrl,
+                responseType: 'arraybuffer',
+                validateStatus: status => (status >= 200 && status < 300) || status === 304,
+                headers: {
+                    ...Object.fromEntries(BINARY_REQUEST_HEADERS.filter(header => req.headers[header]).map(header => [header, req.headers[header]])),
+                    ...propagationHeaders()
+                }
+            });
+
+            BINARY_RESPONSE_HEADERS.forEach(header => {
+                if (response.headers[header]) {
+                    res.set(header, response.headers[header]);
+                }
             });
 
-            const statusCode = error.response?.status || 503;
-            res.status(statusCode).json({
-                error: 'Service unavailable',
+            logger.logApiCall('GATEWAY', functionName, `Binary proxy request completed for ${serviceName}`, {
                 service: serviceName,
-                message: errorMessage,
-                timestamp: new Date().toISOString()
+                status_code: response.status,
+                response_size: response.data.length
             });
+
+            if (response.status === 304) {
+                return res.status(304).end();
+            }
+            res.status(response.status).send(Buffer.from(response.data));
+
+        } catch (error) {
+            sendProxyError(res, serviceName, functionName, error);
         }
     };
 }
 
+function sendProxyError(res, serviceName, functionName, error) {
+    let errorMessage = error.response 
+        ? `Service error: ${error.response.status} - ${error.response.statusText}`
+        : `Network error: ${error.message}`;
+
+    if (error.code === 'ECIRCUITOPEN') {
+        errorMessage = error.message;
+        res.set('Retry-After', String(Math.ceil(error.retryAfterMs / 1000)));
+    }
+
+    logger.logApiError('GATEWAY', functionName, `Proxy request failed for ${serviceName}`, error, {
+        service: serviceName,
+        error_status: error.response?.status,
+        error_code: error.code,
+        attempts: error.attempts,
+        circuit_breaker: upstream.getBreaker(serviceName).state,
+        target_url: error.config?.url
+    });
+
+    const statusCode = error.response?.status || 503;
+    res.status(statusCode).json({
+        error: 'Service unavailable',
+        service: serviceName,
+        message: errorMessage,
+        timestamp: new Date().toISOString()
+    });
+}
+
 app.get('/status', async (req, res) => {
     const functionName = 'HEALTH_STATUS';
     const axios = require('axios');
@@ -139,6 +260,7 @@ app.get('/status', async (req, res) => {
             status: 'healthy',
             uptime: process.uptime(),
             memory: process.memoryUsage(),
+            circuit_breakers: upstream.snapshot(),
             timestamp: new Date().toISOString()
         },
         microservices: {}
@@ -151,6 +273,7 @@ app.get('/status', async (req, res) => {
             status.microservices[serviceName.toLowerCase()] = {
                 status: 'healthy',
                 url: serviceUrl,
+                circuit_breaker: upstream.getBreaker(serviceName).state,
                 response_time: response.headers['x-response-time'] || 'unknown',
                 data: response.data
             };
@@ -158,6 +281,7 @@ app.get('/status', async (req, res) => {
             status.microservices[serviceName.toLowerCase()] = {
                 status: 'unhealthy',
                 url: serviceUrl,
+                circuit_breaker: upstream.getBreaker(serviceName).state,
                 error: error.message,
                 error_code: error.code
             };
@@ -187,25 +311,63 @@ app.get('/status', async (req, res) => {
 
 app.get('/metrics', async (req, res) => {
     const functionName = 'GET_METRICS';
+    const axios = require('axios');
     
     try {
-        logger.logApiCall('GATEWAY', functionName, 'Collecting metrics from all services');
+        logger.logApiCall('GATEWAY', functionName, 'Collecting metrics from all services', {
+            format: req.query.format || 'prometheus'
+        });
 
-        const metrics = {
+        const microservices = {};
+        const downstreamSnapshots = [];
+
+        await Promise.all(Object.entries(MICROSERVICES).map(async ([serviceName, serviceUrl]) => {
+            try {
+                const response = await axios.get(`${serviceUrl}/metrics`, {
+                    params: { format: 'json' },
+                    timeout: 5000
+                });
+                microservices[serviceName.toLowerCase()] = response.data;
+                downstreamSnapshots.push(response.data);
+                metrics.setGauge('microservice_up', 'Whether the gateway could scrape the microservice metrics', { target: serviceName }, 1);
+            } catch (error) {
+                microservices[serviceName.toLowerCase()] = {
+                    status: 'unavailable',
+                    error: error.message,
+                    error_code: error.code
+                };
+                metrics.setGauge('microservice_up', 'Whether the gateway could scrape the microservice metrics', { target: serviceName }, 0);
+                logger.logApiWarning('GATEWAY', functionName, `Could not collect metrics from ${serviceName}`, {
+                    service: serviceName,
+                    error: error.message
+                });
+            }
+        }));
+
+        const gatewaySnapshot = metrics.snapshot();
+
+        logger.logApiCall('GATEWAY', functionName, 'Metrics collected successfully', {
+            services_scraped: downstreamSnapshots.length,
+            total_services: Object.keys(MICROSERVICES).length
+        });
+
+        if (req.query.format !== 'json') {
+            return res.type(PROMETHEUS_CONTENT_TYPE).send(renderPrometheus([gatewaySnapshot, ...downstreamSnapshots]));
+        }
+
+        res.json({
             gateway: {
                 uptime_seconds: process.uptime(),
                 memory_usage: process.memoryUsage(),
                 cpu_usage: process.cpuUsage(),
                 node_version: process.version,
-                platform: process.platform
+                platform: process.platform,
+                circuit_breakers: upstream.snapshot(),
+                http: gatewaySnapshot
             },
-            microservices: {},
+            microservices,
             timestamp: new Date().toISOString()
-        };
-
-
-        logger.logApiCall('GATEWAY', functionName, 'Metrics collected successfully');
-        res.json(metrics);
+        });
 
     } catch (error) {
         logger.logApiError('GATEWAY', functionName, 'Failed to collect metrics', error);
@@ -293,9 +455,23 @@ app.use('*', (req, res) => {
         url: req.originalUrl,
         available_endpoints: [
             '/poke/search?pokemon_name={name}',
+            'POST /poke/search/batch',
             '/api/pokemon/{name}',
+            '/api/pokemon/{name}/species',
+            '/api/pokemon/{name}/evolution',
+            '/api/moves/{name}',
+            '/api/types/{name}',
             '/api/stats/{name}',
+            '/api/stats/compare?names={names}',
+            '/api/stats/leaderboard/{stat}',
+            '/api/stats/summary',
+            '/api/stats/{name}/similar',
+            '/api/matchup/types?types={types}',
+            '/api/matchup?attacker={name}&defender={name}',
+            'POST /api/teams/analyze',
+            'POST /api/battle/simulate',
             '/api/images/{name}',
+            '/api/images/{name}/{type}/raw',
             '/health',
             '/status',
             '/metrics'
@@ -314,7 +490,7 @@ process.on('SIGINT', () => {
     process.exit(0);
 });
 
-app.listen(PORT, () => {
+function onListening() {
     logger.logApiCall('GATEWAY', 'SERVER_START', `Gateway server running on port ${PORT}`, {
         port: PORT,
         environment: process.env.NODE_ENV || 'development',
@@ -340,6 +516,11 @@ app.listen(PORT, () => {
    • Stats API: ${MICROSERVICES.STATS_API}
    • Images API: ${MICROSERVICES.IMAGES_API}
     `);
-});
+}
+
+// Solo escucha al ejecutarse directamente; los tests importan la app y abren su propio puerto
+if (require.main === module) {
+    app.listen(PORT, onListening);
+}
 
-module.exports = app;
\ No newline at end of file
+module.exports = app;
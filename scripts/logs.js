@@ -0,0 +1,429 @@
+#!/usr/bin/env node
+// Consulta los logs de StandardLogger (formato text o json, incluidos los archivos rotados)
+//
+//   npm run logs -- query --service search_api --level error --since 1h
+//   npm run logs -- query --request-id 8aaad0a2-81e6-4a8b-9197-eeaf9f1d1168
+//   npm run logs -- latency --service stats_api --since 2025-05-31T19:00
+//   npm run logs -- migrate
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const DEFAULT_LOGS_DIR = process.env.LOGS_DIR ? path.resolve(process.env.LOGS_DIR) : path.join(__dirname, '../logs');
+const LEVELS = ['error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly'];
+const PERCENTILES = [50, 90, 95, 99];
+
+const TEXT_LINE = /^(\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}\.\d{3}) \[([^\]]+)\] (\w+): ([\s\S]*)$/;
+// Inicio de una entrada: línea de texto con marca de tiempo o un objeto JSON
+const ENTRY_START = /^(\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}\.\d{3} \[|\{")/;
+const API_PREFIX = /^\[([^\]]+)\]\[([^\]]+)\] (?:(?:ERROR|WARNING): )?(.*)$/s;
+const DURATION = /^(\d+)(s|m|h|d)$/;
+// <servicio>.log o <servicio>-error.log de antes de la rotación (los rotados llevan fecha)
+const LEGACY_LOG = /^[a-z_]+(-error)?\.log$/;
+const DURATION_MS = { s: 1000, m: 60000, h: 3600000, d: 86400000 };
+
+const USAGE = `Uso: npm run logs -- <query|latency|migrate> [opciones]
+
+Comandos:
+  query               Muestra las entradas que cumplen los filtros, en orden cronológico
+  latency             Percentiles de latencia por [API][FUNCION] (Latency y REQUEST_COMPLETED)
+  migrate             Renombra los <servicio>.log normales de versiones sin rotación a
+                      <servicio>-legacy.log para que el logger pueda crear el enlace
+
+Filtros:
+  --service <s>       Servicio (gateway, search_api...); se puede repetir o separar por comas
+  --function <f>      Función (POKEMON_SEARCH...); se puede repetir o separar por comas
+  --level <l>         Nivel mínimo: error, warn, info, debug
+  --since <t>         Desde una fecha (2025-05-31T19:00) o hace un tiempo (30s, 15m, 2h, 1d)
+  --until <t>         Hasta una fecha o hace un tiempo
+  --request-id <id>   Solo las entradas de una petición
+  --trace-id <id>     Solo las entradas de una traza
+
+Opciones:
+  --dir <ruta>        Directorio de logs (por defecto LOGS_DIR o logs/)
+  --limit <n>         query: solo las últimas n entradas
+  --json              Salida en JSON (una entrada por línea en query)
+  --help              Muestra esta ayuda`;
+
+function fail(message) {
+    console.error(`Error: ${message}\n\n${USAGE}`);
+    process.exit(1);
+}
+
+function parseArgs(argv) {
+    const options = { command: 'query', services: [], functions: [], dir: DEFAULT_LOGS_DIR, json: false };
+    const multi = { '--service': 'services', '--function': 'functions' };
+    const single = {
+        '--level': 'level',
+        '--since': 'since',
+        '--until': 'until',
+        '--request-id': 'requestId',
+        '--trace-id': 'traceId',
+        '--dir': 'dir',
+        '--limit': 'limit'
+    };
+
+    const args = [...argv];
+    if (args[0] && !args[0].startsWith('--')) {
+        options.command = args.shift();
+    }
+
+    while (args.length > 0) {
+        const arg = args.shift();
+        if (arg === '--help') {
+            console.log(USAGE);
+            process.exit(0);
+        } else if (arg === '--json') {
+            options.json = true;
+        } else if (multi[arg] || single[arg]) {
+            const value = args.shift();
+            if (value === undefined) {
+                fail(`Falta el valor de ${arg}`);
+            }
+            if (multi[arg]) {
+                options[multi[arg]].push(...value.split(',').map(item => item.trim().toLowerCase()).filter(Boolean));
+            } else {
+                options[single[arg]] = value;
+            }
+        } else {
+            fail(`Opción desconocida: ${arg}`);
+        }
+    }
+
+    if (!['query', 'latency', 'migrate'].includes(options.command)) {
+        fail(`Comando desconocido: ${options.command}`);
+    }
+    if (options.level !== undefined) {
+        options.level = options.level.toLowerCase();
+        if (!LEVELS.includes(options.level)) {
+            fail(`Nivel desconocido: ${options.level}`);
+        }
+    }
+    if (options.limit !== undefined) {
+        options.limit = parseInt(options.limit);
+        if (!(options.limit > 0)) {
+            fail('--limit debe ser un entero positivo');
+        }
+    }
+    options.since = parseTime(options.since, '--since');
+    options.until = parseTime(options.until, '--until');
+
+    return options;
+}
+
+// Las marcas de tiempo de los logs están en hora local y sin zona
+function parseTimestamp(timestamp) {
+    return new Date(timestamp.replace(' ', 'T')).getTime();
+}
+
+function parseTime(value, name) {
+    if (value === undefined) {
+        return null;
+    }
+    const duration = DURATION.exec(value);
+    if (duration) {
+        return Date.now() - parseInt(duration[1]) * DURATION_MS[duration[2]];
+    }
+    const time = parseTimestamp(value);
+    if (Number.isNaN(time)) {
+        fail(`${name} no es una fecha ni una duración válida: ${value}`);
+    }
+    return time;
+}
+
+// Los errores ya están en el archivo principal, así que se omiten los -error; el enlace
+// <servicio>.log apunta a un archivo que ya se lee por su nombre real
+function listLogFiles(dir) {
+    let names;
+    try {
+        names = fs.readdirSync(dir);
+    } catch (error) {
+        fail(`No se puede leer el directorio de logs ${dir}: ${error.message}`);
+    }
+
+    return names
+        .filter(name => /\.log(\.\d+)?$/.test(name))
+        .filter(name => !/-error(-|\.log)/.test(name))
+        .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+        .map(name => path.join(dir, name))
+        .filter(file => fs.lstatSync(file).isFile());
+}
+
+function migrateLegacyLogs(dir) {
+    let names;
+    try {
+        names = fs.readdirSync(dir);
+    } catch (error) {
+        fail(`No se puede leer el directorio de logs ${dir}: ${error.message}`);
+    }
+
+    const migrated = names
+        .filter(name => LEGACY_LOG.test(name) && fs.lstatSync(path.join(dir, name)).isFile())
+        .filter(name => {
+            const target = name.replace(/\.log$/, '-legacy.log');
+            if (fs.existsSync(path.join(dir, target))) {
+                console.error(`Se omite ${name}: ya existe ${target}`);
+                return false;
+            }
+            fs.renameSync(path.join(dir, name), path.join(dir, target));
+            console.log(`${name} -> ${target}`);
+            return true;
+        });
+
+    if (migrated.length === 0) {
+        console.log('No hay logs anteriores a la rotación que migrar');
+    }
+}
+
+// El texto termina en " {metadata}"; se prueba desde la primera llave porque el mensaje también puede contenerlas
+function splitMetadata(rest) {
+    for (let index = rest.indexOf(' {'); index !== -1; index = rest.indexOf(' {', index + 1)) {
+        try {
+            return { text: rest.slice(0, index), meta: JSON.parse(rest.slice(index + 1)) };
+        } catch (error) {
+            // Sigue buscando
+        }
+    }
+    return { text: rest.trimEnd(), meta: {} };
+}
+
+function parseLine(line) {
+    if (line.startsWith('{')) {
+        try {
+            const entry = JSON.parse(line);
+            return {
+                timestamp: entry.timestamp,
+                time: parseTimestamp(entry.timestamp),
+                service: String(entry.service || '').toLowerCase(),
+                level: String(entry.level || '').toLowerCase(),
+                api: entry.api,
+                function: entry.function,
+                message: entry.message,
+                meta: entry.meta || {},
+                raw: line
+            };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    const match = TEXT_LINE.exec(line);
+    if (!match) {
+        return null;
+    }
+
+    const { text, meta } = splitMetadata(match[4]);
+    const prefixed = API_PREFIX.exec(text);
+
+    return {
+        timestamp: match[1],
+        time: parseTimestamp(match[1]),
+        service: match[2].toLowerCase(),
+        level: match[3].toLowerCase(),
+        api: prefixed ? prefixed[1] : null,
+        function: prefixed ? prefixed[2] : null,
+        message: prefixed ? prefixed[3] : text,
+        meta,
+        raw: line
+    };
+}
+
+function matchesFilters(entry, options) {
+    if (options.services.length > 0 && !options.services.includes(entry.service)) {
+        return false;
+    }
+    if (options.functions.length > 0 && !options.functions.includes(String(entry.function).toLowerCase())) {
+        return false;
+    }
+    if (options.level && LEVELS.indexOf(entry.level) > LEVELS.indexOf(options.level)) {
+        return false;
+    }
+    if (options.since !== null && entry.time < options.since) {
+        return false;
+    }
+    if (options.until !== null && entry.time > options.until) {
+        return false;
+    }
+    if (options.requestId && entry.meta.request_id !== options.requestId) {
+        return false;
+    }
+    if (options.traceId && entry.meta.trace_id !== options.traceId) {
+        return false;
+    }
+    return true;
+}
+
+// Entradas de un archivo en el orden en que se escribieron. Las líneas que no empiezan una entrada
+// (p. ej. trazas de pila de varias líneas) se añaden a la anterior; las que hay antes de la primera
+// entrada (un archivo partido por tamaño a mitad de una) no tienen a qué asociarse y se omiten
+async function* fileEntries(file, options) {
+    const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+    let block = null;
+
+    for await (const line of lines) {
+        if (!ENTRY_START.test(line)) {
+            if (block !== null) {
+                block += `\n${line}`;
+            }
+            continue;
+        }
+
+        const entry = block === null ? null : parseLine(block);
+        if (entry && matchesFilters(entry, options)) {
+            yield entry;
+        }
+        block = line;
+    }
+
+    const entry = block === null ? null : parseLine(block);
+    if (entry && matchesFilters(entry, options)) {
+        yield entry;
+    }
+}
+
+// Mezcla k archivos ya ordenados sin cargarlos en memoria: en cada paso sale la entrada más antigua
+// de entre la siguiente de cada archivo (en empate, la del archivo anterior). Hay pocos archivos,
+// así que basta una búsqueda lineal del mínimo
+async function* mergeEntries(sources) {
+    const heads = [];
+    for (const [index, source] of sources.entries()) {
+        const next = await source.next();
+        if (!next.done) {
+            heads.push({ index, source, entry: next.value });
+        }
+    }
+
+    while (heads.length > 0) {
+        let min = 0;
+        for (let i = 1; i < heads.length; i++) {
+            const time = heads[i].entry.time;
+            const minTime = heads[min].entry.time;
+            if (time < minTime || (time === minTime && heads[i].index < heads[min].index)) {
+                min = i;
+            }
+        }
+
+        yield heads[min].entry;
+
+        const next = await heads[min].source.next();
+        if (next.done) {
+            heads.splice(min, 1);
+        } else {
+            heads[min].entry = next.value;
+        }
+    }
+}
+
+function latencyOf(entry) {
+    const isLatency = entry.function === 'REQUEST_COMPLETED' || /^Latency: /.test(entry.message);
+    const latency = Number(entry.meta.latency);
+    return isLatency && Number.isFinite(latency) ? latency : null;
+}
+
+// Percentil por rango más cercano sobre valores ordenados
+function percentile(sorted, p) {
+    const rank = Math.ceil((p / 100) * sorted.length);
+    return sorted[Math.max(0, rank - 1)];
+}
+
+function summarizeLatencies(groups) {
+    return Array.from(groups.entries())
+        .map(([key, values]) => {
+            const sorted = values.sort((a, b) => a - b);
+            const summary = {
+                key,
+                count: sorted.length,
+                avg: Math.round((sorted.reduce((sum, value) => sum + value, 0) / sorted.length) * 100) / 100,
+                min: sorted[0],
+                max: sorted[sorted.length - 1]
+            };
+            PERCENTILES.forEach(p => {
+                summary[`p${p}`] = percentile(sorted, p);
+            });
+            return summary;
+        })
+        .sort((a, b) => a.key.localeCompare(b.key));
+}
+
+function printTable(rows) {
+    const columns = ['key', 'count', 'avg', 'min', ...PERCENTILES.map(p => `p${p}`), 'max'];
+    const headers = { key: '[API][FUNCTION]' };
+    const cells = [columns.map(column => headers[column] || column), ...rows.map(row => columns.map(column => String(row[column])))];
+    const widths = columns.map((column, i) => Math.max(...cells.map(cell => cell[i].length)));
+
+    cells.forEach((cell, rowIndex) => {
+        console.log(cell.map((value, i) => (i === 0 ? value.padEnd(widths[i]) : value.padStart(widths[i]))).join('  '));
+        if (rowIndex === 0) {
+            console.log(widths.map(width => '-'.repeat(width)).join('  '));
+        }
+    });
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.command === 'migrate') {
+        migrateLegacyLogs(options.dir);
+        return;
+    }
+
+    const files = listLogFiles(options.dir);
+
+    if (options.command === 'latency') {
+        const groups = new Map();
+        for (const file of files) {
+            for await (const entry of fileEntries(file, options)) {
+                const latency = latencyOf(entry);
+                if (latency === null) {
+                    continue;
+                }
+                const key = `[${entry.api}][${entry.function}]`;
+                if (!groups.has(key)) {
+                    groups.set(key, []);
+                }
+                groups.get(key).push(latency);
+            }
+        }
+
+        const rows = summarizeLatencies(groups);
+        if (options.json) {
+            console.log(JSON.stringify(rows, null, 2));
+        } else if (rows.length === 0) {
+            console.log('No hay entradas de latencia que cumplan los filtros');
+        } else {
+            printTable(rows);
+        }
+        return;
+    }
+
+    const print = ({ raw, time, ...entry }) => {
+        console.log(options.json ? JSON.stringify(entry) : raw);
+    };
+
+    // Sin --limit cada entrada se imprime al salir de la mezcla; con --limit solo se guardan las n últimas
+    const tail = [];
+    for await (const entry of mergeEntries(files.map(file => fileEntries(file, options)))) {
+        if (!options.limit) {
+            print(entry);
+            continue;
+        }
+        tail.push(entry);
+        if (tail.length > options.limit) {
+            tail.shift();
+        }
+    }
+    tail.forEach(print);
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    parseLine,
+    fileEntries,
+    mergeEntries,
+    summarizeLatencies
+};
@@ -5,6 +5,12 @@ const helmet = require('helmet');
 const fs = require('fs');
 const path = require('path');
 const { StandardLogger, latencyMiddleware, measureExecutionTime } = require('../utils/logger');
+const { metrics, sendMetrics } = require('../utils/metrics');
+const { hashString } = require('../utils/seeded-random');
+const { propagationHeaders } = require('../utils/request-context');
+const { LruCache } = require('../utils/cache');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { OUTPUT_FORMATS, VARIANT_WIDTHS, ImageDiskCache } = require('../utils/image-cache');
 
 const app = express();
 const PORT = process.env.IMAGES_API_PORT || 3003;
@@ -22,9 +28,43 @@ app.use(latencyMiddleware(logger, 'IMAGES_API'));
 
 const pokemonImages = new Map();
 
+// En modo estricto un Pokemon desconocido devuelve 404 en lugar de URLs simuladas
+const STRICT_MODE = process.env.STRICT_MODE === 'true';
+
+const POKE_API_URL = process.env.POKE_API_URL || 'http://localhost:3004';
+const SPRITES_BASE_URL = 'https://raw.githubusercontent.com/PokeAPI/sprites/master/sprites/pokemon';
+
+// Pokemon resueltos en paralelo contra poke-api en GET /api/images?pokemon_names=
+const IMAGE_BATCH_CONCURRENCY = parseInt(process.env.IMAGE_BATCH_CONCURRENCY) || 4;
+
+// Resultado del HEAD de cada URL; los fallos se guardan menos tiempo para reintentar antes
+const IMAGE_VALIDATION_TTL_MS = parseInt(process.env.IMAGE_VALIDATION_TTL_MS) || 10 * 60 * 1000;
+const IMAGE_VALIDATION_ERROR_TTL_MS = parseInt(process.env.IMAGE_VALIDATION_ERROR_TTL_MS) || 60 * 1000;
+const validationCache = new LruCache({
+    maxEntries: parseInt(process.env.IMAGE_VALIDATION_MAX_ENTRIES) || 5000,
+    ttlMs: IMAGE_VALIDATION_TTL_MS
+});
+
+// Proxy de imágenes: copia en disco de cada imagen y de sus variantes redimensionadas/convertidas
+const IMAGE_VARIANT_WIDTHS = (process.env.IMAGE_VARIANT_WIDTHS || '')
+    .split(',')
+    .map(width => parseInt(width))
+    .filter(width => width > 0);
+const imageCache = new ImageDiskCache({
+    dir: process.env.IMAGES_CACHE_DIR || path.join(__dirname, '../images/cache'),
+    ttlMs: parseInt(process.env.IMAGE_CACHE_TTL_MS) || 7 * 24 * 60 * 60 * 1000,
+    timeoutMs: parseInt(process.env.IMAGE_FETCH_TIMEOUT_MS) || 10000,
+    widths: IMAGE_VARIANT_WIDTHS.length > 0 ? IMAGE_VARIANT_WIDTHS : VARIANT_WIDTHS,
+    maxOriginalBytes: parseInt(process.env.IMAGE_ORIGINALS_MAX_BYTES) || 100 * 1024 * 1024,
+    maxVariantBytes: parseInt(process.env.IMAGE_VARIANTS_MAX_BYTES) || 200 * 1024 * 1024,
+    logger,
+    api: 'IMAGES_API'
+});
+
 const sampleImageData = [
     {
         name: 'pikachu',
+        pokemon_id: 25,
         images: {
             official_artwork: 'https://raw.githubusercontent.com/PokeAPI/sprites/master/sprites/pokemon/other/official-artwork/25.png',
             front_default: 'https://raw.githubusercontent.com/PokeAPI/sprites/master/sprites/pokemon/25.png',
@@ -41,6 +81,7 @@ const sampleImageData = [
     },
     {
         name: 'charizard',
+        pokemon_id: 6,
         images: {
             official_artwork: 'https://raw.githubusercontent.com/PokeAPI/sprites/master/sprites/pokemon/other/official-artwork/6.png',
             front_default: 'https://raw.githubusercontent.com/PokeAPI/sprites/master/sprites/pokemon/6.png',
@@ -57,6 +98,7 @@ const sampleImageData = [
     },
     {
         name: 'bulbasaur',
+        pokemon_id: 1,
         images: {
             official_artwork: 'https://raw.githubusercontent.com/PokeAPI/sprites/master/sprites/pokemon/other/official-artwork/1.png',
             front_default: 'https://raw.githubusercontent.com/PokeAPI/sprites/master/sprites/pokemon/1.png',
@@ -78,7 +120,10 @@ function initializeImageData() {
     logger.logApiCall('IMAGES_API', 'INITIALIZE_DATA', 'Loading Pokemon image data');
     
     sampleImageData.forEach(pokemon => {
-        pokemonImages.set(pokemon.name.toLowerCase(), pokemon);
+        pokemonImages.set(pokemon.name.toLowerCase(), {
+            ...pokemon,
+            metadata: { ...pokemon.metadata, source: 'sample' }
+        });
     });
     
     logger.logApiCall('IMAGES_API', 'INITIALIZE_DATA', 'Image data loaded successfully', {
@@ -86,123 +131,10 @@ function initializeImageData() {
     });
 }
 
-app.get('/api/images/:pokemonName', async (req, res) => {
-    const functionName = 'GET_POKEMON_IMAGES';
-    const { pokemonName } = req.params;
-    const { type = 'all', format = 'json' } = req.query;
-
-    if (!pokemonName) {
-        logger.logApiError('IMAGES_API', functionName, 'Missing Pokemon name parameter');
-        return res.status(400).json({ error: 'Pokemon name is required' });
-    }
-
-    try {
-        const result = await measureExecutionTime(
-            logger,
-            'IMAGES_API',
-            functionName,
-            async () => {
-                logger.logApiCall('IMAGES_API', functionName, `Fetching images for: ${pokemonName}`, {
-                    type, format
-                });
-
-                const pokemonKey = pokemonName.toLowerCase();
-                let pokemonData = pokemonImages.get(pokemonKey);
-
-                if (!pokemonData) {
-                    logger.logApiWarning('IMAGES_API', functionName, `No local images found for: ${pokemonName}, generating fallback URLs`);
-                    pokemonData = generateFallbackImages(pokemonName);
-                    pokemonImages.set(pokemonKey, pokemonData);
-                }
-
-                // Validar URLs de imágenes
-                const validatedImages = await validateImageUrls(pokemonData.images);
-
-                const response = {
-                    name: pokemonData.name,
-                    images: type === 'all' ? validatedImages : { [type]: validatedImages[type] },
-                    metadata: {
-                        ...pokemonData.metadata,
-                        validation_timestamp: new Date().toISOString(),
-                        requested_type: type,
-                        format: format
-                    }
-                };
-
-                return response;
-            },
-            { pokemon: pokemonName, type, format }
-        );
-
-        logger.logApiCall('IMAGES_API', functionName, `Successfully fetched images for: ${pokemonName}`, {
-            pokemon: pokemonName,
-            image_count: Object.keys(result.images).length,
-            type: type
-        });
-
-        res.json(result);
-
-    } catch (error) {
-        logger.logApiError('IMAGES_API', functionName, 'Failed to fetch Pokemon images', error, {
-            pokemon: pokemonName
-        });
-
-        res.status(500).json({ 
-            error: 'Failed to fetch Pokemon images', 
-            message: error.message 
-        });
-    }
-});
-
-async function validateImageUrls(images) {
-    const validatedImages = {};
-    
-    for (const [key, url] of Object.entries(images)) {
-        try {
-            const response = await axios.head(url, { timeout: 3000 });
-            validatedImages[key] = {
-                url: url,
-                status: 'available',
-                content_type: response.headers['content-type'],
-                content_length: response.headers['content-length']
-            };
-        } catch (error) {
-            validatedImages[key] = {
-                url: url,
-                status: 'unavailable',
-                error: error.message
-            };
-        }
-    }
-    
-    return validatedImages;
-}
-
-function generateFallbackImages(pokemonName) {
-    const pokemonId = Math.floor(Math.random() * 1000) + 1; 
-    
-    return {
-        name: pokemonName.toLowerCase(),
-        images: {
-            official_artwork: `https://raw.githubusercontent.com/PokeAPI/sprites/master/sprites/pokemon/other/official-artwork/${pokemonId}.png`,
-            front_default: `https://raw.githubusercontent.com/PokeAPI/sprites/master/sprites/pokemon/${pokemonId}.png`,
-            front_shiny: `https://raw.githubusercontent.com/PokeAPI/sprites/master/sprites/pokemon/shiny/${pokemonId}.png`,
-            back_default: `https://raw.githubusercontent.com/PokeAPI/sprites/master/sprites/pokemon/back/${pokemonId}.png`,
-            back_shiny: `https://raw.githubusercontent.com/PokeAPI/sprites/master/sprites/pokemon/back/shiny/${pokemonId}.png`
-        },
-        metadata: {
-            resolution: '475x475',
-            format: 'png',
-            size_kb: 'unknown',
-            last_updated: new Date().toISOString().split('T')[0],
-            source: 'fallback_generated'
-        }
-    };
-}
-
 app.get('/api/images', async (req, res) => {
     const functionName = 'GET_MULTIPLE_IMAGES';
     const { pokemon_names, limit = 10, offset = 0 } = req.query;
+    const strict = isStrictMode(req);
 
     try {
         const result = await measureExecutionTime(
@@ -211,6 +143,8 @@ app.get('/api/images', async (req, res) => {
             functionName,
             async () => {
                 let pokemonList;
+                let notFound = [];
+                let errors = [];
 
                 if (pokemon_names) {
                     const names = pokemon_names.split(',').map(name => name.trim().toLowerCase());
@@ -218,10 +152,21 @@ app.get('/api/images', async (req, res) => {
                         count: names.length
                     });
 
-                    pokemonList = names.map(name => {
-                        const data = pokemonImages.get(name);
-                        return data || generateFallbackImages(name);
+                    // Un fallo de poke-api con un nombre solo afecta a ese nombre, no a todo el lote
+                    const results = await mapWithConcurrency(names, IMAGE_BATCH_CONCURRENCY, async name => {
+                        try {
+                            return { data: await getPokemonImageData(name, strict, functionName) };
+                        } catch (error) {
+                            logger.logApiError('IMAGES_API', functionName, `Failed to resolve images for: ${name}`, error);
+                            return { error: error.message };
+                        }
                     });
+
+                    pokemonList = results.map(result => result.data).filter(Boolean);
+                    notFound = names.filter((name, index) => !results[index].error && !results[index].data);
+                    errors = names
+                        .map((name, index) => ({ name, error: results[index].error }))
+                        .filter(result => result.error);
                 } else {
                     logger.logApiCall('IMAGES_API', functionName, `Fetching paginated images`, {
                         limit, offset
@@ -233,14 +178,23 @@ app.get('/api/images', async (req, res) => {
                     pokemonList = allPokemon.slice(startIndex, endIndex);
                 }
 
-                return {
+                const response = {
                     total: pokemonImages.size,
                     offset: parseInt(offset),
                     limit: parseInt(limit),
                     data: pokemonList
                 };
+
+                if (strict && pokemon_names) {
+                    response.not_found = notFound;
+                }
+                if (errors.length > 0) {
+                    response.errors = errors;
+                }
+
+                return response;
             },
-            { pokemon_names, limit, offset }
+            { pokemon_names, limit, offset, strict }
         );
 
         logger.logApiCall('IMAGES_API', functionName, 'Successfully fetched multiple images', {
@@ -259,6 +213,8 @@ app.get('/api/images', async (req, res) => {
     }
 });
 
+// Las rutas fijas (/search, /stats, /catalog) deben registrarse antes de /:pokemonName,
+// si no Express las trata como nombres de Pokemon
 app.get('/api/images/search', async (req, res) => {
     const functionName = 'SEARCH_IMAGES';
     const { query, format, min_size, max_size } = req.query;
@@ -276,35 +232,16 @@ app.get('/api/images/search', async (req, res) => {
             async () => {
                 logger.logApiCall('IMAGES_API', functionName, `Searching images with query: ${query}`);
 
-                const allPokemon = Array.from(pokemonImages.values());
-                let filteredPokemon = allPokemon.filter(pokemon => 
-                    pokemon.name.includes(query.toLowerCase())
-                );
-
-                // Aplicar filtros adicionales
-                if (format) {
-                    filteredPokemon = filteredPokemon.filter(pokemon => 
-                        pokemon.metadata.format === format
-                    );
-                }
-
-                if (min_size) {
-                    filteredPokemon = filteredPokemon.filter(pokemon => 
-                        pokemon.metadata.size_kb >= parseInt(min_size)
-                    );
-                }
-
-                if (max_size) {
-                    filteredPokemon = filteredPokemon.filter(pokemon => 
-                        pokemon.metadata.size_kb <= parseInt(max_size)
-                    );
-                }
+                const { items: filteredPokemon } = queryCatalog({
+                    ...parseCatalogQuery({ q: query, match: 'contains', format, min_size, max_size }),
+                    limit: Infinity
+                });
 
                 return {
                     query: query,
                     filters: { format, min_size, max_size },
                     total_results: filteredPokemon.length,
-                    results: filteredPokemon
+                    results: filteredPokemon.map(({ pokemon }) => pokemon)
                 };
             },
             { query, format, min_size, max_size }
@@ -318,6 +255,11 @@ app.get('/api/images/search', async (req, res) => {
         res.json(result);
 
     } catch (error) {
+        if (error.status === 400) {
+            logger.logApiWarning('IMAGES_API', functionName, 'Invalid search parameters', { message: error.message });
+            return res.status(400).json({ error: 'Invalid search parameters', message: error.message });
+        }
+
         logger.logApiError('IMAGES_API', functionName, 'Search failed', error, {
             query: query
         });
@@ -394,16 +336,617 @@ app.get('/api/images/stats', async (req, res) => {
     }
 });
 
+const CATALOG_MATCH_MODES = ['prefix', 'contains', 'fuzzy'];
+const CATALOG_DEFAULT_LIMIT = 20;
+const CATALOG_MAX_LIMIT = 100;
+
+const CATALOG_SORT_FIELDS = {
+    name: ({ pokemon }) => pokemon.name,
+    pokemon_id: ({ pokemon }) => pokemon.pokemon_id ?? null,
+    size_kb: ({ pokemon }) => typeof pokemon.metadata.size_kb === 'number' ? pokemon.metadata.size_kb : null,
+    resolution: ({ pokemon }) => resolutionToPixels(pokemon.metadata.resolution),
+    last_updated: ({ pokemon }) => pokemon.metadata.last_updated || null,
+    score: ({ score }) => score
+};
+
+app.get('/api/images/catalog', async (req, res) => {
+    const functionName = 'QUERY_CATALOG';
+
+    try {
+        const result = await measureExecutionTime(
+            logger,
+            'IMAGES_API',
+            functionName,
+            async () => {
+                const options = parseCatalogQuery(req.query);
+                logger.logApiCall('IMAGES_API', functionName, 'Querying image catalog', {
+                    q: options.q,
+                    match: options.match,
+                    sort: req.query.sort
+                });
+
+                const { total, items, next } = queryCatalog(options);
+
+                return {
+                    query: {
+                        q: options.q,
+                        match: options.match,
+                        format: options.formats,
+                        source: options.sources,
+                        resolution: options.resolutions,
+                        min_size: options.minSize,
+                        max_size: options.maxSize,
+                        sort: options.sort.map(({ field, direction }) => (direction === 'desc' ? '-' : '') + field)
+                    },
+                    total,
+                    count: items.length,
+                    limit: options.limit,
+                    next_cursor: next === null ? null : encodeCursor(next, options.signature),
+                    data: items.map(({ pokemon, score }) => (options.q ? { ...pokemon, match_score: score } : pokemon))
+                };
+            },
+            { query: req.query }
+        );
+
+        logger.logApiCall('IMAGES_API', functionName, 'Catalog query completed', {
+            total: result.total,
+            returned_count: result.count
+        });
+
+        res.json(result);
+
+    } catch (error) {
+        if (error.status === 400) {
+            logger.logApiWarning('IMAGES_API', functionName, 'Invalid catalog query', { message: error.message });
+            return res.status(400).json({ error: 'Invalid catalog query', message: error.message });
+        }
+
+        logger.logApiError('IMAGES_API', functionName, 'Catalog query failed', error);
+        res.status(500).json({ 
+            error: 'Catalog query failed', 
+            message: error.message 
+        });
+    }
+});
+
+function badRequest(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+function parseList(value) {
+    if (value === undefined || value === '') {
+        return null;
+    }
+    return [].concat(value).join(',').split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+}
+
+function parseOptionalNumber(value, name) {
+    if (value === undefined || value === '') {
+        return null;
+    }
+    const number = Number(value);
+    if (!Number.isFinite(number)) {
+        throw badRequest(`${name} must be a number`);
+    }
+    return number;
+}
+
+function parseCatalogQuery(query) {
+    const q = query.q ? String(query.q).trim().toLowerCase() : null;
+    const match = query.match || 'prefix';
+    if (!CATALOG_MATCH_MODES.includes(match)) {
+        throw badRequest(`match must be one of: ${CATALOG_MATCH_MODES.join(', ')}`);
+    }
+
+    const minSize = parseOptionalNumber(query.min_size, 'min_size');
+    const maxSize = parseOptionalNumber(query.max_size, 'max_size');
+    if (minSize !== null && maxSize !== null && minSize > maxSize) {
+        throw badRequest('min_size cannot be greater than max_size');
+    }
+
+    const sortSpec = parseList(query.sort) || [q ? '-score' : 'name'];
+    const sort = sortSpec.map(item => {
+        const direction = item.startsWith('-') ? 'desc' : 'asc';
+        const field = item.replace(/^[-+]/, '');
+        if (!CATALOG_SORT_FIELDS[field]) {
+            throw badRequest(`Cannot sort by '${field}'. Available: ${Object.keys(CATALOG_SORT_FIELDS).join(', ')}`);
+        }
+        return { field, direction };
+    });
+
+    const limit = query.limit === undefined ? CATALOG_DEFAULT_LIMIT : parseInt(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > CATALOG_MAX_LIMIT) {
+        throw badRequest(`limit must be an integer between 1 and ${CATALOG_MAX_LIMIT}`);
+    }
+
+    const options = {
+        q,
+        match,
+        formats: parseList(query.format),
+        sources: parseList(query.source),
+        resolutions: parseList(query.resolution),
+        minSize,
+        maxSize,
+        sort,
+        limit
+    };
+
+    // La firma liga el cursor a la consulta que lo generó
+    options.signature = hashString(JSON.stringify([q, match, options.formats, options.sources, options.resolutions, minSize, maxSize, sortSpec]));
+    options.after = query.cursor ? decodeCursor(query.cursor, options.signature, sort.length) : null;
+
+    return options;
+}
+
+// El cursor guarda la posición del último elemento devuelto (sus claves de orden y su nombre), no un
+// desplazamiento: los Pokemon que se añaden al catálogo entre páginas no hacen saltar ni repetir filas
+function encodeCursor({ keys, name }, signature) {
+    return Buffer.from(JSON.stringify({ k: keys, n: name, s: signature })).toString('base64url');
+}
+
+function decodeCursor(cursor, signature, keyCount) {
+    try {
+        const { k, n, s } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (Array.isArray(k) && k.length === keyCount && typeof n === 'string' && s === signature) {
+            return { keys: k, name: n };
+        }
+    } catch (error) {
+        // cursor mal formado
+    }
+    throw badRequest('Invalid or expired cursor for this query');
+}
+
+function resolutionToPixels(resolution) {
+    const match = /^(\d+)x(\d+)$/.exec(resolution || '');
+    return match ? parseInt(match[1]) * parseInt(match[2]) : null;
+}
+
+function levenshteinDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+// Devuelve una puntuación entre 0 y 1, o null si el nombre no coincide
+function matchScore(name, q, match) {
+    if (match === 'prefix') {
+        return name.startsWith(q) ? q.length / name.length : null;
+    }
+
+    if (name.includes(q)) {
+        return q.length / name.length;
+    }
+
+    if (match === 'fuzzy') {
+        const distance = Math.min(levenshteinDistance(q, name), levenshteinDistance(q, name.slice(0, q.length)));
+        const maxDistance = Math.max(1, Math.floor(q.length / 3));
+        if (distance <= maxDistance) {
+            return Math.round((1 - distance / Math.max(q.length, 1)) * (q.length / Math.max(name.length, q.length)) * 1000) / 1000;
+        }
+    }
+
+    return null;
+}
+
+// Posición de un elemento en el orden pedido: sus claves de orden y el nombre para desempatar
+function catalogPosition(item, sort) {
+    return {
+        keys: sort.map(({ field }) => CATALOG_SORT_FIELDS[field](item) ?? null),
+        name: item.pokemon.name
+    };
+}
+
+function comparePositions(sort) {
+    return (a, b) => {
+        for (let i = 0; i < sort.length; i++) {
+            const valueA = a.keys[i];
+            const valueB = b.keys[i];
+
+            if (valueA === valueB) continue;
+            // Los valores desconocidos siempre al final
+            if (valueA === null) return 1;
+            if (valueB === null) return -1;
+
+            const comparison = valueA < valueB ? -1 : 1;
+            return sort[i].direction === 'desc' ? -comparison : comparison;
+        }
+        return a.name.localeCompare(b.name);
+    };
+}
+
+function queryCatalog(options) {
+    const { q, match, formats, sources, resolutions, minSize, maxSize, sort, limit, after } = options;
+    const items = [];
+
+    for (const pokemon of pokemonImages.values()) {
+        const { metadata } = pokemon;
+        const size = typeof metadata.size_kb === 'number' ? metadata.size_kb : null;
+
+        if (formats && !formats.includes(String(metadata.format).toLowerCase())) continue;
+        if (sources && !sources.includes(String(metadata.source).toLowerCase())) continue;
+        if (resolutions && !resolutions.includes(String(metadata.resolution).toLowerCase())) continue;
+        if (minSize !== null && (size === null || size < minSize)) continue;
+        if (maxSize !== null && (size === null || size > maxSize)) continue;
+
+        let score = null;
+        if (q) {
+            score = matchScore(pokemon.name, q, match);
+            if (score === null) continue;
+        }
+
+        const item = { pokemon, score };
+        items.push({ ...item, position: catalogPosition(item, sort) });
+    }
+
+    const compare = comparePositions(sort);
+    items.sort((a, b) => compare(a.position, b.position));
+
+    // Con cursor se sigue por los elementos estrictamente posteriores a la última posición devuelta
+    const remaining = after ? items.filter(item => compare(item.position, after) > 0) : items;
+    const page = remaining.slice(0, limit);
+    const next = remaining.length > limit ? page[page.length - 1].position : null;
+
+    return { total: items.length, items: page, next };
+}
+
+app.get('/api/images/:pokemonName', async (req, res) => {
+    const functionName = 'GET_POKEMON_IMAGES';
+    const { pokemonName } = req.params;
+    const { type = 'all', format = 'json' } = req.query;
+    const strict = isStrictMode(req);
+
+    if (!pokemonName) {
+        logger.logApiError('IMAGES_API', functionName, 'Missing Pokemon name parameter');
+        return res.status(400).json({ error: 'Pokemon name is required' });
+    }
+
+    try {
+        const result = await measureExecutionTime(
+            logger,
+            'IMAGES_API',
+            functionName,
+            async () => {
+                logger.logApiCall('IMAGES_API', functionName, `Fetching images for: ${pokemonName}`, {
+                    type, format
+                });
+
+                const pokemonData = await getPokemonImageData(pokemonName, strict, functionName);
+
+                if (!pokemonData) {
+                    throw new Error(`Pokemon ${pokemonName} not found`);
+                }
+
+                // Validar URLs de imágenes
+                const validatedImages = await validateImageUrls(pokemonData.images);
+
+                // La fecha de validación es la de la comprobación más antigua en caché, no la de esta petición
+                const checkedAt = Object.values(validatedImages).map(image => image.checked_at).sort();
+
+                const response = {
+                    name: pokemonData.name,
+                    pokemon_id: pokemonData.pokemon_id,
+                    source: pokemonData.metadata.source,
+                    images: type === 'all' ? validatedImages : { [type]: validatedImages[type] },
+                    metadata: {
+                        ...pokemonData.metadata,
+                        validation_timestamp: checkedAt[0] || null,
+                        requested_type: type,
+                        format: format
+                    }
+                };
+
+                return response;
+            },
+            { pokemon: pokemonName, type, format, strict }
+        );
+
+        logger.logApiCall('IMAGES_API', functionName, `Successfully fetched images for: ${pokemonName}`, {
+            pokemon: pokemonName,
+            image_count: Object.keys(result.images).length,
+            type: type
+        });
+
+        res.json(result);
+
+    } catch (error) {
+        if (error.message.includes('not found')) {
+            logger.logApiWarning('IMAGES_API', functionName, `Pokemon not found: ${pokemonName}`, { strict });
+            return res.status(404).json({ 
+                error: 'Pokemon not found', 
+                pokemon: pokemonName 
+            });
+        }
+
+        logger.logApiError('IMAGES_API', functionName, 'Failed to fetch Pokemon images', error, {
+            pokemon: pokemonName
+        });
+
+        res.status(500).json({ 
+            error: 'Failed to fetch Pokemon images', 
+            message: error.message 
+        });
+    }
+});
+
+// Sirve la imagen a través del servicio (los clientes no necesitan acceso a GitHub) desde la caché en
+// disco, con ETag/Last-Modified y, opcionalmente, redimensionada (?width=, redondeado a un ancho fijo)
+// o en otro formato (?format=)
+app.get('/api/images/:pokemonName/:type/raw', async (req, res) => {
+    const functionName = 'GET_RAW_IMAGE';
+    const { pokemonName, type } = req.params;
+    const strict = isStrictMode(req);
+
+    try {
+        const image = await measureExecutionTime(
+            logger,
+            'IMAGES_API',
+            functionName,
+            async () => {
+                const { width, format } = parseRawImageOptions(req.query);
+
+                // Las imágenes inventadas (source: mock) apuntan a un sprite cualquiera: no se sirven
+                const pokemonData = await getPokemonImageData(pokemonName, strict, functionName);
+                if (!pokemonData || pokemonData.metadata?.source === 'mock') {
+                    throw new Error(`Pokemon ${pokemonName} not found`);
+                }
+
+                // Solo claves propias: constructor, __proto__ o toString no son tipos de imagen
+                const url = Object.hasOwn(pokemonData.images, type) ? pokemonData.images[type] : null;
+                if (!url) {
+                    throw badRequest(`Unknown image type: ${type} (expected ${Object.keys(pokemonData.images).join(', ')})`);
+                }
+
+                const original = await imageCache.get(url);
+                return width || format ? await imageCache.variant(original, { width, format }) : original;
+            },
+            { pokemon: pokemonName, type, width: req.query.width, format: req.query.format, strict }
+        );
+
+        res.set({
+            'Content-Type': image.contentType,
+            'ETag': image.etag,
+            'Last-Modified': image.lastModified,
+            'Cache-Control': 'public, max-age=86400',
+            'X-Image-Cache': image.status,
+            // helmet solo permite mismo origen; las imágenes se incrustan desde el front-end
+            'Cross-Origin-Resource-Policy': 'cross-origin'
+        });
+
+        if (req.fresh) {
+            return res.status(304).end();
+        }
+
+        logger.logApiCall('IMAGES_API', functionName, `Serving raw image for: ${pokemonName}`, {
+            type,
+            cache: image.status,
+            size: image.size,
+            content_type: image.contentType
+        });
+
+        res.set('Content-Length', String(image.size));
+        fs.createReadStream(image.filePath)
+            .on('error', error => {
+                logger.logApiError('IMAGES_API', functionName, 'Failed to stream cached image', error, { pokemon: pokemonName, type });
+                res.destroy(error);
+            })
+            .pipe(res);
+
+    } catch (error) {
+        if (error.status === 400) {
+            logger.logApiWarning('IMAGES_API', functionName, error.message, { pokemon: pokemonName, type });
+            return res.status(400).json({ error: 'Invalid image request', message: error.message });
+        }
+
+        if (error.message.includes('not found') || error.response?.status === 404) {
+            logger.logApiWarning('IMAGES_API', functionName, `Image not found: ${pokemonName}/${type}`, { strict });
+            return res.status(404).json({ 
+                error: 'Image not found', 
+                pokemon: pokemonName,
+                type
+            });
+        }
+
+        logger.logApiError('IMAGES_API', functionName, 'Failed to fetch raw image', error, {
+            pokemon: pokemonName,
+            type,
+            error_status: error.response?.status
+        });
+
+        res.status(500).json({ 
+            error: 'Failed to fetch raw image', 
+            message: error.message 
+        });
+    }
+});
+
+function parseRawImageOptions(query) {
+    const width = parseOptionalNumber(query.width, 'width');
+    const maxWidth = imageCache.widths[imageCache.widths.length - 1];
+    if (width !== null && (!Number.isInteger(width) || width < 1 || width > maxWidth)) {
+        throw badRequest(`width must be an integer between 1 and ${maxWidth}`);
+    }
+
+    const format = query.format ? String(query.format).toLowerCase().replace(/^jpg$/, 'jpeg') : null;
+    if (format && !OUTPUT_FORMATS.includes(format)) {
+        throw badRequest(`format must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+    }
+
+    return { width, format };
+}
+
+// HEAD de todas las URLs en paralelo; cada resultado se reutiliza durante su TTL
+async function validateImageUrls(images) {
+    const entries = await Promise.all(Object.entries(images).map(async ([key, url]) => {
+        const { value, status } = await validationCache.getOrLoad(url, () => checkImageUrl(url));
+
+        if (status === 'miss' && value.status === 'unavailable') {
+            validationCache.set(url, value, { ttlMs: IMAGE_VALIDATION_ERROR_TTL_MS });
+        }
+        return [key, value];
+    }));
+
+    return Object.fromEntries(entries);
+}
+
+async function checkImageUrl(url) {
+    try {
+        const response = await axios.head(url, { timeout: 3000 });
+        return {
+            url: url,
+            status: 'available',
+            content_type: response.headers['content-type'],
+            content_length: response.headers['content-length'],
+            checked_at: new Date().toISOString()
+        };
+    } catch (error) {
+        return {
+            url: url,
+            status: 'unavailable',
+            error: error.message,
+            checked_at: new Date().toISOString()
+        };
+    }
+}
+
+function buildSpriteUrls(pokemonId) {
+    return {
+        official_artwork: `${SPRITES_BASE_URL}/other/official-artwork/${pokemonId}.png`,
+        front_default: `${SPRITES_BASE_URL}/${pokemonId}.png`,
+        front_shiny: `${SPRITES_BASE_URL}/shiny/${pokemonId}.png`,
+        back_default: `${SPRITES_BASE_URL}/back/${pokemonId}.png`,
+        back_shiny: `${SPRITES_BASE_URL}/back/shiny/${pokemonId}.png`
+    };
+}
+
+// Pide a poke-api el número de la Pokédex nacional; null si poke-api no conoce el Pokemon
+async function resolvePokemonId(pokemonName) {
+    return await measureExecutionTime(
+        logger,
+        'IMAGES_API',
+        'RESOLVE_POKEMON_ID',
+        async () => {
+            try {
+                const response = await axios.get(`${POKE_API_URL}/api/pokemon/${encodeURIComponent(pokemonName)}`, {
+                    timeout: 5000,
+                    headers: propagationHeaders()
+                });
+                return response.data.id;
+            } catch (error) {
+                if (error.response && error.response.status === 404) {
+                    return null;
+                }
+                throw error;
+            }
+        },
+        { pokemon: pokemonName, service: 'POKE_API' }
+    );
+}
+
+// Busca en el catálogo y, si no está, resuelve el id real en poke-api y guarda el resultado.
+// Si poke-api no conoce el Pokemon (o no responde) se generan URLs simuladas, salvo en modo estricto.
+async function getPokemonImageData(pokemonName, strict, functionName) {
+    const pokemonKey = pokemonName.toLowerCase();
+    const cached = pokemonImages.get(pokemonKey);
+
+    if (cached) {
+        return cached;
+    }
+
+    let pokemonId = null;
+    try {
+        pokemonId = await resolvePokemonId(pokemonKey);
+    } catch (error) {
+        if (strict) {
+            throw error;
+        }
+        logger.logApiWarning('IMAGES_API', functionName, `Could not resolve Pokemon id from poke-api for: ${pokemonName}`, {
+            error: error.message,
+            error_code: error.code
+        });
+    }
+
+    if (pokemonId !== null) {
+        // last_updated es el día en que se resolvió; se guarda en el catálogo y no cambia en lecturas posteriores
+        const pokemonData = {
+            name: pokemonKey,
+            pokemon_id: pokemonId,
+            images: buildSpriteUrls(pokemonId),
+            metadata: {
+                resolution: '475x475',
+                format: 'png',
+                size_kb: 'unknown',
+                last_updated: new Date().toISOString().slice(0, 10),
+                source: 'poke_api'
+            }
+        };
+
+        pokemonImages.set(pokemonKey, pokemonData);
+        logger.logApiCall('IMAGES_API', functionName, `Resolved Pokemon id from poke-api for: ${pokemonName}`, {
+            pokemon_id: pokemonId
+        });
+
+        return pokemonData;
+    }
+
+    if (strict) {
+        return null;
+    }
+
+    // Las URLs simuladas no se guardan en el catálogo
+    logger.logApiWarning('IMAGES_API', functionName, `No images found for: ${pokemonName}, generating fallback URLs`);
+    return generateFallbackImages(pokemonName);
+}
+
+function isStrictMode(req) {
+    if (req.query.strict === 'true') return true;
+    if (req.query.strict === 'false') return false;
+    return STRICT_MODE;
+}
+
+// El id del sprite se deriva del nombre para que la respuesta sea reproducible; sin last_updated,
+// porque no hay ninguna fuente real de la que sacarlo
+function generateFallbackImages(pokemonName) {
+    const pokemonId = (hashString(`images:${pokemonName.toLowerCase()}`) % 1000) + 1;
+    
+    return {
+        name: pokemonName.toLowerCase(),
+        images: buildSpriteUrls(pokemonId),
+        metadata: {
+            resolution: '475x475',
+            format: 'png',
+            size_kb: 'unknown',
+            source: 'mock'
+        }
+    };
+}
+
 app.get('/health', (req, res) => {
     logger.logApiCall('IMAGES_API', 'HEALTH_CHECK', 'Health check requested');
     res.json({ 
         service: 'images-api', 
         status: 'healthy', 
         pokemon_count: pokemonImages.size,
+        validation_cache: validationCache.stats(),
         timestamp: new Date().toISOString() 
     });
 });
 
+app.get('/metrics', (req, res) => {
+    logger.logApiCall('IMAGES_API', 'GET_METRICS', 'Metrics requested', { format: req.query.format || 'prometheus' });
+    sendMetrics(req, res, [metrics.snapshot()]);
+});
+
 app.use((error, req, res, next) => {
     logger.logApiError('IMAGES_API', 'MIDDLEWARE_ERROR', 'Unhandled error', error);
     res.status(500).json({ error: 'Internal server error' });
@@ -411,8 +954,11 @@ app.use((error, req, res, next) => {
 
 initializeImageData();
 
-app.listen(PORT, () => {
-    logger.logApiCall('IMAGES_API', 'SERVER_START', `Images API server running on port ${PORT}`);
-});
+// Solo escucha al ejecutarse directamente; los tests importan la app y abren su propio puerto
+if (require.main === module) {
+    app.listen(PORT, () => {
+        logger.logApiCall('IMAGES_API', 'SERVER_START', `Images API server running on port ${PORT}`);
+    });
+}
 
 module.exports = app;
\ No newline at end of file
@@ -1,10 +1,14 @@
 const express = require('express');
-const axios = require('axios');
 const cors = require('cors');
 const helmet = require('helmet');
 const fs = require('fs');
+const crypto = require('crypto');
 const path = require('path');
 const { StandardLogger, latencyMiddleware, measureExecutionTime } = require('../utils/logger');
+const { metrics, sendMetrics } = require('../utils/metrics');
+const { LruCache } = require('../utils/cache');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { PokeApiProvider } = require('../utils/pokeapi-provider');
 
 const app = express();
 const PORT = process.env.POKE_API_PORT || 3004;
@@ -20,110 +24,158 @@ app.use(cors());
 app.use(express.json());
 app.use(latencyMiddleware(logger, 'POKE_API'));
 
-const cache = new Map();
-const CACHE_TTL = 300000; // 5 minutos
+// Origen de los datos: PokeAPI en vivo, fixtures locales (offline) o en vivo grabando fixtures (record)
+const pokeApi = new PokeApiProvider({
+    mode: (process.env.POKEAPI_MODE || 'live').toLowerCase(),
+    baseUrl: process.env.POKEAPI_BASE_URL || 'https://pokeapi.co/api/v2',
+    fixturesDir: process.env.POKEAPI_FIXTURES_DIR || path.join(__dirname, '../data/pokeapi-fixtures'),
+    timeoutMs: parseInt(process.env.POKEAPI_TIMEOUT_MS) || 10000,
+    logger
+});
 
-app.get('/api/pokemon/:identifier', async (req, res) => {
-    const functionName = 'GET_POKEMON';
-    const { identifier } = req.params;
+const CACHE_TTL = parseInt(process.env.CACHE_TTL) || 300000; // 5 minutos
+const CACHE_STALE_TTL = parseInt(process.env.CACHE_STALE_TTL) || 60000;
+const CACHE_MAX_ENTRIES = parseInt(process.env.CACHE_MAX_ENTRIES) || 1000;
+const CACHE_MAX_SIZE_BYTES = parseInt(process.env.CACHE_MAX_SIZE_BYTES) || 50 * 1024 * 1024;
+
+// Pasado CACHE_TTL la entrada se sigue sirviendo durante CACHE_STALE_TTL mientras se refresca
+// en segundo plano, así que la expiración ya no bloquea peticiones ni las lanza todas a PokeAPI
+const cache = new LruCache({
+    ttlMs: CACHE_TTL,
+    staleTtlMs: CACHE_STALE_TTL,
+    maxEntries: CACHE_MAX_ENTRIES,
+    maxSizeBytes: CACHE_MAX_SIZE_BYTES,
+    onBackgroundError: (key, error) => {
+        logger.logApiWarning('POKE_API', 'CACHE_REVALIDATE', `Background refresh failed for: ${key}`, {
+            cache_key: key,
+            error: error.message,
+            error_status: error.response?.status
+        });
+    }
+});
+
+const CACHE_WARM_CONCURRENCY = parseInt(process.env.CACHE_WARM_CONCURRENCY) || 4;
+const CACHE_WARM_MAX_NAMES = parseInt(process.env.CACHE_WARM_MAX_NAMES) || 1000;
+const POKEMON_NAMES_CSV = process.env.POKEMON_NAMES_CSV || path.join(__dirname, '../pokemon_names.csv');
+const MAX_WARM_JOBS = 20;
+
+// Trabajos de precarga por id; se conservan los últimos MAX_WARM_JOBS para consultar su progreso
+const warmJobs = new Map();
+
+const pokemonCacheKey = identifier => `pokemon_${identifier.toLowerCase()}`;
+
+// Carga compartida por las rutas y la precarga: { value, status } desde caché o desde PokeAPI.
+// Se guarda la forma recortada, no la respuesta completa de PokeAPI
+function fetchResource(cacheKey, resource, transform, functionName) {
+    return cache.getOrLoad(cacheKey, async () => {
+        logger.logApiCall('POKE_API', functionName, `Calling PokeAPI (${pokeApi.mode}): ${resource}`);
+        return transform(await pokeApi.get(resource));
+    });
+}
+
+function fetchPokemon(identifier, functionName) {
+    const id = identifier.toLowerCase();
+    return fetchResource(pokemonCacheKey(id), `pokemon/${id}`, trimPokemon, functionName);
+}
+
+// La especie no siempre se llama como el Pokemon (formas como "giratina-altered"), así que se resuelve desde él
+async function fetchSpecies(identifier, functionName) {
+    const { value: pokemon } = await fetchPokemon(identifier, functionName);
+    const name = pokemon.species || pokemon.name;
+    return fetchResource(`species_${name}`, `pokemon-species/${name}`, trimSpecies, functionName);
+}
 
-    if (!identifier) {
-        logger.logApiError('POKE_API', functionName, 'Missing Pokemon identifier');
-        return res.status(400).json({ error: 'Pokemon identifier is required' });
+async function fetchEvolutionChain(identifier, functionName) {
+    const { value: species } = await fetchSpecies(identifier, functionName);
+    if (!species.evolution_chain_id) {
+        const error = new Error(`No evolution chain for: ${species.name}`);
+        error.response = { status: 404 };
+        throw error;
     }
 
+    const { value, status } = await fetchResource(
+        `evolution_${species.evolution_chain_id}`,
+        `evolution-chain/${species.evolution_chain_id}`,
+        trimEvolutionChain,
+        functionName
+    );
+    return { value: { species: species.name, ...value }, status };
+}
+
+function fetchMove(name, functionName) {
+    const id = name.toLowerCase();
+    return fetchResource(`move_${id}`, `move/${id}`, trimMove, functionName);
+}
+
+function fetchType(name, functionName) {
+    const id = name.toLowerCase();
+    return fetchResource(`type_${id}`, `type/${id}`, trimType, functionName);
+}
+
+// Patrón común de las rutas de recursos: mide, indica el estado de la caché en X-Cache y traduce el 404 de PokeAPI
+async function sendResource(res, functionName, { label, key, subject }, load) {
     try {
         const result = await measureExecutionTime(
             logger,
             'POKE_API',
             functionName,
             async () => {
-                logger.logApiCall('POKE_API', functionName, `Fetching Pokemon: ${identifier}`);
-
-                const cacheKey = `pokemon_${identifier.toLowerCase()}`;
-                const cached = cache.get(cacheKey);
-                
-                if (cached && (Date.now() - cached.timestamp) < CACHE_TTL) {
-                    logger.logApiCall('POKE_API', functionName, `Cache hit for: ${identifier}`);
-                    return cached.data;
-                }
+                logger.logApiCall('POKE_API', functionName, `Fetching ${label.toLowerCase()}: ${subject}`);
 
-                const pokeApiUrl = `https://pokeapi.co/api/v2/pokemon/${identifier.toLowerCase()}`;
-                logger.logApiCall('POKE_API', functionName, `Calling external API: ${pokeApiUrl}`);
-
-                const response = await axios.get(pokeApiUrl, {
-                    timeout: 10000,
-                    headers: {
-                        'User-Agent': 'Pokemon-Microservice/1.0'
-                    }
-                });
-
-                const pokemonData = {
-                    id: response.data.id,
-                    name: response.data.name,
-                    height: response.data.height,
-                    weight: response.data.weight,
-                    base_experience: response.data.base_experience,
-                    types: response.data.types.map(type => ({
-                        name: type.type.name,
-                        slot: type.slot
-                    })),
-                    abilities: response.data.abilities.map(ability => ({
-                        name: ability.ability.name,
-                        is_hidden: ability.is_hidden,
-                        slot: ability.slot
-                    })),
-                    stats: response.data.stats.map(stat => ({
-                        name: stat.stat.name,
-                        base_stat: stat.base_stat,
-                        effort: stat.effort
-                    })),
-                    sprites: {
-                        front_default: response.data.sprites.front_default,
-                        front_shiny: response.data.sprites.front_shiny,
-                        back_default: response.data.sprites.back_default,
-                        back_shiny: response.data.sprites.back_shiny
-                    }
-                };
+                const { value, status } = await load();
 
-                cache.set(cacheKey, {
-                    data: pokemonData,
-                    timestamp: Date.now()
-                });
-
-                logger.logApiCall('POKE_API', functionName, `Data cached for: ${identifier}`);
-                return pokemonData;
+                logger.logApiCall('POKE_API', functionName, `Cache ${status} for: ${subject}`, { cache_status: status });
+                res.set('X-Cache', status.toUpperCase());
+                return value;
             },
-            { pokemon: identifier }
+            { [key]: subject }
         );
 
-        logger.logApiCall('POKE_API', functionName, `Successfully fetched: ${identifier}`, {
-            pokemon_id: result.id,
-            pokemon_name: result.name
+        logger.logApiCall('POKE_API', functionName, `Successfully fetched ${label.toLowerCase()}: ${subject}`, {
+            id: result.id,
+            name: result.name ?? result.species
         });
 
         res.json(result);
 
     } catch (error) {
         if (error.response && error.response.status === 404) {
-            logger.logApiWarning('POKE_API', functionName, `Pokemon not found: ${identifier}`);
+            logger.logApiWarning('POKE_API', functionName, `${label} not found: ${subject}`);
             return res.status(404).json({ 
-                error: 'Pokemon not found', 
-                pokemon: identifier 
+                error: `${label} not found`, 
+                [key]: subject 
             });
         }
 
-        logger.logApiError('POKE_API', functionName, 'Failed to fetch Pokemon data', error, {
-            pokemon: identifier,
+        logger.logApiError('POKE_API', functionName, `Failed to fetch ${label.toLowerCase()} data`, error, {
+            [key]: subject,
             error_status: error.response?.status,
             error_code: error.code
         });
 
         res.status(500).json({ 
-            error: 'Failed to fetch Pokemon data', 
+            error: `Failed to fetch ${label.toLowerCase()} data`, 
             message: error.message 
         });
     }
+}
+
+app.get('/api/pokemon/:identifier', (req, res) => {
+    const { identifier } = req.params;
+    return sendResource(res, 'GET_POKEMON', { label: 'Pokemon', key: 'pokemon', subject: identifier },
+        () => fetchPokemon(identifier, 'GET_POKEMON'));
+});
+
+app.get('/api/pokemon/:identifier/species', (req, res) => {
+    const { identifier } = req.params;
+    return sendResource(res, 'GET_POKEMON_SPECIES', { label: 'Species', key: 'pokemon', subject: identifier },
+        () => fetchSpecies(identifier, 'GET_POKEMON_SPECIES'));
+});
+
+app.get('/api/pokemon/:identifier/evolution', (req, res) => {
+    const { identifier } = req.params;
+    return sendResource(res, 'GET_EVOLUTION_CHAIN', { label: 'Evolution chain', key: 'pokemon', subject: identifier },
+        () => fetchEvolutionChain(identifier, 'GET_EVOLUTION_CHAIN'));
 });
 
 app.get('/api/pokemon', async (req, res) => {
@@ -136,21 +188,15 @@ app.get('/api/pokemon', async (req, res) => {
             'POKE_API',
             functionName,
             async () => {
-                const pokeApiUrl = `https://pokeapi.co/api/v2/pokemon?limit=${limit}&offset=${offset}`;
                 logger.logApiCall('POKE_API', functionName, `Fetching Pokemon list: limit=${limit}, offset=${offset}`);
 
-                const response = await axios.get(pokeApiUrl, {
-                    timeout: 10000,
-                    headers: {
-                        'User-Agent': 'Pokemon-Microservice/1.0'
-                    }
-                });
+                const data = await pokeApi.get('pokemon', { limit, offset });
 
                 return {
-                    count: response.data.count,
-                    next: response.data.next,
-                    previous: response.data.previous,
-                    results: response.data.results
+                    count: data.count,
+                    next: data.next,
+                    previous: data.previous,
+                    results: data.results
                 };
             },
             { limit, offset }
@@ -172,13 +218,23 @@ app.get('/api/pokemon', async (req, res) => {
     }
 });
 
+app.get('/api/moves/:name', (req, res) => {
+    const { name } = req.params;
+    return sendResource(res, 'GET_MOVE', { label: 'Move', key: 'move', subject: name }, () => fetchMove(name, 'GET_MOVE'));
+});
+
+app.get('/api/types/:name', (req, res) => {
+    const { name } = req.params;
+    return sendResource(res, 'GET_TYPE', { label: 'Type', key: 'type', subject: name }, () => fetchType(name, 'GET_TYPE'));
+});
+
 app.get('/api/cache/stats', (req, res) => {
     const functionName = 'CACHE_STATS';
     logger.logApiCall('POKE_API', functionName, 'Cache stats requested');
 
     const stats = {
-        size: cache.size,
-        entries: Array.from(cache.keys()),
+        ...cache.stats(),
+        entries: cache.keys(),
         service: 'poke-api',
         timestamp: new Date().toISOString()
     };
@@ -186,11 +242,34 @@ app.get('/api/cache/stats', (req, res) => {
     res.json(stats);
 });
 
+// DELETE /api/cache vacía toda la caché; con ?pattern= (comodines * y ?) solo las claves que coinciden
 app.delete('/api/cache', (req, res) => {
+    const { pattern } = req.query;
+
+    if (pattern !== undefined) {
+        const functionName = 'DELETE_CACHE_PATTERN';
+        if (typeof pattern !== 'string' || pattern.trim() === '') {
+            return res.status(400).json({ error: 'Invalid pattern', message: 'pattern must be a non-empty string' });
+        }
+
+        const matcher = globToRegExp(pattern.trim());
+        const deleted = cache.deleteWhere(key => matcher.test(key));
+
+        logger.logApiCall('POKE_API', functionName, `Cache entries deleted by pattern: ${pattern}`, {
+            pattern,
+            entries_removed: deleted.length
+        });
+
+        return res.json({
+            message: 'Cache entries deleted successfully',
+            pattern,
+            entries_removed: deleted.length,
+            keys: deleted
+        });
+    }
+
     const functionName = 'CLEAR_CACHE';
-    const sizeBefore = cache.size;
-    
-    cache.clear();
+    const sizeBefore = cache.clear();
     
     logger.logApiCall('POKE_API', functionName, `Cache cleared`, {
         entries_removed: sizeBefore
@@ -202,42 +281,416 @@ app.delete('/api/cache', (req, res) => {
     });
 });
 
+// Las rutas fijas de /api/cache/warm van antes de /api/cache/:key
+app.post('/api/cache/warm', async (req, res) => {
+    const functionName = 'CACHE_WARM';
+    const wait = req.query.wait === 'true';
+
+    try {
+        const { names, source } = await resolveWarmNames(req.body || {});
+        const concurrency = parseWarmConcurrency(req.body?.concurrency);
+
+        const job = {
+            job_id: crypto.randomUUID(),
+            status: 'running',
+            source,
+            concurrency,
+            total: names.length,
+            completed: 0,
+            succeeded: 0,
+            failed: 0,
+            cache_status: { hit: 0, stale: 0, miss: 0, coalesced: 0 },
+            errors: [],
+            started_at: new Date().toISOString(),
+            finished_at: null,
+            duration_ms: null
+        };
+        registerWarmJob(job);
+
+        logger.logApiCall('POKE_API', functionName, `Cache warm-up started`, {
+            job_id: job.job_id,
+            source,
+            total: names.length,
+            concurrency
+        });
+
+        const running = runWarmJob(job, names);
+
+        if (wait) {
+            await running;
+            return res.json(formatWarmJob(job));
+        }
+
+        res.status(202).json({
+            ...formatWarmJob(job),
+            progress_url: `/api/cache/warm/${job.job_id}`
+        });
+
+    } catch (error) {
+        if (error.status === 400) {
+            logger.logApiWarning('POKE_API', functionName, error.message);
+            return res.status(400).json({ error: 'Invalid warm-up request', message: error.message });
+        }
+
+        logger.logApiError('POKE_API', functionName, 'Failed to start cache warm-up', error);
+        res.status(500).json({ error: 'Failed to start cache warm-up', message: error.message });
+    }
+});
+
+app.get('/api/cache/warm/:jobId', (req, res) => {
+    const functionName = 'CACHE_WARM_STATUS';
+    const job = warmJobs.get(req.params.jobId);
+
+    if (!job) {
+        logger.logApiWarning('POKE_API', functionName, `Warm-up job not found: ${req.params.jobId}`);
+        return res.status(404).json({ error: 'Warm-up job not found', job_id: req.params.jobId });
+    }
+
+    logger.logApiCall('POKE_API', functionName, `Warm-up job status requested: ${job.job_id}`, {
+        status: job.status,
+        completed: job.completed,
+        total: job.total
+    });
+
+    res.json(formatWarmJob(job));
+});
+
+app.get('/api/cache/:key', (req, res) => {
+    const functionName = 'GET_CACHE_ENTRY';
+    const entry = cache.inspect(req.params.key);
+
+    if (!entry) {
+        logger.logApiWarning('POKE_API', functionName, `Cache entry not found: ${req.params.key}`);
+        return res.status(404).json({ error: 'Cache entry not found', key: req.params.key });
+    }
+
+    logger.logApiCall('POKE_API', functionName, `Cache entry requested: ${req.params.key}`, {
+        state: entry.state,
+        age_ms: entry.age_ms,
+        hits: entry.hits
+    });
+
+    res.json(entry);
+});
+
+app.delete('/api/cache/:key', (req, res) => {
+    const functionName = 'DELETE_CACHE_ENTRY';
+
+    if (!cache.delete(req.params.key)) {
+        logger.logApiWarning('POKE_API', functionName, `Cache entry not found: ${req.params.key}`);
+        return res.status(404).json({ error: 'Cache entry not found', key: req.params.key });
+    }
+
+    logger.logApiCall('POKE_API', functionName, `Cache entry deleted: ${req.params.key}`);
+    res.json({ message: 'Cache entry deleted successfully', key: req.params.key });
+});
+
 app.get('/health', (req, res) => {
     logger.logApiCall('POKE_API', 'HEALTH_CHECK', 'Health check requested');
     res.json({ 
         service: 'poke-api', 
         status: 'healthy', 
         cache_size: cache.size,
+        upstream: pokeApi.describe(),
         timestamp: new Date().toISOString() 
     });
 });
 
+app.get('/metrics', (req, res) => {
+    logger.logApiCall('POKE_API', 'GET_METRICS', 'Metrics requested', { format: req.query.format || 'prometheus' });
+    sendMetrics(req, res, [metrics.snapshot()]);
+});
+
 app.use((error, req, res, next) => {
     logger.logApiError('POKE_API', 'MIDDLEWARE_ERROR', 'Unhandled error', error);
     res.status(500).json({ error: 'Internal server error' });
 });
 
+// Las entradas caducadas se descartan también al leerlas; esto solo libera memoria de las que nadie pide
 setInterval(() => {
-    const now = Date.now();
-    let cleaned = 0;
-    
-    for (const [key, value] of cache.entries()) {
-        if (now - value.timestamp > CACHE_TTL) {
-            cache.delete(key);
-            cleaned++;
-        }
-    }
-    
+    const cleaned = cache.prune();
+
     if (cleaned > 0) {
         logger.logApiCall('POKE_API', 'CACHE_CLEANUP', `Cleaned expired cache entries`, {
             entries_cleaned: cleaned,
             remaining_entries: cache.size
         });
     }
-}, 60000); // Cada minuto
+}, 60000).unref(); // Cada minuto
 
-app.listen(PORT, () => {
-    logger.logApiCall('POKE_API', 'SERVER_START', `Pokemon API server running on port ${PORT}`);
-});
+function badRequest(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+function globToRegExp(pattern) {
+    const source = pattern
+        .toLowerCase()
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '.*')
+        .replace(/\?/g, '.');
+    return new RegExp(`^${source}$`);
+}
+
+// Nombres del body ({ names } o { pokemon_names }) o, si no hay, de POKEMON_NAMES_CSV (un nombre por línea)
+async function resolveWarmNames(body) {
+    let names = body.names ?? body.pokemon_names;
+    let source = 'request';
+
+    if (names === undefined) {
+        let content;
+        try {
+            content = await fs.promises.readFile(POKEMON_NAMES_CSV, 'utf8');
+        } catch (error) {
+            throw badRequest(`No names provided and ${path.basename(POKEMON_NAMES_CSV)} could not be read`);
+        }
+        names = content.split(/\r?\n/).map(line => line.split(',')[0]);
+        source = path.basename(POKEMON_NAMES_CSV);
+    } else if (!Array.isArray(names) || names.some(name => typeof name !== 'string')) {
+        throw badRequest('names must be an array of strings');
+    }
+
+    const unique = [...new Set(
+        names
+            .map(name => name.trim().toLowerCase())
+            .filter(name => name !== '' && name !== 'name' && name !== 'pokemon_name')
+    )];
+
+    if (unique.length === 0) {
+        throw badRequest('No names to warm');
+    }
+    if (unique.length > CACHE_WARM_MAX_NAMES) {
+        throw badRequest(`Too many names: ${unique.length} (max ${CACHE_WARM_MAX_NAMES})`);
+    }
+
+    return { names: unique, source };
+}
+
+function parseWarmConcurrency(value) {
+    if (value === undefined) {
+        return CACHE_WARM_CONCURRENCY;
+    }
+    const concurrency = parseInt(value);
+    if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > 20) {
+        throw badRequest('concurrency must be an integer between 1 and 20');
+    }
+    return concurrency;
+}
+
+function registerWarmJob(job) {
+    warmJobs.set(job.job_id, job);
+
+    for (const [jobId, existing] of warmJobs) {
+        if (warmJobs.size <= MAX_WARM_JOBS) {
+            break;
+        }
+        if (existing.status !== 'running') {
+            warmJobs.delete(jobId);
+        }
+    }
+}
+
+async function runWarmJob(job, names) {
+    const startTime = Date.now();
+
+    try {
+        await measureExecutionTime(logger, 'POKE_API', 'CACHE_WARM', async () => {
+            await mapWithConcurrency(names, job.concurrency, async name => {
+                try {
+                    const { status } = await fetchPokemon(name, 'CACHE_WARM');
+                    job.cache_status[status]++;
+                    job.succeeded++;
+                } catch (error) {
+                    job.failed++;
+                    job.errors.push({
+                        name,
+                        status: error.response?.status || null,
+                        message: error.response?.status === 404 ? 'Pokemon not found' : error.message
+                    });
+                } finally {
+                    job.completed++;
+                }
+            });
+        }, { job_id: job.job_id, total: job.total });
+    } finally {
+        job.status = 'completed';
+        job.finished_at = new Date().toISOString();
+        job.duration_ms = Date.now() - startTime;
+
+        logger.logApiCall('POKE_API', 'CACHE_WARM', `Cache warm-up finished`, {
+            job_id: job.job_id,
+            succeeded: job.succeeded,
+            failed: job.failed,
+            duration_ms: job.duration_ms
+        });
+    }
+}
+
+function formatWarmJob(job) {
+    return {
+        ...job,
+        progress: job.total ? Math.round((job.completed / job.total) * 10000) / 100 : 100
+    };
+}
+
+// Formas recortadas de los recursos de PokeAPI
+
+function idFromUrl(url) {
+    const id = parseInt(String(url || '').split('/').filter(Boolean).pop());
+    return Number.isNaN(id) ? null : id;
+}
+
+// Entrada en inglés de una lista localizada; las descripciones usan la más reciente
+function englishEntry(entries = [], latest = false) {
+    const english = entries.filter(entry => entry.language?.name === 'en');
+    return latest ? english[english.length - 1] : english[0];
+}
+
+function cleanText(text) {
+    return text ? text.replace(/[\s\f\u00ad]+/g, ' ').trim() : null;
+}
+
+function trimPokemon(data) {
+    return {
+        id: data.id,
+        name: data.name,
+        species: data.species?.name ?? data.name,
+        height: data.height,
+        weight: data.weight,
+        base_experience: data.base_experience,
+        types: data.types.map(type => ({
+            name: type.type.name,
+            slot: type.slot
+        })),
+        abilities: data.abilities.map(ability => ({
+            name: ability.ability.name,
+            is_hidden: ability.is_hidden,
+            slot: ability.slot
+        })),
+        stats: data.stats.map(stat => ({
+            name: stat.stat.name,
+            base_stat: stat.base_stat,
+            effort: stat.effort
+        })),
+        sprites: {
+            front_default: data.sprites.front_default,
+            front_shiny: data.sprites.front_shiny,
+            back_default: data.sprites.back_default,
+            back_shiny: data.sprites.back_shiny
+        }
+    };
+}
+
+function trimSpecies(data) {
+    return {
+        id: data.id,
+        name: data.name,
+        order: data.order,
+        generation: data.generation?.name ?? null,
+        genus: englishEntry(data.genera)?.genus ?? null,
+        flavor_text: cleanText(englishEntry(data.flavor_text_entries, true)?.flavor_text),
+        is_baby: data.is_baby,
+        is_legendary: data.is_legendary,
+        is_mythical: data.is_mythical,
+        capture_rate: data.capture_rate,
+        base_happiness: data.base_happiness,
+        hatch_counter: data.hatch_counter,
+        growth_rate: data.growth_rate?.name ?? null,
+        habitat: data.habitat?.name ?? null,
+        color: data.color?.name ?? null,
+        shape: data.shape?.name ?? null,
+        evolves_from_species: data.evolves_from_species?.name ?? null,
+        evolution_chain_id: idFromUrl(data.evolution_chain?.url),
+        varieties: (data.varieties || []).map(variety => ({
+            name: variety.pokemon.name,
+            is_default: variety.is_default
+        }))
+    };
+}
+
+// Solo las condiciones presentes: PokeAPI devuelve unos 20 campos por evolución, casi todos null o false
+function trimEvolutionDetail(detail) {
+    const conditions = {};
+    for (const [field, value] of Object.entries(detail)) {
+        if (value === null || value === '' || value === false) {
+            continue;
+        }
+        conditions[field] = typeof value === 'object' ? value.name : value;
+    }
+    return conditions;
+}
+
+function trimEvolutionNode(node) {
+    return {
+        species: node.species.name,
+        species_id: idFromUrl(node.species.url),
+        is_baby: node.is_baby,
+        conditions: (node.evolution_details || []).map(trimEvolutionDetail),
+        evolves_to: (node.evolves_to || []).map(trimEvolutionNode)
+    };
+}
+
+function trimEvolutionChain(data) {
+    return {
+        id: data.id,
+        chain: trimEvolutionNode(data.chain)
+    };
+}
+
+function trimMove(data) {
+    const effect = englishEntry(data.effect_entries)?.short_effect;
+    return {
+        id: data.id,
+        name: data.name,
+        type: data.type?.name ?? null,
+        damage_class: data.damage_class?.name ?? null,
+        power: data.power,
+        accuracy: data.accuracy,
+        pp: data.pp,
+        priority: data.priority,
+        target: data.target?.name ?? null,
+        effect_chance: data.effect_chance,
+        effect: effect ? cleanText(effect.replace(/\$effect_chance/g, data.effect_chance)) : null,
+        stat_changes: (data.stat_changes || []).map(change => ({
+            stat: change.stat.name,
+            change: change.change
+        })),
+        generation: data.generation?.name ?? null,
+        learned_by_count: (data.learned_by_pokemon || []).length
+    };
+}
+
+const DAMAGE_RELATIONS = [
+    'double_damage_to',
+    'half_damage_to',
+    'no_damage_to',
+    'double_damage_from',
+    'half_damage_from',
+    'no_damage_from'
+];
+
+function trimType(data) {
+    const relations = data.damage_relations || {};
+    return {
+        id: data.id,
+        name: data.name,
+        generation: data.generation?.name ?? null,
+        move_damage_class: data.move_damage_class?.name ?? null,
+        damage_relations: Object.fromEntries(
+            DAMAGE_RELATIONS.map(relation => [relation, (relations[relation] || []).map(type => type.name)])
+        ),
+        pokemon_count: (data.pokemon || []).length,
+        pokemon: (data.pokemon || []).map(entry => entry.pokemon.name),
+        move_count: (data.moves || []).length
+    };
+}
+
+// Solo escucha al ejecutarse directamente; los tests importan la app y abren su propio puerto
+if (require.main === module) {
+    app.listen(PORT, () => {
+        logger.logApiCall('POKE_API', 'SERVER_START', `Pokemon API server running on port ${PORT}`, pokeApi.describe());
+    });
+}
 
 module.exports = app;
\ No newline at end of file
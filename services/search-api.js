@@ -1,10 +1,13 @@
 const express = require('express');
-const axios = require('axios');
 const cors = require('cors');
 const helmet = require('helmet');
 const fs = require('fs');
 const path = require('path');
 const { StandardLogger, latencyMiddleware, measureExecutionTime } = require('../utils/logger');
+const { metrics, sendMetrics } = require('../utils/metrics');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { ResilientHttpClient, breakerMetricsCollector } = require('../utils/resilience');
+const { propagationHeaders } = require('../utils/request-context');
 
 const app = express();
 const PORT = process.env.SEARCH_PORT || 3001;
@@ -24,6 +27,28 @@ const POKE_API_URL = process.env.POKE_API_URL || 'http://localhost:3004';
 const STATS_API_URL = process.env.STATS_API_URL || 'http://localhost:3002';
 const IMAGES_API_URL = process.env.IMAGES_API_URL || 'http://localhost:3003';
 
+// Circuit breaker por servicio y reintentos con jitter para las llamadas GET a los servicios
+const upstream = new ResilientHttpClient({
+    logger,
+    api: 'SEARCH_API',
+    timeoutMs: parseInt(process.env.SEARCH_UPSTREAM_TIMEOUT_MS) || 5000
+});
+['POKE_API', 'STATS_API', 'IMAGES_API'].forEach(serviceName => upstream.getBreaker(serviceName));
+metrics.addCollector(breakerMetricsCollector(upstream));
+
+const SEARCH_BATCH_MAX_NAMES = parseInt(process.env.SEARCH_BATCH_MAX_NAMES) || 20;
+const SEARCH_BATCH_CONCURRENCY = parseInt(process.env.SEARCH_BATCH_CONCURRENCY) || 2;
+
+// Valores aceptados en include= y el servicio del que dependen
+const INCLUDE_SERVICES = {
+    pokemon: 'poke_api',
+    stats: 'stats_api',
+    image: 'images_api'
+};
+
+// Claves de error que se conservan aunque fields= no las pida
+const ERROR_FIELDS = ['poke_api_error', 'stats_error', 'image_error'];
+
 app.get('/poke/search', async (req, res) => {
     const functionName = 'POKEMON_SEARCH';
     const { pokemon_name } = req.query;
@@ -33,53 +58,25 @@ app.get('/poke/search', async (req, res) => {
         return res.status(400).json({ error: 'pokemon_name parameter is required' });
     }
 
+    let options;
+    try {
+        options = parseSearchOptions(req.query);
+    } catch (error) {
+        logger.logApiError('SEARCH_API', functionName, 'Invalid search options', error);
+        return res.status(400).json({ error: error.message });
+    }
+
     try {
         const result = await measureExecutionTime(
             logger,
             'SEARCH_API',
             functionName,
             async () => {
-                logger.logApiCall('SEARCH_API', functionName, `Searching for pokemon: ${pokemon_name}`);
-
-                const promises = [
-                    fetchPokemonData(pokemon_name),
-                    fetchPokemonStats(pokemon_name),
-                    fetchPokemonImage(pokemon_name)
-                ];
-
-                const [pokeData, statsData, imageData] = await Promise.allSettled(promises);
-
-                const response = {
-                    name: pokemon_name,
-                    status: {},
-                    data: {}
-                };
-
-                if (pokeData.status === 'fulfilled') {
-                    response.data = { ...response.data, ...pokeData.value };
-                    response.status.poke_api = 'success';
-                } else {
-                    response.status.poke_api = 'error';
-                    response.data.poke_api_error = pokeData.reason.message;
-                }
-
-                if (statsData.status === 'fulfilled') {
-                    response.data.stats = statsData.value;
-                    response.status.stats_api = 'success';
-                } else {
-                    response.status.stats_api = 'error';
-                    response.data.stats_error = statsData.reason.message;
-                }
-
-                if (imageData.status === 'fulfilled') {
-                    response.data.image = imageData.value;
-                    response.status.images_api = 'success';
-                } else {
-                    response.status.images_api = 'error';
-                    response.data.image_error = imageData.reason.message;
-                }
-
-                return response;
+                logger.logApiCall('SEARCH_API', functionName, `Searching for pokemon: ${pokemon_name}`, {
+                    include: [...options.include],
+                    fields: options.fields
+                });
+                return await searchPokemon(pokemon_name, options);
             },
             { pokemon: pokemon_name }
         );
@@ -99,14 +96,217 @@ app.get('/poke/search', async (req, res) => {
     }
 });
 
+app.post('/poke/search/batch', async (req, res) => {
+    const functionName = 'POKEMON_SEARCH_BATCH';
+    const names = req.body?.names;
+
+    if (!Array.isArray(names) || names.length === 0) {
+        logger.logApiError('SEARCH_API', functionName, 'Missing names array in request body');
+        return res.status(400).json({ error: 'Body must include a non-empty "names" array' });
+    }
+
+    if (names.some(name => typeof name !== 'string' || !name.trim())) {
+        logger.logApiError('SEARCH_API', functionName, 'Invalid entry in names array');
+        return res.status(400).json({ error: 'Every entry in "names" must be a non-empty string' });
+    }
+
+    let options;
+    try {
+        options = parseSearchOptions({ ...req.query, ...req.body });
+    } catch (error) {
+        logger.logApiError('SEARCH_API', functionName, 'Invalid search options', error);
+        return res.status(400).json({ error: error.message });
+    }
+
+    const uniqueNames = [...new Set(names.map(name => name.trim().toLowerCase()))];
+
+    if (uniqueNames.length > SEARCH_BATCH_MAX_NAMES) {
+        logger.logApiError('SEARCH_API', functionName, 'Too many names in batch', null, {
+            requested: uniqueNames.length,
+            max: SEARCH_BATCH_MAX_NAMES
+        });
+        return res.status(400).json({ 
+            error: `A batch can contain at most ${SEARCH_BATCH_MAX_NAMES} distinct names`,
+            requested: uniqueNames.length
+        });
+    }
+
+    try {
+        const startTime = Date.now();
+        const results = await measureExecutionTime(
+            logger,
+            'SEARCH_API',
+            functionName,
+            async () => {
+                logger.logApiCall('SEARCH_API', functionName, `Batch search for ${uniqueNames.length} pokemon`, {
+                    names: uniqueNames,
+                    concurrency: SEARCH_BATCH_CONCURRENCY
+                });
+
+                return await mapWithConcurrency(uniqueNames, SEARCH_BATCH_CONCURRENCY, name => searchPokemon(name, options));
+            },
+            { requested: names.length, unique: uniqueNames.length }
+        );
+
+        const outcomes = results.map(result => {
+            const statuses = Object.values(result.status).filter(status => status !== 'skipped');
+            if (statuses.every(status => status === 'success')) return 'success';
+            if (statuses.every(status => status === 'error')) return 'failed';
+            return 'partial';
+        });
+
+        const summary = {
+            requested: names.length,
+            unique: uniqueNames.length,
+            duplicates_removed: names.length - uniqueNames.length,
+            succeeded: outcomes.filter(outcome => outcome === 'success').length,
+            partial: outcomes.filter(outcome => outcome === 'partial').length,
+            failed: outcomes.filter(outcome => outcome === 'failed').length,
+            duration_ms: Date.now() - startTime
+        };
+
+        logger.logApiCall('SEARCH_API', functionName, 'Batch search completed', summary);
+
+        res.json({ summary, results });
+
+    } catch (error) {
+        logger.logApiError('SEARCH_API', functionName, 'Batch search failed', error);
+        res.status(500).json({ 
+            error: 'Internal server error', 
+            message: error.message 
+        });
+    }
+});
+
+function toList(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    return [].concat(value).join(',').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// include= elige los servicios a consultar; fields= proyecta el bloque data.
+// Sin include, los servicios se deducen de fields (stats.* -> stats, image.* -> image, resto -> pokemon).
+function parseSearchOptions({ include, fields }) {
+    const fieldList = toList(fields);
+    let includeList = toList(include);
+
+    if (includeList) {
+        const invalid = includeList.filter(item => !INCLUDE_SERVICES[item]);
+        if (invalid.length > 0) {
+            throw new Error(`Invalid include value(s): ${invalid.join(', ')}. Allowed: ${Object.keys(INCLUDE_SERVICES).join(', ')}`);
+        }
+    } else if (fieldList) {
+        includeList = fieldList.map(field => {
+            const root = field.split('.')[0];
+            return INCLUDE_SERVICES[root] && root !== 'pokemon' ? root : 'pokemon';
+        });
+    } else {
+        includeList = Object.keys(INCLUDE_SERVICES);
+    }
+
+    return {
+        include: new Set(includeList),
+        fields: fieldList
+    };
+}
+
+function getPath(source, pathParts) {
+    return pathParts.reduce((value, key) => (value !== null && typeof value === 'object' ? value[key] : undefined), source);
+}
+
+function projectFields(data, fields) {
+    const projected = {};
+
+    for (const field of fields) {
+        const pathParts = field.split('.');
+        const value = getPath(data, pathParts);
+        if (value === undefined) {
+            continue;
+        }
+
+        let target = projected;
+        pathParts.slice(0, -1).forEach(key => {
+            target[key] = target[key] || {};
+            target = target[key];
+        });
+        target[pathParts[pathParts.length - 1]] = value;
+    }
+
+    ERROR_FIELDS.forEach(key => {
+        if (data[key] !== undefined) {
+            projected[key] = data[key];
+        }
+    });
+
+    return projected;
+}
+
+function skipped() {
+    return Promise.resolve({ skipped: true });
+}
+
+// Consulta en paralelo solo los servicios incluidos y combina lo que responda cada uno
+async function searchPokemon(pokemonName, { include = new Set(Object.keys(INCLUDE_SERVICES)), fields = null } = {}) {
+    const promises = [
+        include.has('pokemon') ? fetchPokemonData(pokemonName) : skipped(),
+        include.has('stats') ? fetchPokemonStats(pokemonName) : skipped(),
+        include.has('image') ? fetchPokemonImage(pokemonName) : skipped()
+    ];
+
+    const [pokeData, statsData, imageData] = await Promise.allSettled(promises);
+
+    const response = {
+        name: pokemonName,
+        status: {},
+        data: {}
+    };
+
+    if (!include.has('pokemon')) {
+        response.status.poke_api = 'skipped';
+    } else if (pokeData.status === 'fulfilled') {
+        response.data = { ...response.data, ...pokeData.value };
+        response.status.poke_api = 'success';
+    } else {
+        response.status.poke_api = 'error';
+        response.data.poke_api_error = pokeData.reason.message;
+    }
+
+    if (!include.has('stats')) {
+        response.status.stats_api = 'skipped';
+    } else if (statsData.status === 'fulfilled') {
+        response.data.stats = statsData.value;
+        response.status.stats_api = 'success';
+    } else {
+        response.status.stats_api = 'error';
+        response.data.stats_error = statsData.reason.message;
+    }
+
+    if (!include.has('image')) {
+        response.status.images_api = 'skipped';
+    } else if (imageData.status === 'fulfilled') {
+        response.data.image = imageData.value;
+        response.status.images_api = 'success';
+    } else {
+        response.status.images_api = 'error';
+        response.data.image_error = imageData.reason.message;
+    }
+
+    if (fields) {
+        response.data = projectFields(response.data, fields);
+    }
+
+    return response;
+}
+
 async function fetchPokemonData(pokemonName) {
     return await measureExecutionTime(
         logger,
         'SEARCH_API',
         'FETCH_POKEMON_DATA',
         async () => {
-            const response = await axios.get(`${POKE_API_URL}/api/pokemon/${pokemonName}`, {
-                timeout: 5000
+            const response = await upstream.get('POKE_API', `${POKE_API_URL}/api/pokemon/${pokemonName}`, {
+                headers: propagationHeaders()
             });
             return response.data;
         },
@@ -120,8 +320,8 @@ async function fetchPokemonStats(pokemonName) {
         'SEARCH_API',
         'FETCH_POKEMON_STATS',
         async () => {
-            const response = await axios.get(`${STATS_API_URL}/api/stats/${pokemonName}`, {
-                timeout: 5000
+            const response = await upstream.get('STATS_API', `${STATS_API_URL}/api/stats/${pokemonName}`, {
+                headers: propagationHeaders()
             });
             return response.data;
         },
@@ -135,8 +335,8 @@ async function fetchPokemonImage(pokemonName) {
         'SEARCH_API',
         'FETCH_POKEMON_IMAGE',
         async () => {
-            const response = await axios.get(`${IMAGES_API_URL}/api/images/${pokemonName}`, {
-                timeout: 5000
+            const response = await upstream.get('IMAGES_API', `${IMAGES_API_URL}/api/images/${pokemonName}`, {
+                headers: propagationHeaders()
             });
             return response.data;
         },
@@ -149,17 +349,26 @@ app.get('/health', (req, res) => {
     res.json({ 
         service: 'search-api', 
         status: 'healthy', 
+        circuit_breakers: upstream.snapshot(),
         timestamp: new Date().toISOString() 
     });
 });
 
+app.get('/metrics', (req, res) => {
+    logger.logApiCall('SEARCH_API', 'GET_METRICS', 'Metrics requested', { format: req.query.format || 'prometheus' });
+    sendMetrics(req, res, [metrics.snapshot()]);
+});
+
 app.use((error, req, res, next) => {
     logger.logApiError('SEARCH_API', 'MIDDLEWARE_ERROR', 'Unhandled error', error);
     res.status(500).json({ error: 'Internal server error' });
 });
 
-app.listen(PORT, () => {
-    logger.logApiCall('SEARCH_API', 'SERVER_START', `Search API server running on port ${PORT}`);
-});
+// Solo escucha al ejecutarse directamente; los tests importan la app y abren su propio puerto
+if (require.main === module) {
+    app.listen(PORT, () => {
+        logger.logApiCall('SEARCH_API', 'SERVER_START', `Search API server running on port ${PORT}`);
+    });
+}
 
 module.exports = app;
\ No newline at end of file
@@ -3,9 +3,21 @@ const axios = require('axios');
 const cors = require('cors');
 const helmet = require('helmet');
 const fs = require('fs');
+const crypto = require('crypto');
 const path = require('path');
 const csv = require('csv-parser');
+const multer = require('multer');
+const { Readable } = require('stream');
 const { StandardLogger, latencyMiddleware, measureExecutionTime } = require('../utils/logger');
+const { metrics, sendMetrics } = require('../utils/metrics');
+const { createStore } = require('../utils/storage');
+const { createSeededRandom } = require('../utils/seeded-random');
+const { propagationHeaders } = require('../utils/request-context');
+const { TYPES, isValidType, effectiveness, bestEffectiveness, defensiveProfile, offensiveProfile } = require('../utils/type-chart');
+const { parseFilters, matchesFilters, parseSort, compareBy, rankBy } = require('../utils/stats-query');
+const { StatsIndex } = require('../utils/stats-distribution');
+const { DISTANCE_METRICS, NeighborIndex } = require('../utils/kd-tree');
+const { MOVE_CATEGORIES, parseBuild, calculateStats, damageRolls, summarizeDamage, simulateBattle } = require('../utils/battle');
 
 const app = express();
 const PORT = process.env.STATS_API_PORT || 3002;
@@ -21,16 +33,86 @@ app.use(cors());
 app.use(express.json());
 app.use(latencyMiddleware(logger, 'STATS_API'));
 
-let pokemonStatsDB = new Map();
+const STATS_STORE = process.env.STATS_STORE || 'memory';
+const STATS_STORE_PATH = process.env.STATS_STORE_PATH || path.join(__dirname, '../data/stats-store.jsonl');
+
+const STATS_STORE_POLL_MS = parseInt(process.env.STATS_STORE_POLL_MS) || 2000;
+
+const statsStore = createStore(STATS_STORE, { filePath: STATS_STORE_PATH, pollIntervalMs: STATS_STORE_POLL_MS });
 let isDataLoaded = false;
 
+// En modo estricto un Pokemon desconocido devuelve 404 en lugar de datos simulados
+const STRICT_MODE = process.env.STRICT_MODE === 'true';
+
+// Tipos de los Pokemon que no están en el CSV (o cuyos datos son simulados)
+const POKE_API_URL = process.env.POKE_API_URL || 'http://localhost:3004';
+
+// Análisis de equipos: tamaño máximo de un equipo, sugerencias por defecto y umbral de rol
+// (la stat ofensiva o defensiva debe superar la media del Pokemon en este factor)
+const TEAM_MAX_SIZE = 6;
+const TEAM_SUGGESTION_LIMIT = parseInt(process.env.TEAM_SUGGESTION_LIMIT) || 5;
+const ROLE_THRESHOLD = 1.1;
+
+// Máximo de Pokemon por comparación
+const COMPARE_MAX_NAMES = 6;
+
+// Simulación de combate: potencia máxima de un movimiento y turnos antes de declarar tablas
+const MAX_MOVE_POWER = 250;
+const BATTLE_MAX_TURNS = 50;
+
+const STATS_CSV_PATH = process.env.STATS_CSV_PATH || path.join(__dirname, '../data/pokemon.csv');
+const CSV_MAX_UPLOAD_BYTES = parseInt(process.env.CSV_MAX_UPLOAD_BYTES) || 5 * 1024 * 1024;
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: CSV_MAX_UPLOAD_BYTES, files: 1 }
+});
+
+const STAT_FIELDS = ['hp', 'attack', 'defense', 'sp_attack', 'sp_defense', 'speed'];
+const POKEMON_TYPES = TYPES;
+const COMPARE_FIELDS = [...STAT_FIELDS, 'total'];
+const FILTER_FIELDS = [...COMPARE_FIELDS, 'generation'];
+const SORT_FIELDS = [...FILTER_FIELDS, 'name', 'type1', 'type2'];
+const LEADERBOARD_DEFAULT_LIMIT = 10;
+const LEADERBOARD_MAX_LIMIT = 100;
+const SUMMARY_GROUPS = ['generation', 'type', 'legendary'];
+const SUMMARY_MAX_BINS = 50;
+
+// Distribuciones por stat, actualizadas al cargar datos (inicio o importación CSV)
+const statsIndex = new StatsIndex(COMPARE_FIELDS);
+
+// Árboles k-d de /similar, uno por métrica; se construyen en la primera búsqueda tras cada carga
+let neighborIndexes = {};
+const SIMILAR_DEFAULT_K = 5;
+const SIMILAR_MAX_K = 50;
+
+// Cabeceras del CSV de Kaggle normalizadas (minúsculas, sin espacios ni puntuación)
+const CSV_COLUMN_MAP = {
+    name: 'name',
+    type1: 'type1',
+    type2: 'type2',
+    total: 'total',
+    hp: 'hp',
+    attack: 'attack',
+    defense: 'defense',
+    spatk: 'sp_attack',
+    spattack: 'sp_attack',
+    spdef: 'sp_defense',
+    spdefense: 'sp_defense',
+    speed: 'speed',
+    generation: 'generation',
+    legendary: 'legendary',
+    islegendary: 'legendary'
+};
+const REQUIRED_CSV_COLUMNS = ['name', 'type1', ...STAT_FIELDS, 'generation', 'legendary'];
+
 const samplePokemonStats = [
-    { name: 'pikachu', total: 320, hp: 35, attack: 55, defense: 40, sp_attack: 50, sp_defense: 50, speed: 90, generation: 1, legendary: false },
-    { name: 'charizard', total: 534, hp: 78, attack: 84, defense: 78, sp_attack: 109, sp_defense: 85, speed: 100, generation: 1, legendary: false },
-    { name: 'bulbasaur', total: 318, hp: 45, attack: 49, defense: 49, sp_attack: 65, sp_defense: 65, speed: 45, generation: 1, legendary: false },
-    { name: 'squirtle', total: 314, hp: 44, attack: 48, defense: 65, sp_attack: 50, sp_defense: 64, speed: 43, generation: 1, legendary: false },
-    { name: 'mewtwo', total: 680, hp: 106, attack: 110, defense: 90, sp_attack: 154, sp_defense: 90, speed: 130, generation: 1, legendary: true },
-    { name: 'mew', total: 600, hp: 100, attack: 100, defense: 100, sp_attack: 100, sp_defense: 100, speed: 100, generation: 1, legendary: true }
+    { name: 'pikachu', total: 320, hp: 35, attack: 55, defense: 40, sp_attack: 50, sp_defense: 50, speed: 90, generation: 1, legendary: false, type1: 'electric', type2: null },
+    { name: 'charizard', total: 534, hp: 78, attack: 84, defense: 78, sp_attack: 109, sp_defense: 85, speed: 100, generation: 1, legendary: false, type1: 'fire', type2: 'flying' },
+    { name: 'bulbasaur', total: 318, hp: 45, attack: 49, defense: 49, sp_attack: 65, sp_defense: 65, speed: 45, generation: 1, legendary: false, type1: 'grass', type2: 'poison' },
+    { name: 'squirtle', total: 314, hp: 44, attack: 48, defense: 65, sp_attack: 50, sp_defense: 64, speed: 43, generation: 1, legendary: false, type1: 'water', type2: null },
+    { name: 'mewtwo', total: 680, hp: 106, attack: 110, defense: 90, sp_attack: 154, sp_defense: 90, speed: 130, generation: 1, legendary: true, type1: 'psychic', type2: null },
+    { name: 'mew', total: 600, hp: 100, attack: 100, defense: 100, sp_attack: 100, sp_defense: 100, speed: 100, generation: 1, legendary: true, type1: 'psychic', type2: null }
 ];
 
 async function initializeStatsData() {
@@ -39,30 +121,186 @@ async function initializeStatsData() {
         'STATS_API',
         'INITIALIZE_DATA',
         async () => {
-            logger.logApiCall('STATS_API', 'INITIALIZE_DATA', 'Loading Pokemon stats data');
-
-            // ESTE SERIA EL CSV DE KAGGLE
-            // const csvPath = path.join(__dirname, '../data/pokemon.csv');
-            
-            // Por ahora usamos datos de ejemplo
-            samplePokemonStats.forEach(pokemon => {
-                pokemonStatsDB.set(pokemon.name.toLowerCase(), pokemon);
+            logger.logApiCall('STATS_API', 'INITIALIZE_DATA', 'Loading Pokemon stats data', {
+                store: statsStore.type
             });
 
+            // Un almacén persistente con datos de una ejecución anterior no se vuelve a sembrar
+            if (statsStore.type !== 'memory') {
+                await statsStore.compact();
+                const persistedCount = await statsStore.size();
+
+                if (persistedCount > 0) {
+                    indexStatsRecords((await statsStore.values()).map(pokemon => [pokemon.name.toLowerCase(), pokemon]));
+                    isDataLoaded = true;
+
+                    logger.logApiCall('STATS_API', 'INITIALIZE_DATA', 'Persisted data found in store', {
+                        store: statsStore.type,
+                        total_pokemon: persistedCount
+                    });
+
+                    return persistedCount;
+                }
+            }
+
+            // CSV de Kaggle si está disponible, si no usamos datos de ejemplo
+            if (fs.existsSync(STATS_CSV_PATH)) {
+                let report = null;
+                try {
+                    report = await loadCsvData(fs.createReadStream(STATS_CSV_PATH), { mode: 'replace' });
+                } catch (error) {
+                    // Un CSV con cabeceras o esquema inválidos no deja el servicio sin datos
+                    logger.logApiError('STATS_API', 'INITIALIZE_DATA', 'Failed to import CSV, falling back to sample data', error, {
+                        csv_path: STATS_CSV_PATH
+                    });
+                }
+
+                if (report && report.accepted > 0) {
+                    isDataLoaded = true;
+
+                    const totalPokemon = await statsStore.size();
+                    logger.logApiCall('STATS_API', 'INITIALIZE_DATA', 'CSV data loaded successfully', {
+                        csv_path: STATS_CSV_PATH,
+                        total_pokemon: totalPokemon,
+                        rejected: report.rejected,
+                        duplicates: report.duplicates
+                    });
+
+                    return totalPokemon;
+                }
+
+                if (report) {
+                    logger.logApiWarning('STATS_API', 'INITIALIZE_DATA', 'CSV file contained no valid rows, falling back to sample data', {
+                        csv_path: STATS_CSV_PATH
+                    });
+                }
+            }
+
+            const sampleEntries = samplePokemonStats.map(pokemon => [pokemon.name.toLowerCase(), pokemon]);
+            await statsStore.setMany(sampleEntries);
+            indexStatsRecords(sampleEntries);
+
             isDataLoaded = true;
             
+            const totalPokemon = await statsStore.size();
             logger.logApiCall('STATS_API', 'INITIALIZE_DATA', 'Sample data loaded successfully', {
-                total_pokemon: pokemonStatsDB.size
+                total_pokemon: totalPokemon
             });
 
-            return pokemonStatsDB.size;
+            return totalPokemon;
         }
     );
 }
 
+// Resumen del dataset: media, mediana, desviación, cuartiles e histograma por stat, opcionalmente por grupo
+app.get('/api/stats/summary', async (req, res) => {
+    const functionName = 'STATS_SUMMARY';
+    const { by } = req.query;
+
+    try {
+        const result = await measureExecutionTime(
+            logger,
+            'STATS_API',
+            functionName,
+            async () => {
+                if (by !== undefined && !SUMMARY_GROUPS.includes(by)) {
+                    throw badRequest(`by must be one of: ${SUMMARY_GROUPS.join(', ')}`);
+                }
+                const bins = parseSummaryBins(req.query.bins);
+
+                logger.logApiCall('STATS_API', functionName, 'Building stats summary', { by, bins });
+
+                if (!isDataLoaded) {
+                    await initializeStatsData();
+                }
+
+                return statsIndex.summary({ by, bins });
+            },
+            { by }
+        );
+
+        logger.logApiCall('STATS_API', functionName, 'Successfully built stats summary', {
+            pokemon_count: result.count,
+            groups: result.groups ? Object.keys(result.groups).length : 0
+        });
+
+        res.json(result);
+
+    } catch (error) {
+        if (error.status === 400) {
+            logger.logApiWarning('STATS_API', functionName, error.message, { by, bins: req.query.bins });
+            return res.status(400).json({ error: 'Invalid summary request', message: error.message });
+        }
+
+        logger.logApiError('STATS_API', functionName, 'Failed to build stats summary', error);
+        res.status(500).json({ 
+            error: 'Failed to build stats summary', 
+            message: error.message 
+        });
+    }
+});
+
+// Comparación lado a lado; summary y compare deben registrarse antes de /api/stats/:pokemonName
+// o se tomarían como nombre
+app.get('/api/stats/compare', async (req, res) => {
+    const functionName = 'COMPARE_POKEMON_STATS';
+    const strict = isStrictMode(req);
+    const includeRadar = req.query.radar === 'true';
+
+    try {
+        const names = parseCompareNames(req.query.names);
+
+        const result = await measureExecutionTime(
+            logger,
+            'STATS_API',
+            functionName,
+            async () => {
+                logger.logApiCall('STATS_API', functionName, `Comparing stats for: ${names.join(', ')}`);
+
+                const pokemon = await Promise.all(
+                    names.map(name => getStatsOrMock(name, strict, functionName))
+                );
+                return compareStats(pokemon, includeRadar);
+            },
+            { pokemon: names, strict, radar: includeRadar }
+        );
+
+        logger.logApiCall('STATS_API', functionName, `Successfully compared stats for: ${names.join(', ')}`, {
+            compared_count: names.length,
+            total_winner: result.stats.total.winners
+        });
+
+        res.json(result);
+
+    } catch (error) {
+        if (error.status === 400) {
+            logger.logApiWarning('STATS_API', functionName, error.message, { names: req.query.names });
+            return res.status(400).json({ error: 'Invalid comparison request', message: error.message });
+        }
+
+        if (error.message.includes('not found')) {
+            logger.logApiWarning('STATS_API', functionName, error.message, { strict });
+            return res.status(404).json({ 
+                error: 'Pokemon not found', 
+                message: error.message 
+            });
+        }
+
+        logger.logApiError('STATS_API', functionName, 'Failed to compare Pokemon stats', error, {
+            names: req.query.names
+        });
+
+        res.status(500).json({ 
+            error: 'Failed to compare Pokemon stats', 
+            message: error.message 
+        });
+    }
+});
+
 app.get('/api/stats/:pokemonName', async (req, res) => {
     const functionName = 'GET_POKEMON_STATS';
     const { pokemonName } = req.params;
+    const strict = isStrictMode(req);
 
     if (!pokemonName) {
         logger.logApiError('STATS_API', functionName, 'Missing Pokemon name parameter');
@@ -77,24 +315,9 @@ app.get('/api/stats/:pokemonName', async (req, res) => {
             async () => {
                 logger.logApiCall('STATS_API', functionName, `Fetching stats for: ${pokemonName}`);
 
-                if (!isDataLoaded) {
-                    await initializeStatsData();
-                }
-
-                const pokemonKey = pokemonName.toLowerCase();
-                const stats = pokemonStatsDB.get(pokemonKey);
-
-                if (!stats) {
-                    logger.logApiWarning('STATS_API', functionName, `No local stats found for: ${pokemonName}, generating mock data`);
-                    
-                    const mockStats = generateMockStats(pokemonName);
-                    pokemonStatsDB.set(pokemonKey, mockStats);
-                    return mockStats;
-                }
-
-                return stats;
+                return await getStatsOrMock(pokemonName, strict, functionName);
             },
-            { pokemon: pokemonName }
+            { pokemon: pokemonName, strict }
         );
 
         logger.logApiCall('STATS_API', functionName, `Successfully fetched stats for: ${pokemonName}`, {
@@ -106,6 +329,14 @@ app.get('/api/stats/:pokemonName', async (req, res) => {
         res.json(result);
 
     } catch (error) {
+        if (error.message.includes('not found')) {
+            logger.logApiWarning('STATS_API', functionName, `Pokemon not found: ${pokemonName}`, { strict });
+            return res.status(404).json({ 
+                error: 'Pokemon not found', 
+                pokemon: pokemonName 
+            });
+        }
+
         logger.logApiError('STATS_API', functionName, 'Failed to fetch Pokemon stats', error, {
             pokemon: pokemonName
         });
@@ -117,32 +348,64 @@ app.get('/api/stats/:pokemonName', async (req, res) => {
     }
 });
 
+// Stats guardadas o, fuera del modo estricto, simuladas; en modo estricto un Pokemon desconocido lanza "not found"
+async function getStatsOrMock(pokemonName, strict, functionName) {
+    if (!isDataLoaded) {
+        await initializeStatsData();
+    }
+
+    const stats = await statsStore.get(pokemonName.toLowerCase());
+
+    if (!stats) {
+        if (strict) {
+            throw new Error(`Pokemon ${pokemonName} not found`);
+        }
+
+        // Los datos simulados no se guardan: no deben contar como datos reales
+        logger.logApiWarning('STATS_API', functionName, `No local stats found for: ${pokemonName}, generating mock data`);
+        return generateMockStats(pokemonName);
+    }
+
+    return stats;
+}
+
+function isStrictMode(req) {
+    if (req.query.strict === 'true') return true;
+    if (req.query.strict === 'false') return false;
+    return STRICT_MODE;
+}
+
+// Mismo nombre, mismos valores: la semilla se deriva del nombre
 function generateMockStats(pokemonName) {
+    const name = pokemonName.toLowerCase();
+    const random = createSeededRandom(`stats:${name}`);
+
     const baseStats = {
-        hp: Math.floor(Math.random() * 100) + 20,
-        attack: Math.floor(Math.random() * 100) + 20,
-        defense: Math.floor(Math.random() * 100) + 20,
-        sp_attack: Math.floor(Math.random() * 100) + 20,
-        sp_defense: Math.floor(Math.random() * 100) + 20,
-        speed: Math.floor(Math.random() * 100) + 20
+        hp: Math.floor(random() * 100) + 20,
+        attack: Math.floor(random() * 100) + 20,
+        defense: Math.floor(random() * 100) + 20,
+        sp_attack: Math.floor(random() * 100) + 20,
+        sp_defense: Math.floor(random() * 100) + 20,
+        speed: Math.floor(random() * 100) + 20
     };
 
     const total = Object.values(baseStats).reduce((sum, stat) => sum + stat, 0);
 
     return {
-        name: pokemonName.toLowerCase(),
+        name: name,
         total: total,
         ...baseStats,
-        generation: Math.floor(Math.random() * 8) + 1,
-        legendary: Math.random() > 0.95, 
+        generation: Math.floor(random() * 8) + 1,
+        legendary: random() > 0.95, 
         type1: 'normal', 
-        type2: null
+        type2: null,
+        source: 'mock'
     };
 }
 
 app.get('/api/stats', async (req, res) => {
     const functionName = 'GET_ALL_STATS';
-    const { limit = 50, offset = 0, generation, legendary } = req.query;
+    const { limit = 50, offset = 0, generation, legendary, type, type1, type2, filter, sort } = req.query;
 
     try {
         const result = await measureExecutionTime(
@@ -151,22 +414,14 @@ app.get('/api/stats', async (req, res) => {
             functionName,
             async () => {
                 logger.logApiCall('STATS_API', functionName, 'Fetching multiple Pokemon stats', {
-                    limit, offset, generation, legendary
+                    limit, offset, generation, legendary, type, type1, type2, filter, sort
                 });
 
-                if (!isDataLoaded) {
-                    await initializeStatsData();
-                }
-
-                let pokemonList = Array.from(pokemonStatsDB.values());
-
-                if (generation) {
-                    pokemonList = pokemonList.filter(p => p.generation == generation);
-                }
+                const sortKeys = parseSort(sort, SORT_FIELDS);
+                let pokemonList = await queryStats(req.query);
 
-                if (legendary !== undefined) {
-                    const isLegendary = legendary === 'true';
-                    pokemonList = pokemonList.filter(p => p.legendary === isLegendary);
+                if (sortKeys.length > 0) {
+                    pokemonList = pokemonList.slice().sort(compareBy(sortKeys));
                 }
 
                 const startIndex = parseInt(offset);
@@ -180,7 +435,7 @@ app.get('/api/stats', async (req, res) => {
                     data: paginatedList
                 };
             },
-            { limit, offset, generation, legendary }
+            { limit, offset, generation, legendary, type, filter, sort }
         );
 
         logger.logApiCall('STATS_API', functionName, 'Successfully fetched Pokemon stats list', {
@@ -191,6 +446,11 @@ app.get('/api/stats', async (req, res) => {
         res.json(result);
 
     } catch (error) {
+        if (error.status === 400) {
+            logger.logApiWarning('STATS_API', functionName, error.message, { filter, sort, type, type1, type2 });
+            return res.status(400).json({ error: 'Invalid stats query', message: error.message });
+        }
+
         logger.logApiError('STATS_API', functionName, 'Failed to fetch Pokemon stats list', error);
         res.status(500).json({ 
             error: 'Failed to fetch Pokemon stats list', 
@@ -199,6 +459,110 @@ app.get('/api/stats', async (req, res) => {
     }
 });
 
+// Clasificación por una stat con puestos compartidos en empate; admite los mismos filtros que /api/stats
+app.get('/api/stats/leaderboard/:stat', async (req, res) => {
+    const functionName = 'STATS_LEADERBOARD';
+    const stat = req.params.stat.toLowerCase();
+    const { order = 'desc' } = req.query;
+
+    try {
+        const result = await measureExecutionTime(
+            logger,
+            'STATS_API',
+            functionName,
+            async () => {
+                if (!COMPARE_FIELDS.includes(stat)) {
+                    throw badRequest(`Unknown stat: ${stat} (expected ${COMPARE_FIELDS.join(', ')})`);
+                }
+                if (!['asc', 'desc'].includes(order)) {
+                    throw badRequest('order must be asc or desc');
+                }
+                const limit = parseLeaderboardLimit(req.query.limit);
+
+                logger.logApiCall('STATS_API', functionName, `Building leaderboard for: ${stat}`, { order, limit });
+
+                const ranked = rankBy(await queryStats(req.query), stat, order === 'asc' ? 1 : -1);
+
+                return {
+                    stat,
+                    order,
+                    total: ranked.length,
+                    limit,
+                    data: ranked.slice(0, limit).map(({ rank, tied, item }) => ({
+                        rank,
+                        tied,
+                        name: item.name,
+                        value: item[stat],
+                        type1: item.type1 || null,
+                        type2: item.type2 || null
+                    }))
+                };
+            },
+            { stat, order }
+        );
+
+        logger.logApiCall('STATS_API', functionName, `Successfully built leaderboard for: ${stat}`, {
+            returned_count: result.data.length,
+            total_ranked: result.total
+        });
+
+        res.json(result);
+
+    } catch (error) {
+        if (error.status === 400) {
+            logger.logApiWarning('STATS_API', functionName, error.message, { stat, query: req.query });
+            return res.status(400).json({ error: 'Invalid leaderboard request', message: error.message });
+        }
+
+        logger.logApiError('STATS_API', functionName, 'Failed to build leaderboard', error, { stat });
+        res.status(500).json({ 
+            error: 'Failed to build leaderboard', 
+            message: error.message 
+        });
+    }
+});
+
+// Filtros comunes de /api/stats y de la clasificación: generación, legendario, tipos y expresiones de rango
+async function queryStats(query) {
+    const { generation, legendary, filter } = query;
+    const filters = parseFilters(filter, FILTER_FIELDS);
+    const typeFilters = parseTypeFilters(query);
+
+    if (!isDataLoaded) {
+        await initializeStatsData();
+    }
+
+    let pokemonList = await statsStore.values();
+
+    if (generation) {
+        pokemonList = pokemonList.filter(p => p.generation == generation);
+    }
+
+    if (legendary !== undefined) {
+        const isLegendary = legendary === 'true';
+        pokemonList = pokemonList.filter(p => p.legendary === isLegendary);
+    }
+
+    if (typeFilters.type.length > 0) {
+        pokemonList = pokemonList.filter(p => typeFilters.type.every(t => p.type1 === t || p.type2 === t));
+    }
+
+    if (typeFilters.type1) {
+        pokemonList = pokemonList.filter(p => p.type1 === typeFilters.type1);
+    }
+
+    if (typeFilters.type2) {
+        // type2=none: solo Pokemon de un único tipo
+        pokemonList = pokemonList.filter(p => (p.type2 || 'none') === typeFilters.type2);
+    }
+
+    if (filters.length > 0) {
+        pokemonList = pokemonList.filter(p => matchesFilters(p, filters));
+    }
+
+    return pokemonList;
+}
+
 app.get('/api/stats/analysis/:pokemonName', async (req, res) => {
     const functionName = 'ANALYZE_POKEMON_STATS';
     const { pokemonName } = req.params;
@@ -216,29 +580,22 @@ app.get('/api/stats/analysis/:pokemonName', async (req, res) => {
                 }
 
                 const pokemonKey = pokemonName.toLowerCase();
-                const pokemon = pokemonStatsDB.get(pokemonKey);
+                const pokemon = await statsStore.get(pokemonKey);
 
                 if (!pokemon) {
                     throw new Error(`Pokemon ${pokemonName} not found`);
                 }
 
-                const allPokemon = Array.from(pokemonStatsDB.values());
                 const analysis = {
                     pokemon: pokemon,
-                    rankings: {
-                        total_ranking: calculateRanking(allPokemon, 'total', pokemon.total),
-                        hp_ranking: calculateRanking(allPokemon, 'hp', pokemon.hp),
-                        attack_ranking: calculateRanking(allPokemon, 'attack', pokemon.attack),
-                        defense_ranking: calculateRanking(allPokemon, 'defense', pokemon.defense),
-                        speed_ranking: calculateRanking(allPokemon, 'speed', pokemon.speed)
-                    },
-                    percentiles: {
-                        total_percentile: calculatePercentile(allPokemon, 'total', pokemon.total),
-                        hp_percentile: calculatePercentile(allPokemon, 'hp', pokemon.hp),
-                        attack_percentile: calculatePercentile(allPokemon, 'attack', pokemon.attack),
-                        defense_percentile: calculatePercentile(allPokemon, 'defense', pokemon.defense),
-                        speed_percentile: calculatePercentile(allPokemon, 'speed', pokemon.speed)
-                    },
+                    rankings: Object.fromEntries(COMPARE_FIELDS.map(stat => [
+                        `${stat}_ranking`,
+                        calculateRanking(stat, pokemon[stat])
+                    ])),
+                    percentiles: Object.fromEntries(COMPARE_FIELDS.map(stat => [
+                        `${stat}_percentile`,
+                        calculatePercentile(stat, pokemon[stat])
+                    ])),
                     strengths: identifyStrengths(pokemon),
                     weaknesses: identifyWeaknesses(pokemon)
                 };
@@ -275,15 +632,105 @@ app.get('/api/stats/analysis/:pokemonName', async (req, res) => {
     }
 });
 
-function calculateRanking(allPokemon, stat, value) {
-    const sortedValues = allPokemon.map(p => p[stat]).sort((a, b) => b - a);
-    return sortedValues.indexOf(value) + 1;
+// Vecinos más cercanos por las seis stats base (escaladas al máximo del dataset) usando un árbol k-d
+app.get('/api/stats/:pokemonName/similar', async (req, res) => {
+    const functionName = 'SIMILAR_POKEMON';
+    const { pokemonName } = req.params;
+    const { metric = 'euclidean' } = req.query;
+    const sameType = req.query.same_type === 'true';
+    const sameGeneration = req.query.same_generation === 'true';
+    const strict = isStrictMode(req);
+
+    try {
+        const result = await measureExecutionTime(
+            logger,
+            'STATS_API',
+            functionName,
+            async () => {
+                if (!DISTANCE_METRICS.includes(metric)) {
+                    throw badRequest(`metric must be one of: ${DISTANCE_METRICS.join(', ')}`);
+                }
+                const k = parseSimilarK(req.query.k);
+
+                logger.logApiCall('STATS_API', functionName, `Finding Pokemon similar to: ${pokemonName}`, {
+                    k, metric, same_type: sameType, same_generation: sameGeneration
+                });
+
+                const pokemon = await getStatsOrMock(pokemonName, strict, functionName);
+                const types = sameType ? (await resolvePokemonTypes(pokemon, strict)).types : null;
+
+                const { index, scale } = getNeighborIndex(metric);
+                const target = STAT_FIELDS.map(stat => pokemon[stat] / scale[stat]);
+                const filter = candidate =>
+                    candidate.name !== pokemon.name &&
+                    (!types || types.includes(candidate.type1) || types.includes(candidate.type2)) &&
+                    (!sameGeneration || candidate.generation === pokemon.generation);
+
+                return {
+                    pokemon: pokemon.name,
+                    source: pokemon.source || 'stats',
+                    metric,
+                    k,
+                    constraints: {
+                        same_type: sameType ? types : false,
+                        same_generation: sameGeneration ? pokemon.generation : false
+                    },
+                    indexed: index.size,
+                    similar: index.nearest(target, k, { filter }).map(({ value, distance }) => ({
+                        name: value.name,
+                        similarity: similarityScore(metric, distance),
+                        distance: Math.round(distance * 10000) / 10000,
+                        type1: value.type1 || null,
+                        type2: value.type2 || null,
+                        generation: value.generation,
+                        stats: Object.fromEntries(STAT_FIELDS.map(stat => [stat, value[stat]]))
+                    }))
+                };
+            },
+            { pokemon: pokemonName, metric, strict }
+        );
+
+        logger.logApiCall('STATS_API', functionName, `Successfully found Pokemon similar to: ${pokemonName}`, {
+            returned_count: result.similar.length,
+            indexed: result.indexed
+        });
+
+        res.json(result);
+
+    } catch (error) {
+        if (error.status === 400) {
+            logger.logApiWarning('STATS_API', functionName, error.message, { pokemon: pokemonName });
+            return res.status(400).json({ error: 'Invalid similarity request', message: error.message });
+        }
+
+        if (error.message.includes('not found')) {
+            logger.logApiWarning('STATS_API', functionName, error.message, { strict });
+            return res.status(404).json({ 
+                error: 'Pokemon not found', 
+                pokemon: pokemonName 
+            });
+        }
+
+        logger.logApiError('STATS_API', functionName, 'Failed to find similar Pokemon', error, {
+            pokemon: pokemonName
+        });
+
+        res.status(500).json({ 
+            error: 'Failed to find similar Pokemon', 
+            message: error.message 
+        });
+    }
+});
+
+// Ranking con empates (1 + número de Pokemon con un valor mayor) y percentil sobre las distribuciones
+// precalculadas; null si el Pokemon no tiene la stat
+function calculateRanking(stat, value) {
+    return statsIndex.rank(stat, value);
 }
 
-function calculatePercentile(allPokemon, stat, value) {
-    const values = allPokemon.map(p => p[stat]).sort((a, b) => a - b);
-    const index = values.indexOf(value);
-    return Math.round((index / values.length) * 100);
+// Porcentaje de Pokemon con un valor menor; también vale para valores que no están en el dataset (datos simulados)
+function calculatePercentile(stat, value) {
+    return statsIndex.percentile(stat, value);
 }
 
 function identifyStrengths(pokemon) {
@@ -316,68 +763,1112 @@ function identifyWeaknesses(pokemon) {
     return weaknesses.sort((a, b) => a.value - b.value);
 }
 
-app.post('/api/stats/load-csv', async (req, res) => {
-    const functionName = 'LOAD_CSV_DATA';
-    
-    try {
-        const result = await measureExecutionTime(
-            logger,
-            'STATS_API',
-            functionName,
-            async () => {
-                logger.logApiCall('STATS_API', functionName, 'Loading CSV data');
-
-                // const csvPath = path.join(__dirname, '../data/pokemon.csv');
-                // return await loadCsvData(csvPath);
-                
-                // Por ahora solo reinicializamos los datos de ejemplo
-                pokemonStatsDB.clear();
-                await initializeStatsData();
-                
-                return { loaded: pokemonStatsDB.size };
-            }
-        );
+function normalizePokemonName(name) {
+    return String(name)
+        .trim()
+        .toLowerCase()
+        .replace(/♀/g, '-f')
+        .replace(/♂/g, '-m')
+        .replace(/[.'’:]/g, '')
+        .replace(/\s+/g, '-');
+}
 
-        logger.logApiCall('STATS_API', functionName, 'CSV data loaded successfully', {
-            pokemon_count: result.loaded
-        });
+function normalizeCsvHeader(header) {
+    const key = header.trim().toLowerCase().replace(/[^a-z0-9]/g, '');
+    return CSV_COLUMN_MAP[key] || null;
+}
 
-        res.json({ 
-            message: 'Data loaded successfully', 
-            pokemon_count: result.loaded 
-        });
+function parseStatValue(rawValue, min, max) {
+    const text = String(rawValue ?? '').trim();
+    if (!/^\d+$/.test(text)) {
+        return null;
+    }
 
-    } catch (error) {
-        logger.logApiError('STATS_API', functionName, 'Failed to load CSV data', error);
-        res.status(500).json({ 
-            error: 'Failed to load CSV data', 
-            message: error.message 
-        });
+    const value = parseInt(text, 10);
+    return value >= min && value <= max ? value : null;
+}
+
+function parseLegendary(rawValue) {
+    const text = String(rawValue ?? '').trim().toLowerCase();
+    if (['true', '1', 'yes'].includes(text)) return true;
+    if (['false', '0', 'no'].includes(text)) return false;
+    return null;
+}
+
+function validateCsvRow(row) {
+    const name = row.name ? normalizePokemonName(row.name) : '';
+    if (!name) {
+        return { reason: 'missing name' };
     }
-});
 
-app.get('/health', (req, res) => {
-    logger.logApiCall('STATS_API', 'HEALTH_CHECK', 'Health check requested');
-    res.json({ 
-        service: 'stats-api', 
-        status: 'healthy', 
-        data_loaded: isDataLoaded,
-        pokemon_count: pokemonStatsDB.size,
-        timestamp: new Date().toISOString() 
-    });
-});
+    const type1 = String(row.type1 || '').trim().toLowerCase();
+    if (!POKEMON_TYPES.includes(type1)) {
+        return { name, reason: `invalid type1: '${row.type1 || ''}'` };
+    }
+
+    const type2 = String(row.type2 || '').trim().toLowerCase() || null;
+    if (type2 && !POKEMON_TYPES.includes(type2)) {
+        return { name, reason: `invalid type2: '${row.type2}'` };
+    }
+
+    const stats = {};
+    for (const stat of STAT_FIELDS) {
+        const value = parseStatValue(row[stat], 1, 255);
+        if (value === null) {
+            return { name, reason: `invalid ${stat}: '${row[stat] ?? ''}'` };
+        }
+        stats[stat] = value;
+    }
+
+    const total = Object.values(stats).reduce((sum, stat) => sum + stat, 0);
+    if (row.total !== undefined && String(row.total).trim() !== '' && parseStatValue(row.total, 0, 1530) !== total) {
+        return { name, reason: `total mismatch: expected ${total}, got '${row.total}'` };
+    }
+
+    const generation = parseStatValue(row.generation, 1, 9);
+    if (generation === null) {
+        return { name, reason: `invalid generation: '${row.generation ?? ''}'` };
+    }
+
+    const legendary = parseLegendary(row.legendary);
+    if (legendary === null) {
+        return { name, reason: `invalid legendary flag: '${row.legendary ?? ''}'` };
+    }
+
+    return {
+        name,
+        record: { name, total, ...stats, generation, legendary, type1, type2 }
+    };
+}
+
+// Parsea el CSV en streaming y devuelve el reporte de validación por fila
+function parseStatsCsv(inputStream) {
+    return new Promise((resolve, reject) => {
+        const report = {
+            total_rows: 0,
+            accepted: 0,
+            rejected: 0,
+            duplicates: 0,
+            rejected_rows: [],
+            duplicate_rows: []
+        };
+        const records = new Map();
+        const firstSeenRow = new Map();
+        let rowNumber = 1; // la fila 1 es la cabecera
+
+        const parser = csv({ mapHeaders: ({ header }) => normalizeCsvHeader(header) });
+
+        parser.on('headers', headers => {
+            const missing = REQUIRED_CSV_COLUMNS.filter(column => !headers.includes(column));
+            if (missing.length > 0) {
+                const error = new Error(`CSV is missing required columns: ${missing.join(', ')}`);
+                error.status = 400;
+                inputStream.unpipe(parser);
+                inputStream.destroy();
+                parser.destroy();
+                reject(error);
+            }
+        });
+
+        parser.on('data', row => {
+            rowNumber++;
+            report.total_rows++;
+
+            const { name, record, reason } = validateCsvRow(row);
+
+            if (!record) {
+                report.rejected++;
+                report.rejected_rows.push({ row: rowNumber, name: name || null, reason });
+                return;
+            }
+
+            if (records.has(name)) {
+                report.duplicates++;
+                report.duplicate_rows.push({ row: rowNumber, name, first_row: firstSeenRow.get(name) });
+                return;
+            }
+
+            records.set(name, record);
+            firstSeenRow.set(name, rowNumber);
+            report.accepted++;
+        });
+
+        parser.on('end', () => resolve({ report, records }));
+        parser.on('error', reject);
+        inputStream.on('error', reject);
+
+        inputStream.pipe(parser);
+    });
+}
+
+// Índices derivados del dataset: las distribuciones se actualizan al momento y los árboles k-d se invalidan
+function indexStatsRecords(entries, { replace = true } = {}) {
+    if (replace) {
+        statsIndex.rebuild(entries);
+    } else {
+        for (const [name, record] of entries) {
+            statsIndex.upsert(name, record);
+        }
+    }
+    neighborIndexes = {};
+}
+
+async function loadCsvData(inputStream, { mode = 'replace' } = {}) {
+    const { report, records } = await parseStatsCsv(inputStream);
+
+    if (records.size > 0) {
+        if (mode === 'replace') {
+            await statsStore.replaceAll(records);
+        } else {
+            await statsStore.setMany(records);
+        }
+        indexStatsRecords(records, { replace: mode === 'replace' });
+    }
+
+    return { mode, ...report };
+}
+
+app.post('/api/stats/load-csv', (req, res, next) => {
+    upload.single('file')(req, res, error => {
+        if (error) {
+            logger.logApiError('STATS_API', 'LOAD_CSV_DATA', 'Invalid CSV upload', error);
+            return res.status(400).json({ 
+                error: 'Invalid CSV upload', 
+                message: error.message 
+            });
+        }
+        next();
+    });
+}, async (req, res) => {
+    const functionName = 'LOAD_CSV_DATA';
+    const mode = req.body?.mode || req.query.mode || 'replace';
+
+    if (!['replace', 'append'].includes(mode)) {
+        logger.logApiError('STATS_API', functionName, `Invalid load mode: ${mode}`);
+        return res.status(400).json({ error: 'mode must be one of: replace, append' });
+    }
+
+    if (!req.file && !fs.existsSync(STATS_CSV_PATH)) {
+        logger.logApiError('STATS_API', functionName, 'No CSV uploaded and configured CSV path does not exist', null, {
+            csv_path: STATS_CSV_PATH
+        });
+        return res.status(400).json({ 
+            error: 'No CSV provided', 
+            message: 'Upload a file in the "file" field or configure STATS_CSV_PATH' 
+        });
+    }
+
+    try {
+        const result = await measureExecutionTime(
+            logger,
+            'STATS_API',
+            functionName,
+            async () => {
+                const source = req.file ? 'upload' : 'file';
+                logger.logApiCall('STATS_API', functionName, 'Loading CSV data', {
+                    source,
+                    mode,
+                    file: req.file ? req.file.originalname : STATS_CSV_PATH
+                });
+
+                const inputStream = req.file
+                    ? Readable.from(req.file.buffer)
+                    : fs.createReadStream(STATS_CSV_PATH);
+
+                const report = await loadCsvData(inputStream, { mode });
+                if (report.accepted > 0) {
+                    isDataLoaded = true;
+                }
+
+                return {
+                    source,
+                    file: req.file ? req.file.originalname : path.basename(STATS_CSV_PATH),
+                    ...report,
+                    loaded: await statsStore.size()
+                };
+            },
+            { mode }
+        );
+
+        logger.logApiCall('STATS_API', functionName, 'CSV data processed', {
+            pokemon_count: result.loaded,
+            accepted: result.accepted,
+            rejected: result.rejected,
+            duplicates: result.duplicates
+        });
+
+        if (result.accepted === 0) {
+            return res.status(422).json({ 
+                error: 'CSV contained no valid rows', 
+                pokemon_count: result.loaded,
+                report: result 
+            });
+        }
+
+        res.json({ 
+            message: 'Data loaded successfully', 
+            pokemon_count: result.loaded,
+            report: result 
+        });
+
+    } catch (error) {
+        if (error.status === 400) {
+            logger.logApiWarning('STATS_API', functionName, 'Invalid CSV schema', { message: error.message });
+            return res.status(400).json({ 
+                error: 'Invalid CSV schema', 
+                message: error.message 
+            });
+        }
+
+        logger.logApiError('STATS_API', functionName, 'Failed to load CSV data', error);
+        res.status(500).json({ 
+            error: 'Failed to load CSV data', 
+            message: error.message 
+        });
+    }
+});
+
+// Multiplicadores ofensivos y defensivos de uno o dos tipos
+app.get('/api/matchup/types', (req, res) => {
+    const functionName = 'TYPE_MATCHUP';
+
+    try {
+        const types = parseTypeList(req.query.types);
+        const result = {
+            types,
+            defensive: defensiveProfile(types),
+            offensive: offensiveProfile(types)
+        };
+
+        logger.logApiCall('STATS_API', functionName, `Type matchup computed for: ${types.join('/')}`, {
+            types,
+            weaknesses: result.defensive.weaknesses.length
+        });
+
+        res.json(result);
+
+    } catch (error) {
+        if (error.status === 400) {
+            logger.logApiWarning('STATS_API', functionName, error.message, { types: req.query.types });
+            return res.status(400).json({ error: 'Invalid types', message: error.message, valid_types: TYPES });
+        }
+
+        logger.logApiError('STATS_API', functionName, 'Failed to compute type matchup', error);
+        res.status(500).json({ error: 'Failed to compute type matchup', message: error.message });
+    }
+});
+
+// Enfrentamiento entre dos Pokemon: tipos + stats base -> puntuación de ventaja del atacante
+app.get('/api/matchup', async (req, res) => {
+    const functionName = 'POKEMON_MATCHUP';
+    const { attacker, defender } = req.query;
+    const strict = isStrictMode(req);
+
+    if (!attacker || !defender) {
+        logger.logApiWarning('STATS_API', functionName, 'Missing attacker or defender parameter');
+        return res.status(400).json({
+            error: 'Invalid matchup request',
+            message: 'attacker and defender query parameters are required'
+        });
+    }
+
+    try {
+        const result = await measureExecutionTime(
+            logger,
+            'STATS_API',
+            functionName,
+            async () => {
+                const [attackerData, defenderData] = await Promise.all([
+                    getMatchupCombatant(attacker, strict, functionName),
+                    getMatchupCombatant(defender, strict, functionName)
+                ]);
+
+                return {
+                    attacker: attackerData,
+                    defender: defenderData,
+                    ...computeMatchup(attackerData, defenderData)
+                };
+            },
+            { attacker, defender, strict }
+        );
+
+        logger.logApiCall('STATS_API', functionName, `Matchup computed: ${attacker} vs ${defender}`, {
+            advantage_score: result.advantage_score,
+            verdict: result.verdict
+        });
+
+        res.json(result);
+
+    } catch (error) {
+        if (error.status === 502 || error.status === 503) {
+            logger.logApiError('STATS_API', functionName, error.message, error, { strict });
+            return res.status(error.status).json({
+                error: 'Upstream service unavailable',
+                service: error.service,
+                message: error.message
+            });
+        }
+
+        if (error.message.includes('not found')) {
+            logger.logApiWarning('STATS_API', functionName, error.message, { strict });
+            return res.status(404).json({ 
+                error: 'Pokemon not found', 
+                message: error.message 
+            });
+        }
+
+        logger.logApiError('STATS_API', functionName, 'Failed to compute matchup', error, {
+            attacker,
+            defender
+        });
+
+        res.status(500).json({ 
+            error: 'Failed to compute matchup', 
+            message: error.message 
+        });
+    }
+});
+
+// Análisis de un equipo (hasta 6): totales, cobertura ofensiva, debilidades compartidas, roles y sugerencias del dataset
+app.post('/api/teams/analyze', async (req, res) => {
+    const functionName = 'TEAM_ANALYZE';
+    const strict = isStrictMode(req);
+
+    try {
+        const names = parseTeamNames(req.body);
+        const suggestionLimit = parseSuggestionLimit(req.body.suggestions);
+
+        const result = await measureExecutionTime(
+            logger,
+            'STATS_API',
+            functionName,
+            async () => {
+                logger.logApiCall('STATS_API', functionName, `Analyzing team: ${names.join(', ')}`);
+
+                const members = await Promise.all(
+                    names.map(name => getMatchupCombatant(name, strict, functionName))
+                );
+                members.forEach(member => {
+                    member.total = STAT_FIELDS.reduce((sum, stat) => sum + member.stats[stat], 0);
+                    member.role = suggestRole(member.stats);
+                });
+
+                const analysis = analyzeTeam(members);
+                analysis.suggestions = await suggestTeamMembers(members, analysis, suggestionLimit);
+                return analysis;
+            },
+            { team: names, strict }
+        );
+
+        logger.logApiCall('STATS_API', functionName, `Team analyzed: ${names.join(', ')}`, {
+            team_size: names.length,
+            uncovered_types: result.coverage.uncovered.length,
+            shared_weaknesses: result.defense.shared_weaknesses.length,
+            suggestions: result.suggestions.length
+        });
+
+        res.json(result);
+
+    } catch (error) {
+        if (error.status === 400) {
+            logger.logApiWarning('STATS_API', functionName, error.message);
+            return res.status(400).json({ error: 'Invalid team', message: error.message });
+        }
+
+        if (error.status === 502 || error.status === 503) {
+            logger.logApiError('STATS_API', functionName, error.message, error, { strict });
+            return res.status(error.status).json({
+                error: 'Upstream service unavailable',
+                service: error.service,
+                message: error.message
+            });
+        }
+
+        if (error.message.includes('not found')) {
+            logger.logApiWarning('STATS_API', functionName, error.message, { strict });
+            return res.status(404).json({ 
+                error: 'Pokemon not found', 
+                message: error.message 
+            });
+        }
+
+        logger.logApiError('STATS_API', functionName, 'Failed to analyze team', error);
+
+        res.status(500).json({ 
+            error: 'Failed to analyze team', 
+            message: error.message 
+        });
+    }
+});
+
+// Simulación de combate: stats al nivel indicado, rangos de daño de un movimiento (y opcionalmente
+// la respuesta del defensor), orden de turno y un combate por turnos reproducible con `seed`
+app.post('/api/battle/simulate', async (req, res) => {
+    const functionName = 'BATTLE_SIMULATE';
+    const strict = isStrictMode(req);
+
+    try {
+        const request = parseBattleRequest(req.body);
+
+        const result = await measureExecutionTime(
+            logger,
+            'STATS_API',
+            functionName,
+            async () => {
+                logger.logApiCall('STATS_API', functionName, `Simulating battle: ${request.attacker.name} vs ${request.defender.name}`, {
+                    seed: request.seed
+                });
+
+                const [attacker, defender] = await Promise.all([
+                    getBattleCombatant(request.attacker, strict, functionName),
+                    getBattleCombatant(request.defender, strict, functionName)
+                ]);
+
+                return runBattle(attacker, defender, request);
+            },
+            { attacker: request.attacker.name, defender: request.defender.name, seed: request.seed, strict }
+        );
+
+        logger.logApiCall('STATS_API', functionName, `Battle simulated: ${request.attacker.name} vs ${request.defender.name}`, {
+            seed: result.seed,
+            moves_first: result.speed.moves_first,
+            winner: result.simulation.winner,
+            turns: result.simulation.turns_taken
+        });
+
+        res.json(result);
+
+    } catch (error) {
+        if (error.status === 400) {
+            logger.logApiWarning('STATS_API', functionName, error.message);
+            return res.status(400).json({ error: 'Invalid battle request', message: error.message });
+        }
+
+        if (error.status === 502 || error.status === 503) {
+            logger.logApiError('STATS_API', functionName, error.message, error, { strict });
+            return res.status(error.status).json({
+                error: 'Upstream service unavailable',
+                service: error.service,
+                message: error.message
+            });
+        }
+
+        if (error.message.includes('not found')) {
+            logger.logApiWarning('STATS_API', functionName, error.message, { strict });
+            return res.status(404).json({ 
+                error: 'Pokemon not found', 
+                message: error.message 
+            });
+        }
+
+        logger.logApiError('STATS_API', functionName, 'Failed to simulate battle', error);
+
+        res.status(500).json({ 
+            error: 'Failed to simulate battle', 
+            message: error.message 
+        });
+    }
+});
+
+app.get('/health', async (req, res) => {
+    logger.logApiCall('STATS_API', 'HEALTH_CHECK', 'Health check requested');
+
+    try {
+        res.json({ 
+            service: 'stats-api', 
+            status: 'healthy', 
+            data_loaded: isDataLoaded,
+            store: statsStore.type,
+            pokemon_count: await statsStore.size(),
+            timestamp: new Date().toISOString() 
+        });
+    } catch (error) {
+        logger.logApiError('STATS_API', 'HEALTH_CHECK', 'Stats store unavailable', error, {
+            store: statsStore.type
+        });
+        res.status(503).json({ 
+            service: 'stats-api', 
+            status: 'unhealthy', 
+            store: statsStore.type,
+            error: error.message,
+            timestamp: new Date().toISOString() 
+        });
+    }
+});
+
+app.get('/metrics', (req, res) => {
+    logger.logApiCall('STATS_API', 'GET_METRICS', 'Metrics requested', { format: req.query.format || 'prometheus' });
+    sendMetrics(req, res, [metrics.snapshot()]);
+});
 
 app.use((error, req, res, next) => {
     logger.logApiError('STATS_API', 'MIDDLEWARE_ERROR', 'Unhandled error', error);
     res.status(500).json({ error: 'Internal server error' });
 });
 
-initializeStatsData().catch(error => {
-    logger.logApiError('STATS_API', 'SERVER_INIT', 'Failed to initialize data', error);
-});
+// Con un almacén compartido, lo que importe otra réplica se refleja también en los índices de esta
+if (typeof statsStore.watch === 'function') {
+    statsStore.on('change', records => {
+        indexStatsRecords(records);
+        logger.logApiCall('STATS_API', 'STORE_SYNC', 'Store changed on disk, indexes rebuilt', {
+            store: statsStore.type,
+            total_pokemon: records.size
+        });
+    });
+    statsStore.on('syncError', error => {
+        logger.logApiError('STATS_API', 'STORE_SYNC', 'Failed to reload store from disk', error);
+    });
+}
 
-app.listen(PORT, () => {
-    logger.logApiCall('STATS_API', 'SERVER_START', `Stats API server running on port ${PORT}`);
-});
+initializeStatsData()
+    .then(() => {
+        if (typeof statsStore.watch === 'function') {
+            statsStore.watch();
+        }
+    })
+    .catch(error => {
+        logger.logApiError('STATS_API', 'SERVER_INIT', 'Failed to initialize data', error);
+    });
+
+function badRequest(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+// Fallo de otro servicio: 502 si respondió con error, 503 si no respondió (red, timeout)
+function upstreamError(service, message, cause) {
+    const error = new Error(`${message}: ${cause.message}`);
+    error.status = cause.response ? 502 : 503;
+    error.service = service;
+    return error;
+}
+
+// "fire,flying" -> ['fire', 'flying']: uno o dos tipos válidos y distintos
+function parseTypeList(value) {
+    const types = String(value || '')
+        .split(',')
+        .map(type => type.trim().toLowerCase())
+        .filter(Boolean);
+
+    if (types.length === 0 || types.length > 2) {
+        throw badRequest('types must contain one or two comma-separated types');
+    }
+    const invalid = types.filter(type => !isValidType(type));
+    if (invalid.length > 0) {
+        throw badRequest(`Unknown type: ${invalid.join(', ')}`);
+    }
+    if (types[0] === types[1]) {
+        throw badRequest('types must be different');
+    }
+    return types;
+}
+
+// Tipos del registro de stats (CSV o ejemplo): si los tiene, prevalecen y poke-api no se consulta.
+// Si no los tiene (p. ej. un almacén antiguo) o los datos son simulados se piden a poke-api; si no
+// responde, fuera del modo estricto se usan los del registro. En modo estricto un 404 de poke-api es
+// un Pokemon desconocido y cualquier otro fallo se devuelve como 502/503
+async function resolvePokemonTypes(stats, strict) {
+    if (stats.type1 && stats.source !== 'mock') {
+        return { types: [stats.type1, stats.type2].filter(Boolean), source: 'stats' };
+    }
+
+    try {
+        const types = await measureExecutionTime(
+            logger,
+            'STATS_API',
+            'RESOLVE_POKEMON_TYPES',
+            async () => {
+                const response = await axios.get(`${POKE_API_URL}/api/pokemon/${encodeURIComponent(stats.name)}`, {
+                    timeout: 5000,
+                    headers: propagationHeaders()
+                });
+                return response.data.types
+                    .slice()
+                    .sort((a, b) => a.slot - b.slot)
+                    .map(type => type.name)
+                    .filter(isValidType);
+            },
+            { pokemon: stats.name, service: 'POKE_API' }
+        );
+
+        if (types.length > 0) {
+            return { types, source: 'poke_api' };
+        }
+    } catch (error) {
+        if (strict && error.response?.status === 404) {
+            throw new Error(`Pokemon ${stats.name} not found`);
+        }
+        if (strict) {
+            throw upstreamError('poke-api', `Could not resolve types for ${stats.name}`, error);
+        }
+        logger.logApiWarning('STATS_API', 'RESOLVE_POKEMON_TYPES', `Could not resolve types from poke-api for: ${stats.name}`, {
+            error: error.message,
+            error_status: error.response?.status
+        });
+    }
+
+    if (strict) {
+        throw new Error(`Types for ${stats.name} not found`);
+    }
+    return { types: [stats.type1 || 'normal', stats.type2].filter(Boolean), source: 'mock' };
+}
+
+async function getMatchupCombatant(pokemonName, strict, functionName) {
+    const stats = await getStatsOrMock(pokemonName, strict, functionName);
+    const { types, source } = await resolvePokemonTypes(stats, strict);
+
+    return {
+        name: stats.name,
+        types,
+        types_source: source,
+        stats_source: stats.source || 'stats',
+        stats: Object.fromEntries(STAT_FIELDS.map(stat => [stat, stats[stat]]))
+    };
+}
+
+// Índice de daño: multiplicador de tipo x mejor ratio ataque/defensa (físico o especial),
+// relativo a los PS del rival; quien es más rápido ataca primero y recibe un 10% extra
+function damageIndex(attacker, defender, multiplier, faster) {
+    const physical = attacker.stats.attack / Math.max(1, defender.stats.defense);
+    const special = attacker.stats.sp_attack / Math.max(1, defender.stats.sp_defense);
+    const index = (multiplier * Math.max(physical, special) * 100) / Math.max(1, defender.stats.hp);
+    return index * (faster ? 1.1 : 1);
+}
+
+function computeMatchup(attacker, defender) {
+    const attackerMultiplier = bestEffectiveness(attacker.types, defender.types);
+    const defenderMultiplier = bestEffectiveness(defender.types, attacker.types);
+
+    const speedDiff = attacker.stats.speed - defender.stats.speed;
+    const faster = speedDiff > 0 ? 'attacker' : speedDiff < 0 ? 'defender' : 'tie';
+
+    const attackerIndex = damageIndex(attacker, defender, attackerMultiplier, faster === 'attacker');
+    const defenderIndex = damageIndex(defender, attacker, defenderMultiplier, faster === 'defender');
+
+    // -100 (todo a favor del defensor) a 100 (todo a favor del atacante)
+    const total = attackerIndex + defenderIndex;
+    const score = total === 0 ? 0 : Math.round(((attackerIndex - defenderIndex) / total) * 100);
+
+    return {
+        effectiveness: {
+            attacker_to_defender: attackerMultiplier,
+            defender_to_attacker: defenderMultiplier
+        },
+        faster,
+        damage_index: {
+            attacker: Math.round(attackerIndex * 100) / 100,
+            defender: Math.round(defenderIndex * 100) / 100
+        },
+        advantage_score: score,
+        verdict: score > 15 ? 'attacker' : score < -15 ? 'defender' : 'even'
+    };
+}
+
+// type=fire,flying exige todos los tipos (en cualquier posición); type1/type2 filtran por posición
+function parseTypeFilters(query) {
+    const type = [].concat(query.type || [])
+        .flatMap(value => String(value).split(','))
+        .map(value => value.trim().toLowerCase())
+        .filter(Boolean);
+    const type1 = query.type1 ? String(query.type1).trim().toLowerCase() : null;
+    const type2 = query.type2 ? String(query.type2).trim().toLowerCase() : null;
+
+    const invalid = [...type, type1, type2 === 'none' ? null : type2].filter(value => value && !isValidType(value));
+    if (invalid.length > 0) {
+        throw badRequest(`Unknown type: ${invalid.join(', ')}`);
+    }
+    return { type, type1, type2 };
+}
+
+function parseSimilarK(value) {
+    if (value === undefined) {
+        return SIMILAR_DEFAULT_K;
+    }
+    const k = Number(value);
+    if (!Number.isInteger(k) || k < 1 || k > SIMILAR_MAX_K) {
+        throw badRequest(`k must be an integer between 1 and ${SIMILAR_MAX_K}`);
+    }
+    return k;
+}
+
+// Cada stat se divide por su máximo en el dataset para que ninguna pese más por su rango (PS llega a 255)
+function getNeighborIndex(metric) {
+    if (!neighborIndexes[metric]) {
+        const scale = Object.fromEntries(STAT_FIELDS.map(stat => [stat, statsIndex.max(stat) || 1]));
+        const points = Array.from(statsIndex.records.values())
+            .filter(record => STAT_FIELDS.every(stat => typeof record[stat] === 'number'))
+            .map(record => ({ vector: STAT_FIELDS.map(stat => record[stat] / scale[stat]), value: record }));
+
+        neighborIndexes[metric] = { index: new NeighborIndex(points, metric), scale };
+    }
+    return neighborIndexes[metric];
+}
+
+// 0..1 respecto a la distancia máxima posible entre stats escaladas (raíz de 6 euclídea, 6 manhattan, 1 coseno)
+function similarityScore(metric, distance) {
+    const maxDistance = metric === 'euclidean' ? Math.sqrt(STAT_FIELDS.length)
+        : metric === 'manhattan' ? STAT_FIELDS.length
+            : 1;
+    return Math.max(0, Math.round((1 - distance / maxDistance) * 10000) / 10000);
+}
+
+function parseSummaryBins(value) {
+    if (value === undefined) {
+        return 10;
+    }
+    const bins = Number(value);
+    if (!Number.isInteger(bins) || bins < 1 || bins > SUMMARY_MAX_BINS) {
+        throw badRequest(`bins must be an integer between 1 and ${SUMMARY_MAX_BINS}`);
+    }
+    return bins;
+}
+
+function parseLeaderboardLimit(value) {
+    if (value === undefined) {
+        return LEADERBOARD_DEFAULT_LIMIT;
+    }
+    const limit = Number(value);
+    if (!Number.isInteger(limit) || limit < 1 || limit > LEADERBOARD_MAX_LIMIT) {
+        throw badRequest(`limit must be an integer between 1 and ${LEADERBOARD_MAX_LIMIT}`);
+    }
+    return limit;
+}
+
+// "pikachu,Charizard" -> ['pikachu', 'charizard']: entre 2 y COMPARE_MAX_NAMES nombres distintos
+function parseCompareNames(value) {
+    const names = [...new Set(
+        String(value || '')
+            .split(',')
+            .map(name => name.trim().toLowerCase())
+            .filter(Boolean)
+    )];
+
+    if (names.length < 2) {
+        throw badRequest('names must contain at least two different comma-separated Pokemon names');
+    }
+    if (names.length > COMPARE_MAX_NAMES) {
+        throw badRequest(`At most ${COMPARE_MAX_NAMES} Pokemon can be compared at once`);
+    }
+    return names;
+}
+
+// Por stat: valores, ganadores (empates incluidos), diferencias respecto al primero y percentiles en el dataset
+function compareStats(pokemon, includeRadar) {
+    const names = pokemon.map(p => p.name);
+    const baseline = pokemon[0];
+    const wins = Object.fromEntries(names.map(name => [name, 0]));
+    const stats = {};
+
+    COMPARE_FIELDS.forEach(stat => {
+        const best = Math.max(...pokemon.map(p => p[stat]));
+        const winners = pokemon.filter(p => p[stat] === best).map(p => p.name);
+        winners.forEach(name => wins[name]++);
+
+        stats[stat] = {
+            values: Object.fromEntries(pokemon.map(p => [p.name, p[stat]])),
+            winners,
+            deltas: Object.fromEntries(pokemon.map(p => [p.name, p[stat] - baseline[stat]])),
+            percentiles: Object.fromEntries(pokemon.map(p => [p.name, calculatePercentile(stat, p[stat])]))
+        };
+    });
+
+    const result = {
+        names,
+        baseline: baseline.name,
+        pokemon,
+        stats,
+        wins
+    };
+
+    if (includeRadar) {
+        result.radar = radarVectors(pokemon);
+    }
+
+    return result;
+}
+
+// Vector 0..1 por Pokemon en el orden de STAT_FIELDS, escalado al máximo de cada stat (dataset + comparados)
+function radarVectors(pokemon) {
+    const max = Object.fromEntries(STAT_FIELDS.map(stat => [
+        stat,
+        Math.max(1, statsIndex.max(stat) || 0, ...pokemon.map(p => p[stat]))
+    ]));
+
+    return {
+        axes: STAT_FIELDS,
+        max,
+        series: pokemon.map(p => ({
+            name: p.name,
+            values: STAT_FIELDS.map(stat => Math.round((p[stat] / max[stat]) * 1000) / 1000)
+        }))
+    };
+}
+
+// { "pokemon": ["pikachu", ...] } -> nombres normalizados y sin duplicados, entre 1 y TEAM_MAX_SIZE
+function parseTeamNames(body) {
+    const names = body && (body.pokemon || body.names);
+    if (!Array.isArray(names) || names.length === 0) {
+        throw badRequest('pokemon must be a non-empty array of Pokemon names');
+    }
+    if (names.some(name => typeof name !== 'string' || !name.trim())) {
+        throw badRequest('pokemon must only contain non-empty strings');
+    }
+
+    const unique = [...new Set(names.map(name => name.trim().toLowerCase()))];
+    if (unique.length > TEAM_MAX_SIZE) {
+        throw badRequest(`A team can have at most ${TEAM_MAX_SIZE} Pokemon`);
+    }
+    return unique;
+}
+
+function parseSuggestionLimit(value) {
+    if (value === undefined) {
+        return TEAM_SUGGESTION_LIMIT;
+    }
+    const limit = Number(value);
+    if (!Number.isInteger(limit) || limit < 0 || limit > 20) {
+        throw badRequest('suggestions must be an integer between 0 and 20');
+    }
+    return limit;
+}
+
+// Rol según el reparto de sus propias stats: ofensiva (mejor ataque + velocidad) frente a
+// aguante (PS + defensa media), comparadas con la media del Pokemon
+function suggestRole(stats) {
+    const average = STAT_FIELDS.reduce((sum, stat) => sum + stats[stat], 0) / STAT_FIELDS.length;
+    const offense = (Math.max(stats.attack, stats.sp_attack) + stats.speed) / 2;
+    const bulk = (stats.hp + (stats.defense + stats.sp_defense) / 2) / 2;
+
+    if (offense >= bulk && offense >= average * ROLE_THRESHOLD) {
+        return 'sweeper';
+    }
+    if (bulk >= average * ROLE_THRESHOLD) {
+        return 'tank';
+    }
+    return 'support';
+}
+
+function analyzeTeam(members) {
+    const totals = { total: 0 };
+    STAT_FIELDS.forEach(stat => {
+        totals[stat] = members.reduce((sum, member) => sum + member.stats[stat], 0);
+        totals.total += totals[stat];
+    });
+    const averages = Object.fromEntries(
+        Object.entries(totals).map(([stat, value]) => [stat, Math.round((value / members.length) * 10) / 10])
+    );
+
+    // Cobertura ofensiva: qué miembros golpean de forma súper eficaz a cada tipo con sus propios tipos
+    const offensive = members.map(member => offensiveProfile(member.types));
+    const coveredBy = {};
+    TYPES.forEach(type => {
+        coveredBy[type] = members
+            .filter((member, index) => offensive[index].super_effective.includes(type))
+            .map(member => member.name);
+    });
+    const covered = TYPES.filter(type => coveredBy[type].length > 0);
+
+    // Debilidad compartida: al menos dos miembros débiles y más débiles que resistentes/inmunes
+    const defensive = members.map(member => defensiveProfile(member.types).multipliers);
+    const sharedWeaknesses = [];
+    const unresisted = [];
+    TYPES.forEach(attackType => {
+        const weak = members.filter((member, index) => defensive[index][attackType] > 1).map(member => member.name);
+        const resistant = members.filter((member, index) => defensive[index][attackType] < 1).map(member => member.name);
+
+        if (weak.length >= 2 && weak.length > resistant.length) {
+            sharedWeaknesses.push({ type: attackType, weak, resisted_by: resistant });
+        }
+        if (resistant.length === 0) {
+            unresisted.push(attackType);
+        }
+    });
+    sharedWeaknesses.sort((a, b) => b.weak.length - a.weak.length || a.type.localeCompare(b.type));
+
+    const roles = { sweeper: [], tank: [], support: [] };
+    members.forEach(member => roles[member.role].push(member.name));
+
+    return {
+        team: members,
+        size: members.length,
+        totals,
+        averages,
+        coverage: {
+            super_effective: covered,
+            uncovered: TYPES.filter(type => !covered.includes(type)),
+            by_type: coveredBy
+        },
+        defense: {
+            shared_weaknesses: sharedWeaknesses,
+            unresisted
+        },
+        roles,
+        missing_roles: Object.keys(roles).filter(role => roles[role].length === 0)
+    };
+}
+
+// Candidatos del dataset cargado (con tipos conocidos) que cubren huecos del equipo:
+// resistir una debilidad compartida pesa el doble que cubrir un tipo o aportar un rol ausente
+async function suggestTeamMembers(members, analysis, limit) {
+    if (limit === 0) {
+        return [];
+    }
+
+    const teamNames = new Set(members.map(member => member.name));
+    const weaknessTypes = analysis.defense.shared_weaknesses.map(weakness => weakness.type);
+    const allPokemon = await statsStore.values();
+
+    return allPokemon
+        .filter(pokemon => pokemon.type1 && !teamNames.has(pokemon.name))
+        .map(pokemon => {
+            const types = [pokemon.type1, pokemon.type2].filter(Boolean);
+            const defense = defensiveProfile(types).multipliers;
+            const offense = offensiveProfile(types).super_effective;
+            const role = suggestRole(pokemon);
+
+            const resists = weaknessTypes.filter(type => defense[type] < 1);
+            const covers = analysis.coverage.uncovered.filter(type => offense.includes(type));
+            const fillsRole = analysis.missing_roles.includes(role);
+
+            return {
+                name: pokemon.name,
+                types,
+                total: pokemon.total,
+                role,
+                resists_shared_weaknesses: resists,
+                covers_types: covers,
+                fills_role: fillsRole,
+                score: resists.length * 2 + covers.length + (fillsRole ? 1 : 0)
+            };
+        })
+        .filter(candidate => candidate.score > 0)
+        .sort((a, b) => b.score - a.score || b.total - a.total || a.name.localeCompare(b.name))
+        .slice(0, limit);
+}
+
+// Body de /api/battle/simulate: dos combatientes { name, level, ivs, evs, nature }, move obligatorio,
+// defender_move opcional y seed (si falta se genera una y se devuelve para repetir el combate)
+function parseBattleRequest(body = {}) {
+    const parseSide = (input, label) => {
+        if (!input || typeof input !== 'object' || typeof input.name !== 'string' || !input.name.trim()) {
+            throw badRequest(`${label}.name is required`);
+        }
+        return { name: input.name.trim().toLowerCase(), build: parseBuild(input, label) };
+    };
+
+    const seed = body.seed === undefined || body.seed === null ? crypto.randomBytes(4).toString('hex') : body.seed;
+    if (!['string', 'number'].includes(typeof seed)) {
+        throw badRequest('seed must be a string or a number');
+    }
+
+    return {
+        attacker: parseSide(body.attacker, 'attacker'),
+        defender: parseSide(body.defender, 'defender'),
+        move: parseMove(body.move, 'move'),
+        defenderMove: body.defender_move === undefined ? null : parseMove(body.defender_move, 'defender_move'),
+        seed: String(seed)
+    };
+}
+
+function parseMove(input, label) {
+    if (!input || typeof input !== 'object') {
+        throw badRequest(`${label} is required ({ "power": 90, "type": "electric", "category": "special" })`);
+    }
+
+    const power = Number(input.power);
+    if (!Number.isInteger(power) || power < 1 || power > MAX_MOVE_POWER) {
+        throw badRequest(`${label}.power must be an integer between 1 and ${MAX_MOVE_POWER}`);
+    }
+
+    const type = String(input.type || '').toLowerCase();
+    if (!isValidType(type)) {
+        throw badRequest(`Unknown ${label}.type: ${input.type}`);
+    }
+
+    const category = input.category === undefined ? null : String(input.category).toLowerCase();
+    if (category && !MOVE_CATEGORIES.includes(category)) {
+        throw badRequest(`${label}.category must be one of: ${MOVE_CATEGORIES.join(', ')}`);
+    }
+
+    return { power, type, category };
+}
+
+// Stats base (stats-api o simuladas) y tipos (stats-api o poke-api) + stats reales al nivel indicado
+async function getBattleCombatant({ name, build }, strict, functionName) {
+    const combatant = await getMatchupCombatant(name, strict, functionName);
+
+    return {
+        name: combatant.name,
+        types: combatant.types,
+        types_source: combatant.types_source,
+        stats_source: combatant.stats_source,
+        ...build,
+        base_stats: combatant.stats,
+        stats: calculateStats(combatant.stats, build)
+    };
+}
+
+// Sin categoría se usa la del mejor ataque del atacante
+function moveDamage(attacker, defender, move) {
+    const category = move.category || (attacker.stats.attack >= attacker.stats.sp_attack ? 'physical' : 'special');
+    const [attackStat, defenseStat] = category === 'physical' ? ['attack', 'defense'] : ['sp_attack', 'sp_defense'];
+    const options = {
+        level: attacker.level,
+        power: move.power,
+        attack: attacker.stats[attackStat],
+        defense: defender.stats[defenseStat],
+        stab: attacker.types.includes(move.type),
+        effectiveness: effectiveness(move.type, defender.types)
+    };
+
+    return {
+        move: { ...move, category },
+        stab: options.stab,
+        effectiveness: options.effectiveness,
+        normal: summarizeDamage(damageRolls(options), defender.stats.hp),
+        critical: summarizeDamage(damageRolls({ ...options, critical: true }), defender.stats.hp)
+    };
+}
+
+function runBattle(attacker, defender, { move, defenderMove, seed }) {
+    const attackerDamage = moveDamage(attacker, defender, move);
+    const defenderDamage = defenderMove ? moveDamage(defender, attacker, defenderMove) : null;
+
+    const speedDiff = attacker.stats.speed - defender.stats.speed;
+    const side = (key, combatant, damage) => ({
+        key,
+        hp: combatant.stats.hp,
+        speed: combatant.stats.speed,
+        attack: damage && { normal: damage.normal.rolls, critical: damage.critical.rolls }
+    });
+
+    return {
+        seed,
+        attacker,
+        defender,
+        speed: {
+            attacker: attacker.stats.speed,
+            defender: defender.stats.speed,
+            moves_first: speedDiff > 0 ? 'attacker' : speedDiff < 0 ? 'defender' : 'tie'
+        },
+        damage: {
+            attacker: attackerDamage,
+            defender: defenderDamage
+        },
+        simulation: simulateBattle(
+            [side('attacker', attacker, attackerDamage), side('defender', defender, defenderDamage)],
+            createSeededRandom(`battle:${seed}`),
+            { maxTurns: BATTLE_MAX_TURNS }
+        )
+    };
+}
+
+// Solo escucha al ejecutarse directamente; los tests importan la app y abren su propio puerto
+if (require.main === module) {
+    app.listen(PORT, () => {
+        logger.logApiCall('STATS_API', 'SERVER_START', `Stats API server running on port ${PORT}`);
+    });
+}
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,128 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    BATTLE_STATS,
+    NATURES,
+    parseBuild,
+    calculateStats,
+    damageRolls,
+    summarizeDamage,
+    simulateBattle
+} = require('../utils/battle');
+
+const GARCHOMP = { hp: 108, attack: 130, defense: 95, sp_attack: 80, sp_defense: 85, speed: 102 };
+
+const rejects400 = (fn, pattern) => assert.throws(fn, error => error.status === 400 && pattern.test(error.message));
+
+test('parseBuild fills competitive defaults and accepts spreads as a number or by stat', () => {
+    const build = parseBuild({}, 'attacker');
+    assert.equal(build.level, 50);
+    assert.equal(build.nature, 'hardy');
+    BATTLE_STATS.forEach(stat => {
+        assert.equal(build.ivs[stat], 31);
+        assert.equal(build.evs[stat], 0);
+    });
+
+    const custom = parseBuild({ level: 100, ivs: 0, evs: { attack: 252, speed: 252 }, nature: 'Jolly' }, 'attacker');
+    assert.equal(custom.ivs.speed, 0);
+    assert.deepEqual(custom.evs, { hp: 0, attack: 252, defense: 0, sp_attack: 0, sp_defense: 0, speed: 252 });
+    assert.equal(custom.nature, 'jolly');
+});
+
+test('parseBuild rejects out of range values, unknown stats and natures with a 400', () => {
+    rejects400(() => parseBuild({ level: 0 }, 'attacker'), /attacker\.level must be an integer between 1 and 100/);
+    rejects400(() => parseBuild({ ivs: { speed: 32 } }, 'defender'), /defender\.ivs\.speed must be an integer between 0 and 31/);
+    rejects400(() => parseBuild({ evs: { luck: 4 } }, 'attacker'), /Unknown attacker\.evs stat: luck/);
+    rejects400(() => parseBuild({ evs: [252] }, 'attacker'), /must be a number or an object keyed by stat/);
+    rejects400(() => parseBuild({ evs: { hp: 252, attack: 252, speed: 8 } }, 'attacker'), /add up to 512; the maximum is 510/);
+    rejects400(() => parseBuild({ nature: 'grumpy' }, 'attacker'), /Unknown attacker\.nature: grumpy/);
+});
+
+test('every nature raises and lowers different stats or is neutral', () => {
+    assert.equal(Object.keys(NATURES).length, 25);
+    Object.values(NATURES).filter(Boolean).forEach(([up, down]) => {
+        assert.notEqual(up, down);
+        assert.ok(BATTLE_STATS.includes(up) && BATTLE_STATS.includes(down) && up !== 'hp' && down !== 'hp');
+    });
+});
+
+test('calculateStats matches the level 78 Adamant Garchomp example', () => {
+    const build = parseBuild({
+        level: 78,
+        ivs: { hp: 24, attack: 12, defense: 30, sp_attack: 16, sp_defense: 23, speed: 5 },
+        evs: { hp: 74, attack: 190, defense: 91, sp_attack: 48, sp_defense: 84, speed: 23 },
+        nature: 'adamant'
+    }, 'attacker');
+
+    assert.deepEqual(calculateStats(GARCHOMP, build), {
+        hp: 289, attack: 278, defense: 193, sp_attack: 135, sp_defense: 171, speed: 171
+    });
+});
+
+test('damageRolls matches the level 75 Glaceon Ice Fang example and applies critical hits first', () => {
+    const move = { level: 75, power: 65, attack: 123, defense: 163, stab: true, effectiveness: 4 };
+
+    const rolls = damageRolls(move);
+    assert.equal(rolls.length, 16);
+    assert.equal(rolls[0], 168);
+    assert.equal(rolls[15], 196);
+    assert.deepEqual(rolls, [...rolls].sort((a, b) => a - b));
+
+    const critical = damageRolls({ ...move, critical: true });
+    assert.equal(critical[15], 292);
+});
+
+test('damageRolls deals at least 1 damage unless the target is immune', () => {
+    const weak = { level: 1, power: 10, attack: 5, defense: 300, stab: false };
+    assert.ok(damageRolls({ ...weak, effectiveness: 0.25 }).every(damage => damage === 1));
+    assert.ok(damageRolls({ ...weak, effectiveness: 0 }).every(damage => damage === 0));
+});
+
+test('summarizeDamage reports percentages, hits to KO and the one-hit KO chance', () => {
+    const rolls = [...Array(12).fill(90), ...Array(4).fill(100)];
+    assert.deepEqual(summarizeDamage(rolls, 100), {
+        min: 90,
+        max: 100,
+        min_percent: 90,
+        max_percent: 100,
+        rolls,
+        hits_to_ko: { best: 1, worst: 2 },
+        one_hit_ko_chance: 0.25
+    });
+
+    assert.equal(summarizeDamage(Array(16).fill(0), 100).hits_to_ko, null);
+});
+
+test('simulateBattle lets the faster side move first and stops at the first KO', () => {
+    const sides = [
+        { key: 'slow', hp: 10, speed: 50, attack: { normal: Array(16).fill(5), critical: Array(16).fill(7) } },
+        { key: 'fast', hp: 20, speed: 100, attack: { normal: Array(16).fill(6), critical: Array(16).fill(9) } }
+    ];
+
+    const result = simulateBattle(sides, () => 0.9);
+    assert.equal(result.winner, 'fast');
+    assert.equal(result.turns_taken, 2);
+    assert.deepEqual(result.remaining_hp, { slow: 0, fast: 15 });
+    assert.deepEqual(result.turns.map(turn => [turn.turn, turn.attacker, turn.target_hp]), [
+        [1, 'fast', 4],
+        [1, 'slow', 15],
+        [2, 'fast', 0]
+    ]);
+
+    // Con el generador por debajo de 1/24 todos los golpes son críticos
+    const critical = simulateBattle(sides, () => 0);
+    assert.ok(critical.turns.every(turn => turn.critical));
+    assert.equal(critical.turns[0].damage, 9);
+});
+
+test('simulateBattle ends without a winner when no side can deal damage', () => {
+    const immune = { normal: Array(16).fill(0), critical: Array(16).fill(0) };
+    const result = simulateBattle([
+        { key: 'a', hp: 50, speed: 80, attack: immune },
+        { key: 'b', hp: 50, speed: 60, attack: null }
+    ], () => 0.5);
+
+    assert.equal(result.winner, null);
+    assert.equal(result.turns_taken, 1);
+    assert.deepEqual(result.remaining_hp, { a: 50, b: 50 });
+});
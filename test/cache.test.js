@@ -0,0 +1,132 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { CACHE_STATUS, LruCache } = require('../utils/cache');
+
+// Reloj controlado para los TTL
+const realNow = Date.now;
+let now = 1000000;
+const useFakeClock = () => {
+    Date.now = () => now;
+};
+afterEach(() => {
+    Date.now = realNow;
+});
+
+test('evicts the least recently used entry when full', () => {
+    const cache = new LruCache({ maxEntries: 2 });
+    cache.set('a', 1);
+    cache.set('b', 2);
+    assert.equal(cache.get('a'), 1);
+    cache.set('c', 3);
+
+    assert.deepEqual(cache.keys(), ['a', 'c']);
+    assert.equal(cache.get('b'), undefined);
+    assert.equal(cache.stats().evictions, 1);
+});
+
+test('enforces the byte limit and rejects values larger than it', () => {
+    const cache = new LruCache({ maxEntries: 0, maxSizeBytes: 10, sizeOf: value => value.length });
+    cache.set('a', 'xxxx');
+    cache.set('b', 'yyyy');
+    cache.set('c', 'zzzz');
+    assert.deepEqual(cache.keys(), ['b', 'c']);
+    assert.equal(cache.stats().size_bytes, 8);
+
+    assert.equal(cache.set('big', 'x'.repeat(11)), false);
+    assert.equal(cache.get('big'), undefined);
+    assert.deepEqual(cache.keys(), ['b', 'c']);
+});
+
+test('entries expire after the TTL and are served stale within staleTtlMs', () => {
+    useFakeClock();
+    const cache = new LruCache({ ttlMs: 100, staleTtlMs: 50 });
+    cache.set('a', 1);
+
+    now += 99;
+    assert.equal(cache.peek('a').state, CACHE_STATUS.HIT);
+    now += 1;
+    assert.equal(cache.peek('a').state, CACHE_STATUS.STALE);
+    assert.equal(cache.inspect('a').state, 'stale');
+    now += 50;
+    assert.equal(cache.peek('a'), undefined);
+    assert.equal(cache.stats().expirations, 1);
+});
+
+test('concurrent loads of the same key are coalesced', async () => {
+    const cache = new LruCache();
+    let calls = 0;
+    const loader = async () => {
+        calls++;
+        await new Promise(resolve => setTimeout(resolve, 5));
+        return 'value';
+    };
+
+    const results = await Promise.all([cache.getOrLoad('k', loader), cache.getOrLoad('k', loader), cache.getOrLoad('k', loader)]);
+    assert.equal(calls, 1);
+    assert.deepEqual(results.map(result => result.status), [CACHE_STATUS.MISS, CACHE_STATUS.COALESCED, CACHE_STATUS.COALESCED]);
+    assert.deepEqual(await cache.getOrLoad('k', loader), { value: 'value', status: CACHE_STATUS.HIT });
+});
+
+test('a stale hit returns the old value and revalidates in the background', async () => {
+    useFakeClock();
+    const cache = new LruCache({ ttlMs: 100, staleTtlMs: 1000 });
+    cache.set('k', 'old');
+    now += 200;
+
+    const result = await cache.getOrLoad('k', async () => 'new');
+    assert.deepEqual(result, { value: 'old', status: CACHE_STATUS.STALE });
+
+    await cache.inflight.get('k');
+    assert.equal(cache.get('k'), 'new');
+    assert.equal(cache.stats().revalidations, 1);
+});
+
+test('background revalidation errors keep the stale value and are reported', async () => {
+    useFakeClock();
+    const errors = [];
+    const cache = new LruCache({ ttlMs: 100, staleTtlMs: 1000, onBackgroundError: (key, error) => errors.push([key, error.message]) });
+    cache.set('k', 'old');
+    now += 200;
+
+    await cache.getOrLoad('k', async () => {
+        throw new Error('upstream down');
+    });
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.deepEqual(errors, [['k', 'upstream down']]);
+    assert.equal(cache.peek('k').value, 'old');
+    assert.equal(cache.stats().revalidation_errors, 1);
+});
+
+test('a failed load is not cached and counts as a load error', async () => {
+    const cache = new LruCache();
+    await assert.rejects(cache.getOrLoad('k', async () => {
+        throw new Error('boom');
+    }), /boom/);
+    assert.equal(cache.size, 0);
+    assert.equal(cache.stats().load_errors, 1);
+    assert.equal(cache.inflight.size, 0);
+});
+
+test('deleteWhere, prune and clear remove entries', () => {
+    useFakeClock();
+    const cache = new LruCache({ ttlMs: 100 });
+    cache.set('pokemon_a', 1);
+    cache.set('pokemon_b', 2);
+    cache.set('species_a', 3, { ttlMs: 10 });
+
+    assert.deepEqual(cache.deleteWhere(key => key.startsWith('pokemon_')), ['pokemon_a', 'pokemon_b']);
+    now += 20;
+    assert.equal(cache.prune(), 1);
+    cache.set('x', 1);
+    assert.equal(cache.clear(), 1);
+    assert.equal(cache.stats().size_bytes, 0);
+});
+
+test('stats report the hit ratio over all lookups', async () => {
+    const cache = new LruCache();
+    await cache.getOrLoad('k', async () => 1);
+    await cache.getOrLoad('k', async () => 1);
+    await cache.getOrLoad('k', async () => 1);
+    assert.equal(cache.stats().hit_ratio, 0.6667);
+});
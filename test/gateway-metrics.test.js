@@ -0,0 +1,66 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { MetricsRegistry } = require('../utils/metrics');
+
+// Solo stats-api responde (con un snapshot fijo); el resto de servicios apunta a un puerto cerrado
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+process.env.SEARCH_API_URL = 'http://127.0.0.1:9';
+process.env.IMAGES_API_URL = 'http://127.0.0.1:9';
+process.env.POKE_API_URL = 'http://127.0.0.1:9';
+
+const statsRegistry = new MetricsRegistry();
+statsRegistry.setDefaultLabels({ service: 'STATS_API' });
+statsRegistry.incrementCounter('http_requests_total', 'Total HTTP requests handled', { method: 'GET', route: '/api/stats/:pokemonName', status: 200 }, 7);
+const statsSnapshot = statsRegistry.snapshot();
+
+const scrapes = [];
+const fakeStats = http.createServer((req, res) => {
+    scrapes.push(req.url);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(statsSnapshot));
+});
+
+let gateway;
+let baseUrl;
+
+before(async () => {
+    fakeStats.listen(0);
+    await new Promise(resolve => fakeStats.once('listening', resolve));
+    process.env.STATS_API_URL = `http://127.0.0.1:${fakeStats.address().port}`;
+
+    gateway = require('../index').listen(0);
+    await new Promise(resolve => gateway.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${gateway.address().port}`;
+});
+
+after(() => {
+    gateway.close();
+    fakeStats.close();
+});
+
+test('the gateway merges its own series with the scraped ones and marks unreachable services as down', async () => {
+    const text = await fetch(`${baseUrl}/metrics`).then(res => res.text());
+
+    assert.deepEqual(scrapes, ['/metrics?format=json']);
+    assert.equal(text.match(/# TYPE http_requests_total counter/g).length, 1);
+    assert.ok(text.includes('http_requests_total{service="STATS_API",method="GET",route="/api/stats/:pokemonName",status="200"} 7\n'));
+    assert.ok(text.includes('microservice_up{service="GATEWAY",target="STATS_API"} 1\n'));
+    ['SEARCH_API', 'IMAGES_API', 'POKE_API'].forEach(target => {
+        assert.ok(text.includes(`microservice_up{service="GATEWAY",target="${target}"} 0\n`), target);
+    });
+    assert.ok(text.includes('circuit_breaker_state{service="GATEWAY",target="STATS_API"} 0\n'));
+});
+
+test('format=json keeps each service snapshot and reports the failed scrapes', async () => {
+    const body = await fetch(`${baseUrl}/metrics?format=json`).then(res => res.json());
+
+    assert.deepEqual(body.microservices.stats_api.counters, statsSnapshot.counters);
+    assert.equal(body.microservices.search_api.status, 'unavailable');
+    assert.equal(body.microservices.search_api.error_code, 'ECONNREFUSED');
+    assert.deepEqual(Object.keys(body.gateway.circuit_breakers).sort(), ['images_api', 'poke_api', 'search_api', 'stats_api']);
+
+    // La petición anterior a /metrics ya cuenta en las series del propio gateway
+    const gatewayRequests = body.gateway.http.counters.http_requests_total.series;
+    assert.ok(gatewayRequests.some(series => series.labels.route === '/metrics' && series.labels.service === 'GATEWAY'));
+});
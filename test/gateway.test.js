@@ -0,0 +1,105 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// Gateway delante de un stats-api real y de un servidor falso que hace de search-api, poke-api e
+// images-api; todos en este proceso y en puertos libres
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gateway-'));
+process.env.STATS_CSV_PATH = path.join(tempDir, 'missing.csv');
+process.env.STATS_STORE = 'memory';
+process.env.POKE_API_URL = 'http://127.0.0.1:9';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const servers = [];
+let baseUrl;
+
+// Peticiones recibidas por el servidor falso y respuesta por prefijo de ruta
+const received = [];
+const FAKE_RESPONSES = {
+    '/poke/search': { status: 503, body: { error: 'Service unavailable' } },
+    '/api/pokemon': { status: 503, body: { error: 'Service unavailable' } }
+};
+const fakeUpstream = http.createServer((req, res) => {
+    received.push({ url: req.url, headers: req.headers });
+    const prefix = Object.keys(FAKE_RESPONSES).find(candidate => req.url.startsWith(candidate));
+    const { status, body } = FAKE_RESPONSES[prefix] || { status: 404, body: { error: 'Not found' } };
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+});
+const receivedFor = prefix => received.filter(request => request.url.startsWith(prefix));
+
+async function listen(app) {
+    const server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    servers.push(server);
+    return `http://127.0.0.1:${server.address().port}`;
+}
+
+before(async () => {
+    process.env.STATS_API_URL = await listen(require('../services/stats-api'));
+    const fakeUrl = await listen(fakeUpstream);
+    process.env.SEARCH_API_URL = fakeUrl;
+    process.env.POKE_API_URL = fakeUrl;
+    process.env.IMAGES_API_URL = fakeUrl;
+    process.env.RETRY_BASE_DELAY_MS = '1';
+    baseUrl = await listen(require('../index'));
+});
+
+after(() => {
+    servers.forEach(server => server.close());
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test('multipart CSV uploads are streamed through to stats-api', async () => {
+    const form = new FormData();
+    form.append('file', new Blob([
+        'Name,Type 1,Type 2,HP,Attack,Defense,Sp. Atk,Sp. Def,Speed,Generation,Legendary\n',
+        'Eevee,Normal,,55,55,50,45,65,55,1,False\n'
+    ], { type: 'text/csv' }), 'eevee.csv');
+    form.append('mode', 'append');
+
+    const response = await fetch(`${baseUrl}/api/stats/load-csv`, { method: 'POST', body: form });
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(body.report.file, 'eevee.csv');
+    assert.equal(body.report.mode, 'append');
+    assert.equal(body.report.accepted, 1);
+
+    const eevee = await fetch(`${baseUrl}/api/stats/eevee?strict=true`).then(res => res.json());
+    assert.equal(eevee.total, 325);
+});
+
+test('JSON bodies are still parsed and forwarded', async () => {
+    const response = await fetch(`${baseUrl}/api/teams/analyze?strict=true`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ pokemon: ['pikachu', 'charizard'] })
+    });
+
+    assert.equal(response.status, 200);
+    const body = await response.json();
+    assert.deepEqual(body.team.map(member => member.name), ['pikachu', 'charizard']);
+});
+
+test('search-api calls are not retried by the gateway because search-api retries its own calls', async () => {
+    const response = await fetch(`${baseUrl}/poke/search?pokemon_name=pikachu`);
+    assert.equal(response.status, 503);
+    assert.equal(receivedFor('/poke/search').length, 1);
+});
+
+test('idempotent calls to services without their own retries are still retried', async () => {
+    const response = await fetch(`${baseUrl}/api/pokemon/pikachu`);
+    assert.equal(response.status, 503);
+    assert.equal(receivedFor('/api/pokemon').length, 3);
+});
+
+test('the request id reaches the upstream service and comes back to the client', async () => {
+    const response = await fetch(`${baseUrl}/api/images/pikachu`, { headers: { 'X-Request-Id': 'gateway-test-1' } });
+
+    assert.equal(response.headers.get('x-request-id'), 'gateway-test-1');
+    assert.equal(receivedFor('/api/images/pikachu').at(-1).headers['x-request-id'], 'gateway-test-1');
+});
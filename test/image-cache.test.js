@@ -0,0 +1,152 @@
+const { test, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { ImageDiskCache } = require('../utils/image-cache');
+
+let dir;
+let originUrl;
+
+// Origen de imágenes: el mismo PNG para cualquier ruta
+const origin = http.createServer(async (req, res) => {
+    const body = await sharp({
+        create: { width: 32, height: 32, channels: 3, background: { r: 255, g: 204, b: 0 } }
+    }).png().toBuffer();
+    res.writeHead(200, { 'Content-Type': 'image/png' });
+    res.end(body);
+});
+
+before(async () => {
+    origin.listen(0);
+    await new Promise(resolve => origin.once('listening', resolve));
+    originUrl = `http://127.0.0.1:${origin.address().port}`;
+});
+
+after(() => {
+    origin.close();
+});
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'image-cache-'));
+});
+
+afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Original ya descargado, con la misma forma que devuelve ImageDiskCache.get
+async function storeOriginal(name, size = 400) {
+    const body = await sharp({
+        create: { width: size, height: size, channels: 3, background: { r: 255, g: 204, b: 0 } }
+    }).png().toBuffer();
+    const key = crypto.createHash('sha1').update(name).digest('hex');
+    const filePath = path.join(dir, `${key}.img`);
+    fs.writeFileSync(filePath, body);
+
+    return {
+        status: 'hit',
+        filePath,
+        contentType: 'image/png',
+        size: body.length,
+        etag: `"${crypto.createHash('sha1').update(body).digest('hex')}"`,
+        lastModified: new Date(0).toUTCString()
+    };
+}
+
+const variantFiles = () => fs.readdirSync(dir).filter(file => /-w\d+\./.test(file)).sort();
+
+test('widths are rounded up to the next fixed width and capped at the largest', async () => {
+    const cache = new ImageDiskCache({ dir, widths: [64, 128, 256] });
+    const original = await storeOriginal('pikachu');
+
+    const small = await cache.variant(original, { width: 100 });
+    assert.equal(small.status, 'miss');
+    assert.match(small.filePath, /-w128\.png$/);
+    assert.equal((await sharp(small.filePath).metadata()).width, 128);
+
+    // Otro ancho del mismo intervalo reutiliza el archivo
+    const same = await cache.variant(original, { width: 120 });
+    assert.equal(same.status, 'hit');
+    assert.equal(same.filePath, small.filePath);
+    assert.equal(same.etag, small.etag);
+
+    const large = await cache.variant(original, { width: 5000, format: 'webp' });
+    assert.match(large.filePath, /-w256\.webp$/);
+    assert.equal(variantFiles().length, 2);
+});
+
+test('variants beyond maxVariantBytes are evicted least recently used first', async () => {
+    // Originales idénticos: todas las variantes ocupan lo mismo
+    const [bulbasaur, charmander, squirtle] = await Promise.all(['bulbasaur', 'charmander', 'squirtle'].map(name => storeOriginal(name)));
+    const cache = new ImageDiskCache({ dir, widths: [64] });
+
+    const first = await cache.variant(bulbasaur, { width: 64 });
+    cache.maxVariantBytes = first.size * 2;
+    const second = await cache.variant(charmander, { width: 64 });
+    // Usar la primera la convierte en la más reciente
+    assert.equal((await cache.variant(bulbasaur, { width: 64 })).status, 'hit');
+    const third = await cache.variant(squirtle, { width: 64 });
+
+    assert.deepEqual(variantFiles(), [first.filePath, third.filePath].map(file => path.basename(file)).sort());
+    assert.ok(!fs.existsSync(second.filePath));
+    assert.equal(cache.variantBytes, first.size * 2);
+    // Los originales tienen su propio límite
+    assert.ok(fs.existsSync(charmander.filePath));
+});
+
+test('existing variants are counted when the cache starts', async () => {
+    const original = await storeOriginal('charizard');
+    const cache = new ImageDiskCache({ dir });
+    const variant = await cache.variant(original, { width: 64 });
+    fs.writeFileSync(path.join(dir, 'unrelated.tmp'), 'x');
+
+    const restarted = new ImageDiskCache({ dir });
+    assert.deepEqual(Array.from(restarted.variants.keys()), [path.basename(variant.filePath)]);
+    assert.equal(restarted.variantBytes, variant.size);
+
+    await restarted.removeVariants(path.basename(original.filePath, '.img'));
+    assert.equal(restarted.variantBytes, 0);
+    assert.deepEqual(variantFiles(), []);
+});
+
+test('originals beyond maxOriginalBytes are evicted with their metadata and variants', async () => {
+    const cache = new ImageDiskCache({ dir, widths: [16] });
+    const [bulbasaur, charmander] = [`${originUrl}/1.png`, `${originUrl}/4.png`];
+
+    const first = await cache.get(bulbasaur);
+    assert.equal(first.status, 'miss');
+    cache.maxOriginalBytes = cache.originalBytes * 2;
+    const second = await cache.get(charmander);
+    const secondVariant = await cache.variant(second, { width: 16 });
+    // Usar el primero lo convierte en el más reciente
+    assert.equal((await cache.get(bulbasaur)).status, 'hit');
+    const third = await cache.get(`${originUrl}/7.png`);
+
+    const secondKey = path.basename(second.filePath, '.img');
+    assert.ok(!fs.existsSync(second.filePath));
+    assert.ok(!fs.existsSync(path.join(dir, `${secondKey}.json`)));
+    assert.ok(!fs.existsSync(secondVariant.filePath));
+    assert.equal(cache.variantBytes, 0);
+    assert.ok(fs.existsSync(first.filePath) && fs.existsSync(third.filePath));
+    assert.equal(cache.originals.size, 2);
+    assert.equal(cache.originalBytes, cache.maxOriginalBytes);
+
+    // Al volver a pedirlo se descarga de nuevo
+    assert.equal((await cache.get(charmander)).status, 'miss');
+});
+
+test('existing originals are counted with their metadata when the cache starts', async () => {
+    const cache = new ImageDiskCache({ dir });
+    const original = await cache.get(`${originUrl}/25.png`);
+    const key = path.basename(original.filePath, '.img');
+
+    const restarted = new ImageDiskCache({ dir });
+    assert.deepEqual(Array.from(restarted.originals.keys()), [key]);
+    assert.equal(restarted.originalBytes, original.size + fs.statSync(path.join(dir, `${key}.json`)).size);
+    assert.equal(restarted.originalBytes, cache.originalBytes);
+    assert.equal(restarted.variantBytes, 0);
+});
@@ -0,0 +1,184 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// Sin red: poke-api es un servidor local y la caché de imágenes va a un directorio temporal
+process.env.IMAGES_CACHE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'images-cache-'));
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+// poke-api mínimo: solo conoce los ids de POKE_API_IDS
+const POKE_API_IDS = { abra: 63, eevee: 133, vaporeon: 134 };
+const pokeApi = http.createServer((req, res) => {
+    const name = decodeURIComponent(req.url.split('/').pop());
+    res.setHeader('Content-Type', 'application/json');
+    if (!POKE_API_IDS[name]) {
+        res.statusCode = 404;
+        return res.end(JSON.stringify({ error: 'Pokemon not found' }));
+    }
+    res.end(JSON.stringify({ id: POKE_API_IDS[name], name }));
+});
+
+let app;
+let server;
+let baseUrl;
+
+before(async () => {
+    pokeApi.listen(0);
+    await new Promise(resolve => pokeApi.once('listening', resolve));
+    process.env.POKE_API_URL = `http://127.0.0.1:${pokeApi.address().port}`;
+
+    app = require('../services/images-api');
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+    pokeApi.close();
+    fs.rmSync(process.env.IMAGES_CACHE_DIR, { recursive: true, force: true });
+});
+
+async function getJson(pathname) {
+    const response = await fetch(`${baseUrl}${pathname}`);
+    return { status: response.status, body: await response.json() };
+}
+
+test('every fixed /api/images route is registered before /api/images/:pokemonName', () => {
+    const routes = app._router.stack
+        .filter(layer => layer.route && layer.route.methods.get)
+        .map(layer => layer.route.path);
+    const paramIndex = routes.indexOf('/api/images/:pokemonName');
+    assert.notEqual(paramIndex, -1);
+
+    const fixed = routes.filter(route => /^\/api\/images\/[^:/]+$/.test(route));
+    assert.ok(fixed.length >= 3);
+    fixed.forEach(route => {
+        assert.ok(routes.indexOf(route) < paramIndex, `${route} must be registered before /api/images/:pokemonName`);
+    });
+});
+
+test('/api/images/search is not treated as a Pokemon name', async () => {
+    const { status, body } = await getJson('/api/images/search?query=pika&strict=true');
+    assert.equal(status, 200);
+    assert.equal(body.query, 'pika');
+    assert.deepEqual(body.results.map(pokemon => pokemon.name), ['pikachu']);
+});
+
+test('/api/images/search still requires a query', async () => {
+    const { status } = await getJson('/api/images/search?strict=true');
+    assert.equal(status, 400);
+});
+
+test('/api/images/stats returns catalog statistics', async () => {
+    const { status, body } = await getJson('/api/images/stats?strict=true');
+    assert.equal(status, 200);
+    assert.equal(typeof body.total_pokemon, 'number');
+    assert.ok(body.formats);
+    assert.equal(body.name, undefined);
+});
+
+test('/api/images/catalog returns a catalog page', async () => {
+    const { status, body } = await getJson('/api/images/catalog?q=char&strict=true');
+    assert.equal(status, 200);
+    assert.equal(body.query.q, 'char');
+    assert.ok('next_cursor' in body);
+    assert.ok(body.data.some(pokemon => pokemon.name === 'charizard'));
+});
+
+test('/api/images/:pokemonName still serves Pokemon images', async () => {
+    const { status, body } = await getJson('/api/images/pikachu?strict=true');
+    assert.equal(status, 200);
+    assert.equal(body.name, 'pikachu');
+});
+
+test('/api/images/:pokemonName/:type/raw reaches the raw image handler', async () => {
+    const { status, body } = await getJson('/api/images/pikachu/official_artwork/raw?width=5000');
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Invalid image request');
+    assert.match(body.message, /width must be an integer between 1 and 1024/);
+});
+
+test('/api/images/:pokemonName/:type/raw rejects types inherited from Object.prototype', async () => {
+    for (const type of ['constructor', '__proto__', 'toString', 'hasOwnProperty']) {
+        const { status, body } = await getJson(`/api/images/pikachu/${type}/raw?strict=true`);
+        assert.equal(status, 400, type);
+        assert.match(body.message, new RegExp(`^Unknown image type: ${type} \\(expected official_artwork, `));
+    }
+});
+
+test('/api/images/:pokemonName/:type/raw does not serve mock images', async () => {
+    const { status, body } = await getJson('/api/images/missingno/front_default/raw');
+    assert.equal(status, 404);
+    assert.deepEqual(body, { error: 'Image not found', pokemon: 'missingno', type: 'front_default' });
+});
+
+test('repeated image lookups return the same payload', async () => {
+    const first = await getJson('/api/images/pikachu?strict=true');
+    await new Promise(resolve => setTimeout(resolve, 20));
+    const second = await getJson('/api/images/pikachu?strict=true');
+
+    assert.equal(first.status, 200);
+    assert.deepEqual(second.body, first.body);
+
+    const checkedAt = Object.values(first.body.images).map(image => image.checked_at).sort();
+    assert.equal(first.body.metadata.validation_timestamp, checkedAt[0]);
+    assert.equal(first.body.metadata.last_updated, '2024-01-15');
+});
+
+test('last_updated is the resolution date for poke-api entries and absent for mock ones', async () => {
+    const today = new Date().toISOString().slice(0, 10);
+    const resolved = await getJson('/api/images/eevee?strict=true');
+    assert.equal(resolved.body.source, 'poke_api');
+    assert.equal(resolved.body.pokemon_id, 133);
+    assert.equal(resolved.body.metadata.last_updated, today);
+    assert.deepEqual((await getJson('/api/images/eevee?strict=true')).body, resolved.body);
+
+    const mock = await getJson('/api/images/missingno?strict=false');
+    assert.equal(mock.body.source, 'mock');
+    assert.equal('last_updated' in mock.body.metadata, false);
+});
+
+test('catalog cursors resume after the last row even when the catalog grows between pages', async () => {
+    const names = body => body.data.map(pokemon => pokemon.name);
+    const first = await getJson('/api/images/catalog?sort=name&limit=2');
+    assert.deepEqual(names(first.body), ['bulbasaur', 'charizard']);
+
+    // abra se ordena antes del cursor y vaporeon después: con un desplazamiento se repetiría charizard
+    await getJson('/api/images/abra?strict=true');
+    await getJson('/api/images/vaporeon?strict=true');
+
+    const second = await getJson(`/api/images/catalog?sort=name&limit=2&cursor=${first.body.next_cursor}`);
+    assert.deepEqual(names(second.body), ['eevee', 'pikachu']);
+
+    const third = await getJson(`/api/images/catalog?sort=name&limit=2&cursor=${second.body.next_cursor}`);
+    assert.deepEqual(names(third.body), ['vaporeon']);
+    assert.equal(third.body.next_cursor, null);
+
+    // El cursor solo vale para la consulta que lo generó
+    const otherQuery = await getJson(`/api/images/catalog?sort=-name&limit=2&cursor=${first.body.next_cursor}`);
+    assert.equal(otherQuery.status, 400);
+});
+
+test('catalog cursors follow multi-key and descending sorts', async () => {
+    const names = [];
+    let cursor = null;
+    do {
+        const { body } = await getJson(`/api/images/catalog?sort=-pokemon_id&limit=1${cursor ? `&cursor=${cursor}` : ''}`);
+        names.push(...body.data.map(pokemon => pokemon.pokemon_id));
+        cursor = body.next_cursor;
+    } while (cursor);
+
+    const { body } = await getJson('/api/images/catalog?sort=-pokemon_id&limit=100');
+    assert.deepEqual(names, body.data.map(pokemon => pokemon.pokemon_id));
+    assert.deepEqual(names, [...names].sort((a, b) => b - a));
+});
+
+test('catalog rejects malformed cursors', async () => {
+    const { status, body } = await getJson('/api/images/catalog?cursor=bm90LWEtY3Vyc29y');
+    assert.equal(status, 400);
+    assert.match(body.message, /Invalid or expired cursor/);
+});
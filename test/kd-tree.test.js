@@ -0,0 +1,104 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { DISTANCE_METRICS, KdTree, NeighborIndex } = require('../utils/kd-tree');
+
+// Generador determinista (mulberry32) para que los casos aleatorios se puedan reproducir
+function random(seed) {
+    return () => {
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function randomPoints(next, count, dimensions) {
+    return Array.from({ length: count }, (_, index) => ({
+        vector: Array.from({ length: dimensions }, () => Math.floor(next() * 200) + 1),
+        value: `p${index}`
+    }));
+}
+
+const DISTANCES = {
+    euclidean: (a, b) => Math.sqrt(a.reduce((sum, value, i) => sum + (value - b[i]) ** 2, 0)),
+    manhattan: (a, b) => a.reduce((sum, value, i) => sum + Math.abs(value - b[i]), 0),
+    cosine: (a, b) => {
+        const dot = a.reduce((sum, value, i) => sum + value * b[i], 0);
+        const length = vector => Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+        return 1 - dot / (length(a) * length(b));
+    }
+};
+
+function bruteForce(points, target, k, metric, filter = () => true) {
+    return points
+        .filter(point => filter(point.value))
+        .map(point => ({ value: point.value, distance: DISTANCES[metric](target, point.vector) }))
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, k);
+}
+
+// Los empates pueden salir en cualquier orden: se comparan las distancias y que cada valor esté a la suya
+function assertSameNeighbors(actual, expected, points, target, metric) {
+    assert.equal(actual.length, expected.length);
+    actual.forEach((neighbor, i) => {
+        assert.ok(Math.abs(neighbor.distance - expected[i].distance) < 1e-9, `${metric} #${i}`);
+        const point = points.find(candidate => candidate.value === neighbor.value);
+        assert.ok(Math.abs(DISTANCES[metric](target, point.vector) - neighbor.distance) < 1e-9);
+    });
+}
+
+test('every metric returns the same neighbours as a brute-force search', () => {
+    const next = random(42);
+    const points = randomPoints(next, 300, 6);
+
+    for (const metric of DISTANCE_METRICS) {
+        const index = new NeighborIndex(points, metric);
+        assert.equal(index.size, 300);
+
+        for (let query = 0; query < 25; query++) {
+            const target = randomPoints(next, 1, 6)[0].vector;
+            const k = 1 + (query % 8);
+            assertSameNeighbors(index.nearest(target, k), bruteForce(points, target, k, metric), points, target, metric);
+        }
+    }
+});
+
+test('the filter is applied before choosing the k nearest', () => {
+    const points = randomPoints(random(7), 200, 3);
+    const even = value => Number(value.slice(1)) % 2 === 0;
+    const target = [100, 100, 100];
+
+    const result = new NeighborIndex(points).nearest(target, 5, { filter: even });
+    assert.ok(result.every(neighbor => even(neighbor.value)));
+    assertSameNeighbors(result, bruteForce(points, target, 5, 'euclidean', even), points, target, 'euclidean');
+});
+
+test('returns fewer than k results when there are not enough points', () => {
+    const tree = new KdTree([
+        { vector: [0, 0], value: 'origin' },
+        { vector: [3, 4], value: 'far' }
+    ], 2);
+
+    assert.deepEqual(tree.nearest([0, 1], 5), [
+        { value: 'origin', distance: 1 },
+        { value: 'far', distance: Math.sqrt(18) }
+    ]);
+    assert.deepEqual(new NeighborIndex([]).nearest([1, 2], 3), []);
+});
+
+test('cosine distance ignores the magnitude of the vectors', () => {
+    const index = new NeighborIndex([
+        { vector: [1, 1], value: 'diagonal' },
+        { vector: [1, 0], value: 'x' }
+    ], 'cosine');
+
+    const [closest, other] = index.nearest([50, 50], 2);
+    assert.equal(closest.value, 'diagonal');
+    assert.ok(closest.distance < 1e-12);
+    assert.equal(other.value, 'x');
+    assert.ok(Math.abs(other.distance - (1 - Math.SQRT1_2)) < 1e-12);
+});
+
+test('rejects unknown metrics', () => {
+    assert.throws(() => new NeighborIndex([], 'chebyshev'), /Unknown distance metric: chebyshev/);
+});
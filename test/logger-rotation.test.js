@@ -0,0 +1,80 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// El directorio y el tamaño máximo se leen al cargar el logger
+const logsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'logger-rotation-'));
+process.env.LOGS_DIR = logsDir;
+process.env.LOG_MAX_SIZE = '1k';
+process.env.LOG_LEVEL = 'info';
+delete process.env.LOG_ROTATION;
+
+const { StandardLogger } = require('../utils/logger');
+
+const CLI = path.join(__dirname, '../scripts/logs.js');
+
+// Logger sin consola que escribe `count` líneas y espera a que los archivos estén cerrados
+async function writeLines(moduleName, count) {
+    const logger = new StandardLogger(moduleName);
+    logger.logger.remove(logger.logger.transports.find(transport => transport.name === 'console'));
+
+    for (let i = 0; i < count; i++) {
+        logger.logApiCall(moduleName, 'WRITE', `line ${i}`, { i });
+    }
+    await new Promise(resolve => {
+        logger.logger.on('finish', resolve);
+        logger.logger.end();
+    });
+    // El transporte cierra su stream después de emitir finish
+    await new Promise(resolve => setTimeout(resolve, 100));
+}
+
+const listDir = () => fs.readdirSync(logsDir).sort();
+const isLink = name => fs.lstatSync(path.join(logsDir, name)).isSymbolicLink();
+
+after(() => {
+    fs.rmSync(logsDir, { recursive: true, force: true });
+});
+
+test('files are split at LOG_MAX_SIZE and <module>.log links to the current part', async () => {
+    await writeLines('ROTATION_TEST', 40);
+
+    const parts = listDir().filter(name => /^rotation_test-\d{4}-\d{2}-\d{2}\.log(\.\d+)?$/.test(name));
+    assert.ok(parts.length >= 2, `expected several parts, got ${parts}`);
+    // Se parte al superar el límite, así que cada parte puede pasarse como mucho en una línea
+    parts.forEach(name => assert.ok(fs.statSync(path.join(logsDir, name)).size <= 1024 + 200, name));
+
+    assert.ok(isLink('rotation_test.log'));
+    const current = parts.sort((a, b) => a.localeCompare(b, undefined, { numeric: true })).at(-1);
+    assert.equal(fs.readlinkSync(path.join(logsDir, 'rotation_test.log')), current);
+    assert.ok(isLink('rotation_test-error.log'));
+    assert.ok(fs.existsSync(path.join(logsDir, '.audit', 'rotation_test.json')));
+});
+
+test('the logs CLI reads every part once and in order, skipping the link', () => {
+    const output = execFileSync(process.execPath, [CLI, 'query', '--dir', logsDir, '--service', 'rotation_test', '--json'], { encoding: 'utf8' });
+    const messages = output.trim().split('\n').map(line => JSON.parse(line).message);
+
+    assert.deepEqual(messages, Array.from({ length: 40 }, (_, i) => `line ${i}`));
+});
+
+test('a legacy plain log is left alone until migrate renames it', async () => {
+    const legacyPath = path.join(logsDir, 'legacy_test.log');
+    fs.writeFileSync(legacyPath, 'old line\n');
+
+    await writeLines('LEGACY_TEST', 1);
+    assert.ok(!isLink('legacy_test.log'));
+    assert.equal(fs.readFileSync(legacyPath, 'utf8'), 'old line\n');
+
+    const output = execFileSync(process.execPath, [CLI, 'migrate'], { encoding: 'utf8', env: { ...process.env, LOGS_DIR: logsDir } });
+    assert.match(output, /legacy_test\.log -> legacy_test-legacy\.log/);
+    // Los enlaces de la rotación no se tocan
+    assert.ok(isLink('rotation_test.log'));
+    assert.equal(fs.readFileSync(path.join(logsDir, 'legacy_test-legacy.log'), 'utf8'), 'old line\n');
+
+    await writeLines('LEGACY_TEST', 1);
+    assert.ok(isLink('legacy_test.log'));
+});
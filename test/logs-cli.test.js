@@ -0,0 +1,125 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseLine, fileEntries, mergeEntries, summarizeLatencies } = require('../scripts/logs');
+
+const CLI = path.join(__dirname, '../scripts/logs.js');
+const NO_FILTERS = { services: [], functions: [], since: null, until: null };
+
+function writeLogs(files) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'logs-cli-'));
+    Object.entries(files).forEach(([name, lines]) => fs.writeFileSync(path.join(dir, name), lines.join('\n') + '\n'));
+    return dir;
+}
+
+async function collect(iterable) {
+    const items = [];
+    for await (const item of iterable) {
+        items.push(item);
+    }
+    return items;
+}
+
+test('parses text lines with the [API][FUNCTION] prefix and trailing metadata', () => {
+    const entry = parseLine('2025-05-31 19:00:00.123 [STATS_API] info: [STATS_API][GET_STATS] Found {x} stats {"latency":12,"request_id":"abc"}');
+    assert.equal(entry.service, 'stats_api');
+    assert.equal(entry.level, 'info');
+    assert.equal(entry.api, 'STATS_API');
+    assert.equal(entry.function, 'GET_STATS');
+    assert.equal(entry.message, 'Found {x} stats');
+    assert.deepEqual(entry.meta, { latency: 12, request_id: 'abc' });
+});
+
+test('parses JSON lines', () => {
+    const entry = parseLine(JSON.stringify({
+        timestamp: '2025-05-31 19:00:00.123',
+        service: 'SEARCH_API',
+        api: 'SEARCH_API',
+        function: 'POKEMON_SEARCH',
+        level: 'warn',
+        message: 'Slow',
+        meta: { latency: 900 }
+    }));
+    assert.equal(entry.service, 'search_api');
+    assert.equal(entry.function, 'POKEMON_SEARCH');
+    assert.equal(entry.meta.latency, 900);
+});
+
+test('ignores lines that are not log entries', () => {
+    assert.equal(parseLine('    at Object.<anonymous> (file.js:1:1)'), null);
+    assert.equal(parseLine('{not json'), null);
+});
+
+test('continuation lines are attached to the previous entry', async () => {
+    const dir = writeLogs({
+        'stats_api.log': [
+            '    at orphan (before the first entry)',
+            '2025-05-31 19:00:00.000 [STATS_API] error: [STATS_API][LOAD] ERROR: Failed Error: boom',
+            '    at parse (stats-api.js:10:5)',
+            '    at load (stats-api.js:20:3) {"request_id":"r1"}',
+            '2025-05-31 19:00:01.000 [STATS_API] info: [STATS_API][LOAD] Done '
+        ]
+    });
+
+    const entries = await collect(fileEntries(path.join(dir, 'stats_api.log'), NO_FILTERS));
+    assert.equal(entries.length, 2);
+    assert.match(entries[0].message, /boom\n {4}at parse[\s\S]*at load \(stats-api\.js:20:3\)$/);
+    assert.deepEqual(entries[0].meta, { request_id: 'r1' });
+    assert.equal(entries[1].message, 'Done');
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('merges sorted sources by timestamp, keeping source order on ties', async () => {
+    async function* source(name, times) {
+        for (const time of times) {
+            yield { name, time };
+        }
+    }
+
+    const merged = await collect(mergeEntries([source('a', [1, 3, 3, 7]), source('b', [2, 3, 8]), source('c', [])]));
+    assert.deepEqual(merged.map(({ name, time }) => `${name}${time}`), ['a1', 'b2', 'a3', 'a3', 'b3', 'a7', 'b8']);
+});
+
+test('summarizes latencies with nearest-rank percentiles', () => {
+    const [row] = summarizeLatencies(new Map([['[A][F]', [5, 1, 4, 2, 3]]]));
+    assert.deepEqual(
+        { count: row.count, avg: row.avg, min: row.min, max: row.max, p50: row.p50, p90: row.p90 },
+        { count: 5, avg: 3, min: 1, max: 5, p50: 3, p90: 5 }
+    );
+});
+
+test('query interleaves files chronologically and honours --limit and --service', () => {
+    const dir = writeLogs({
+        'search_api.log': [
+            '2025-05-31 19:00:00.000 [SEARCH_API] info: [SEARCH_API][A] first ',
+            '2025-05-31 19:00:02.000 [SEARCH_API] info: [SEARCH_API][A] third '
+        ],
+        'stats_api.log': [
+            '2025-05-31 19:00:01.000 [STATS_API] info: [STATS_API][B] second ',
+            '2025-05-31 19:00:03.000 [STATS_API] error: [STATS_API][B] ERROR: fourth',
+            '    at trace (stats-api.js:1:1)'
+        ]
+    });
+    const run = args => execFileSync(process.execPath, [CLI, 'query', '--dir', dir, '--json', ...args], { encoding: 'utf8' })
+        .trim().split('\n').filter(Boolean).map(line => JSON.parse(line).message);
+
+    assert.deepEqual(run([]), ['first', 'second', 'third', 'fourth\n    at trace (stats-api.js:1:1)']);
+    assert.deepEqual(run(['--limit', '2']), ['third', 'fourth\n    at trace (stats-api.js:1:1)']);
+    assert.deepEqual(run(['--service', 'stats_api', '--level', 'error']), ['fourth\n    at trace (stats-api.js:1:1)']);
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('migrate renames pre-rotation logs only', () => {
+    const dir = writeLogs({
+        'gateway.log': ['old'],
+        'gateway-error.log': ['old'],
+        'gateway-2025-05-31.log': ['rotated']
+    });
+
+    execFileSync(process.execPath, [CLI, 'migrate', '--dir', dir], { encoding: 'utf8' });
+    assert.deepEqual(fs.readdirSync(dir).sort(), ['gateway-2025-05-31.log', 'gateway-error-legacy.log', 'gateway-legacy.log']);
+    fs.rmSync(dir, { recursive: true, force: true });
+});
@@ -0,0 +1,100 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MetricsRegistry, renderPrometheus } = require('../utils/metrics');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'metrics-'));
+process.env.STATS_CSV_PATH = path.join(tempDir, 'missing.csv');
+process.env.STATS_STORE = 'memory';
+process.env.POKE_API_URL = 'http://127.0.0.1:9';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+let server;
+let baseUrl;
+
+before(async () => {
+    server = require('../services/stats-api').listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test('histograms are cumulative and estimate quantiles inside the matching bucket', () => {
+    const registry = new MetricsRegistry();
+    registry.setDefaultLabels({ service: 'TEST_API' });
+    [3, 8, 8, 40, 400].forEach(value => registry.observeHistogram('latency_ms', 'Latency', { route: '/a' }, value, [10, 100, 1000]));
+    registry.observeHistogram('latency_ms', 'Latency', { route: '/b' }, 5000, [10, 100, 1000]);
+
+    const [a, b] = registry.snapshot().histograms.latency_ms.series;
+    assert.deepEqual(a.labels, { service: 'TEST_API', route: '/a' });
+    assert.deepEqual(a.buckets, [3, 4, 5]);
+    assert.equal(a.count, 5);
+    assert.equal(a.sum, 459);
+    assert.equal(a.quantiles.p50, 8.33);
+    assert.equal(a.quantiles.p99, 955);
+    // Por encima del último bucket el cuantil se queda en su límite
+    assert.equal(b.quantiles.p50, 1000);
+});
+
+test('counters add up per label set and collectors run before each snapshot', () => {
+    const registry = new MetricsRegistry();
+    let collected = 0;
+    registry.addCollector(target => target.setGauge('collected', 'Collector runs', {}, ++collected));
+    registry.incrementCounter('hits_total', 'Hits', { status: 200 });
+    registry.incrementCounter('hits_total', 'Hits', { status: 200 }, 2);
+    registry.incrementCounter('hits_total', 'Hits', { status: 404 });
+
+    assert.deepEqual(registry.snapshot().counters.hits_total.series.map(series => series.value), [3, 1]);
+    assert.equal(registry.snapshot().gauges.collected.series[0].value, 2);
+});
+
+test('renderPrometheus merges the families of several snapshots and escapes label values', () => {
+    const first = new MetricsRegistry();
+    first.setDefaultLabels({ service: 'GATEWAY' });
+    first.incrementCounter('hits_total', 'Hits', { route: 'say "hi"\n' });
+    first.observeHistogram('latency_ms', 'Latency', {}, 7, [10]);
+    const second = new MetricsRegistry();
+    second.setDefaultLabels({ service: 'STATS_API' });
+    second.incrementCounter('hits_total', 'Hits', { route: '/api' }, 4);
+
+    const text = renderPrometheus([first.snapshot(), second.snapshot()]);
+    assert.equal(text.match(/# TYPE hits_total counter/g).length, 1);
+    assert.ok(text.includes('hits_total{service="GATEWAY",route="say \\"hi\\"\\n"} 1\n'));
+    assert.ok(text.includes('hits_total{service="STATS_API",route="/api"} 4\n'));
+    assert.ok(text.includes('latency_ms_bucket{service="GATEWAY",le="10"} 1\n'));
+    assert.ok(text.includes('latency_ms_bucket{service="GATEWAY",le="+Inf"} 1\n'));
+    assert.ok(text.includes('latency_ms_sum{service="GATEWAY"} 7\n'));
+});
+
+test('a service /metrics endpoint reports its requests by route template in Prometheus format', async () => {
+    await fetch(`${baseUrl}/api/stats/pikachu?strict=true`);
+    await fetch(`${baseUrl}/api/stats/charizard?strict=true`);
+    await fetch(`${baseUrl}/api/stats/missingno?strict=true`);
+
+    const response = await fetch(`${baseUrl}/metrics`);
+    assert.match(response.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+    const text = await response.text();
+
+    assert.ok(text.includes('# TYPE http_requests_total counter'));
+    assert.ok(text.includes('http_requests_total{service="STATS_API",method="GET",route="/api/stats/:pokemonName",status="200"} 2\n'));
+    assert.ok(text.includes('http_requests_total{service="STATS_API",method="GET",route="/api/stats/:pokemonName",status="404"} 1\n'));
+    assert.ok(!text.includes('route="/api/stats/pikachu"'));
+    assert.match(text, /^process_resident_memory_bytes\{service="STATS_API"\} \d+$/m);
+});
+
+test('format=json returns the snapshot that the gateway aggregates', async () => {
+    const snapshot = await fetch(`${baseUrl}/metrics?format=json`).then(res => res.json());
+
+    assert.deepEqual(Object.keys(snapshot).sort(), ['counters', 'gauges', 'histograms', 'timestamp']);
+    const durations = snapshot.histograms.http_request_duration_ms.series
+        .find(series => series.labels.route === '/api/stats/:pokemonName' && series.labels.status === 200);
+    assert.equal(durations.count, 2);
+    assert.equal(durations.labels.service, 'STATS_API');
+    assert.deepEqual(Object.keys(durations.quantiles), ['p50', 'p90', 'p95', 'p99']);
+});
@@ -0,0 +1,196 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// PokeAPI falsa en modo live que sirve los fixtures versionados y cuenta las llamadas por recurso
+const FIXTURES_DIR = path.join(__dirname, '../data/pokeapi-fixtures');
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'poke-api-cache-'));
+process.env.POKEAPI_MODE = 'live';
+process.env.POKEMON_NAMES_CSV = path.join(tempDir, 'pokemon_names.csv');
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+fs.writeFileSync(process.env.POKEMON_NAMES_CSV, 'name\nsquirtle\nBulbasaur\n\nsquirtle\n');
+
+const upstreamCalls = new Map();
+const pokeApiUpstream = http.createServer((req, res) => {
+    const resource = req.url.split('?')[0].replace(/^\/api\/v2\//, '');
+    upstreamCalls.set(resource, (upstreamCalls.get(resource) || 0) + 1);
+
+    const fixture = path.join(FIXTURES_DIR, `${resource}.json`);
+    res.setHeader('Content-Type', 'application/json');
+    if (!/^[a-z-]+\/[a-z0-9-]+$/.test(resource) || !fs.existsSync(fixture)) {
+        res.statusCode = 404;
+        return res.end('"Not Found"');
+    }
+    res.end(fs.readFileSync(fixture));
+});
+
+let server;
+let baseUrl;
+
+before(async () => {
+    pokeApiUpstream.listen(0);
+    await new Promise(resolve => pokeApiUpstream.once('listening', resolve));
+    process.env.POKEAPI_BASE_URL = `http://127.0.0.1:${pokeApiUpstream.address().port}/api/v2`;
+
+    server = require('../services/poke-api').listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+    pokeApiUpstream.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+beforeEach(async () => {
+    await request('DELETE', '/api/cache');
+    upstreamCalls.clear();
+});
+
+async function request(method, pathname, body) {
+    const response = await fetch(`${baseUrl}${pathname}`, {
+        method,
+        headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+const getJson = pathname => request('GET', pathname);
+
+test('inspect shows the state and hits of an entry without counting as a use', async () => {
+    assert.equal((await getJson('/api/pokemon/pikachu')).headers.get('x-cache'), 'MISS');
+    assert.equal((await getJson('/api/pokemon/Pikachu')).headers.get('x-cache'), 'HIT');
+
+    const { status, body } = await getJson('/api/cache/pokemon_pikachu');
+    assert.equal(status, 200);
+    assert.equal(body.key, 'pokemon_pikachu');
+    assert.equal(body.state, 'fresh');
+    assert.equal(body.hits, 1);
+    assert.equal(body.revalidating, false);
+    assert.ok(body.ttl_remaining_ms > 0);
+    assert.equal(body.size_bytes, Buffer.byteLength(JSON.stringify(body.value)));
+    assert.equal(body.value.name, 'pikachu');
+
+    assert.equal((await getJson('/api/cache/pokemon_pikachu')).body.hits, 1);
+    assert.equal(upstreamCalls.get('pokemon/pikachu'), 1);
+
+    const stats = await getJson('/api/cache/stats');
+    assert.deepEqual(stats.body.entries, ['pokemon_pikachu']);
+    assert.equal(stats.body.size, 1);
+});
+
+test('inspecting or deleting a missing key is a 404', async () => {
+    const inspected = await getJson('/api/cache/pokemon_mew');
+    assert.equal(inspected.status, 404);
+    assert.deepEqual(inspected.body, { error: 'Cache entry not found', key: 'pokemon_mew' });
+
+    assert.equal((await request('DELETE', '/api/cache/pokemon_mew')).status, 404);
+});
+
+test('deleting a key makes the next request load it again', async () => {
+    await getJson('/api/pokemon/pikachu');
+
+    const deleted = await request('DELETE', '/api/cache/pokemon_pikachu');
+    assert.equal(deleted.status, 200);
+    assert.equal(deleted.body.key, 'pokemon_pikachu');
+
+    assert.equal((await getJson('/api/pokemon/pikachu')).headers.get('x-cache'), 'MISS');
+    assert.equal(upstreamCalls.get('pokemon/pikachu'), 2);
+});
+
+test('a pattern deletes only the matching keys', async () => {
+    await getJson('/api/pokemon/pikachu/species');
+    await getJson('/api/pokemon/charizard');
+
+    const { status, body } = await request('DELETE', '/api/cache?pattern=POKEMON_*');
+    assert.equal(status, 200);
+    assert.equal(body.entries_removed, 2);
+    assert.deepEqual(body.keys.sort(), ['pokemon_charizard', 'pokemon_pikachu']);
+    assert.deepEqual((await getJson('/api/cache/stats')).body.entries, ['species_pikachu']);
+
+    const single = await request('DELETE', '/api/cache?pattern=species_pik?chu');
+    assert.deepEqual(single.body.keys, ['species_pikachu']);
+
+    const invalid = await request('DELETE', '/api/cache?pattern=%20');
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.error, 'Invalid pattern');
+});
+
+test('clearing the cache reports how many entries were removed', async () => {
+    await getJson('/api/pokemon/pikachu');
+    await getJson('/api/pokemon/squirtle');
+
+    const { body } = await request('DELETE', '/api/cache');
+    assert.deepEqual(body, { message: 'Cache cleared successfully', entries_removed: 2 });
+    assert.equal((await getJson('/api/cache/stats')).body.size, 0);
+});
+
+test('a synchronous warm-up deduplicates names and reports failures per name', async () => {
+    const { status, body } = await request('POST', '/api/cache/warm?wait=true', {
+        names: ['Pikachu', ' pikachu', 'bulbasaur', 'missingno'],
+        concurrency: 2
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.status, 'completed');
+    assert.equal(body.source, 'request');
+    assert.deepEqual(
+        { total: body.total, completed: body.completed, succeeded: body.succeeded, failed: body.failed, progress: body.progress },
+        { total: 3, completed: 3, succeeded: 2, failed: 1, progress: 100 }
+    );
+    assert.deepEqual(body.cache_status, { hit: 0, stale: 0, miss: 2, coalesced: 0 });
+    assert.deepEqual(body.errors, [{ name: 'missingno', status: 404, message: 'Pokemon not found' }]);
+
+    assert.equal((await getJson('/api/pokemon/bulbasaur')).headers.get('x-cache'), 'HIT');
+    assert.equal(upstreamCalls.get('pokemon/bulbasaur'), 1);
+
+    const again = await request('POST', '/api/cache/warm?wait=true', { names: ['pikachu', 'bulbasaur'] });
+    assert.deepEqual(again.body.cache_status, { hit: 2, stale: 0, miss: 0, coalesced: 0 });
+});
+
+test('an asynchronous warm-up returns 202 and its progress can be polled', async () => {
+    const started = await request('POST', '/api/cache/warm', { pokemon_names: ['charizard', 'squirtle'] });
+    assert.equal(started.status, 202);
+    assert.equal(started.body.progress_url, `/api/cache/warm/${started.body.job_id}`);
+
+    let job;
+    for (let attempt = 0; attempt < 50; attempt++) {
+        job = (await getJson(started.body.progress_url)).body;
+        if (job.status === 'completed') break;
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    assert.equal(job.status, 'completed');
+    assert.equal(job.succeeded, 2);
+    assert.equal(typeof job.duration_ms, 'number');
+
+    const missing = await getJson('/api/cache/warm/unknown-job');
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.error, 'Warm-up job not found');
+});
+
+test('without names the warm-up reads POKEMON_NAMES_CSV', async () => {
+    const { body } = await request('POST', '/api/cache/warm?wait=true', {});
+
+    assert.equal(body.source, 'pokemon_names.csv');
+    assert.equal(body.total, 2);
+    assert.equal(body.succeeded, 2);
+    assert.deepEqual((await getJson('/api/cache/stats')).body.entries.sort(), ['pokemon_bulbasaur', 'pokemon_squirtle']);
+});
+
+test('invalid warm-up requests are rejected', async () => {
+    for (const [body, message] of [
+        [{ names: 'pikachu' }, 'names must be an array of strings'],
+        [{ names: [' ', 'name'] }, 'No names to warm'],
+        [{ names: ['pikachu'], concurrency: 0 }, 'concurrency must be an integer between 1 and 20']
+    ]) {
+        const response = await request('POST', '/api/cache/warm', body);
+        assert.equal(response.status, 400);
+        assert.deepEqual(response.body, { error: 'Invalid warm-up request', message });
+    }
+    assert.equal(upstreamCalls.size, 0);
+});
@@ -0,0 +1,73 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Modo offline con los fixtures versionados en data/pokeapi-fixtures: sin red
+process.env.POKEAPI_MODE = 'offline';
+delete process.env.POKEAPI_FIXTURES_DIR;
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const app = require('../services/poke-api');
+
+let server;
+let baseUrl;
+
+before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+});
+
+async function getJson(pathname) {
+    const response = await fetch(`${baseUrl}${pathname}`);
+    return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+test('serves the recorded Pokemon', async () => {
+    for (const [name, id, types] of [
+        ['pikachu', 25, ['electric']],
+        ['charizard', 6, ['fire', 'flying']],
+        ['bulbasaur', 1, ['grass', 'poison']],
+        ['squirtle', 7, ['water']]
+    ]) {
+        const { status, body } = await getJson(`/api/pokemon/${name}`);
+        assert.equal(status, 200, name);
+        assert.equal(body.id, id);
+        assert.deepEqual(body.types.map(type => type.name), types);
+        assert.equal(body.stats.length, 6);
+    }
+});
+
+test('serves species data for the recorded Pokemon', async () => {
+    const { status, body } = await getJson('/api/pokemon/charizard/species');
+    assert.equal(status, 200);
+    assert.equal(body.genus, 'Flame Pokémon');
+    assert.equal(body.evolves_from_species, 'charmeleon');
+    assert.equal(body.evolution_chain_id, 2);
+    assert.equal(body.flavor_text, 'Spits fire that is hot enough to melt boulders. Known to cause forest fires unintentionally.');
+});
+
+test('serves the evolution chains of the recorded Pokemon', async () => {
+    const { status, body } = await getJson('/api/pokemon/pikachu/evolution');
+    assert.equal(status, 200);
+    assert.equal(body.chain.species, 'pichu');
+    assert.equal(body.chain.is_baby, true);
+    assert.deepEqual(body.chain.evolves_to[0].conditions, [{ trigger: 'level-up', min_happiness: 220 }]);
+    assert.deepEqual(body.chain.evolves_to[0].evolves_to[0].conditions, [{ trigger: 'use-item', item: 'thunder-stone' }]);
+});
+
+test('serves the recorded list index', async () => {
+    const { status, body } = await getJson('/api/pokemon');
+    assert.equal(status, 200);
+    assert.equal(body.results.length, 20);
+    assert.equal(body.results[0].name, 'bulbasaur');
+});
+
+test('a Pokemon without fixture is a 404', async () => {
+    const { status, body } = await getJson('/api/pokemon/missingno');
+    assert.equal(status, 404);
+    assert.equal(body.pokemon, 'missingno');
+});
@@ -0,0 +1,204 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Modo offline sobre una copia de los fixtures versionados más los movimientos, tipos y formas
+// que no están grabados
+const fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'poke-api-resources-'));
+fs.cpSync(path.join(__dirname, '../data/pokeapi-fixtures'), fixturesDir, { recursive: true });
+process.env.POKEAPI_MODE = 'offline';
+process.env.POKEAPI_FIXTURES_DIR = fixturesDir;
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const named = name => ({ name, url: `https://pokeapi.co/api/v2/x/${name}/` });
+
+function writeFixture(resource, data) {
+    const file = path.join(fixturesDir, `${resource}.json`);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(data));
+}
+
+writeFixture('move/thunderbolt', {
+    id: 85,
+    name: 'thunderbolt',
+    type: named('electric'),
+    damage_class: named('special'),
+    power: 90,
+    accuracy: 100,
+    pp: 15,
+    priority: 0,
+    target: named('selected-pokemon'),
+    effect_chance: 10,
+    effect_entries: [
+        { language: named('de'), short_effect: 'Kann paralysieren.' },
+        { language: named('en'), short_effect: 'Has a $effect_chance%\nchance to paralyze the target.' }
+    ],
+    stat_changes: [],
+    generation: named('generation-i'),
+    learned_by_pokemon: [named('pikachu'), named('raichu'), named('zapdos')]
+});
+writeFixture('move/growl', {
+    id: 45,
+    name: 'growl',
+    type: named('normal'),
+    damage_class: named('status'),
+    power: null,
+    accuracy: 100,
+    pp: 40,
+    priority: 0,
+    target: named('all-opponents'),
+    effect_chance: null,
+    effect_entries: [],
+    stat_changes: [{ change: -1, stat: named('attack') }],
+    generation: named('generation-i'),
+    learned_by_pokemon: []
+});
+writeFixture('type/electric', {
+    id: 13,
+    name: 'electric',
+    generation: named('generation-i'),
+    move_damage_class: named('special'),
+    damage_relations: {
+        double_damage_to: [named('flying'), named('water')],
+        half_damage_to: [named('grass'), named('electric'), named('dragon')],
+        no_damage_to: [named('ground')],
+        double_damage_from: [named('ground')],
+        half_damage_from: [named('flying'), named('steel'), named('electric')]
+    },
+    pokemon: [{ slot: 1, pokemon: named('pikachu') }, { slot: 1, pokemon: named('raichu') }],
+    moves: [named('thunderbolt'), named('thunder-shock')]
+});
+// Forma cuyo nombre no coincide con el de su especie, y especie sin cadena de evolución
+const squirtle = JSON.parse(fs.readFileSync(path.join(fixturesDir, 'pokemon/squirtle.json'), 'utf8'));
+writeFixture('pokemon/squirtle-surfing', { ...squirtle, id: 10999, name: 'squirtle-surfing' });
+const bulbasaurSpecies = JSON.parse(fs.readFileSync(path.join(fixturesDir, 'pokemon-species/bulbasaur.json'), 'utf8'));
+const bulbasaur = JSON.parse(fs.readFileSync(path.join(fixturesDir, 'pokemon/bulbasaur.json'), 'utf8'));
+writeFixture('pokemon/lonely', { ...bulbasaur, id: 10998, name: 'lonely', species: named('lonely') });
+writeFixture('pokemon-species/lonely', { ...bulbasaurSpecies, id: 10998, name: 'lonely', evolution_chain: null });
+
+let server;
+let baseUrl;
+
+before(async () => {
+    server = require('../services/poke-api').listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+    fs.rmSync(fixturesDir, { recursive: true, force: true });
+});
+
+async function getJson(pathname) {
+    const response = await fetch(`${baseUrl}${pathname}`);
+    return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+test('moves are trimmed and the effect chance is filled into the English effect', async () => {
+    const { status, headers, body } = await getJson('/api/moves/Thunderbolt');
+
+    assert.equal(status, 200);
+    assert.equal(headers.get('x-cache'), 'MISS');
+    assert.deepEqual(body, {
+        id: 85,
+        name: 'thunderbolt',
+        type: 'electric',
+        damage_class: 'special',
+        power: 90,
+        accuracy: 100,
+        pp: 15,
+        priority: 0,
+        target: 'selected-pokemon',
+        effect_chance: 10,
+        effect: 'Has a 10% chance to paralyze the target.',
+        stat_changes: [],
+        generation: 'generation-i',
+        learned_by_count: 3
+    });
+    assert.equal((await getJson('/api/moves/thunderbolt')).headers.get('x-cache'), 'HIT');
+});
+
+test('status moves keep their stat changes and have no effect text', async () => {
+    const { body } = await getJson('/api/moves/growl');
+    assert.equal(body.power, null);
+    assert.equal(body.effect, null);
+    assert.deepEqual(body.stat_changes, [{ stat: 'attack', change: -1 }]);
+    assert.equal(body.learned_by_count, 0);
+});
+
+test('types list every damage relation, including the empty ones', async () => {
+    const { status, body } = await getJson('/api/types/electric');
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.damage_relations, {
+        double_damage_to: ['flying', 'water'],
+        half_damage_to: ['grass', 'electric', 'dragon'],
+        no_damage_to: ['ground'],
+        double_damage_from: ['ground'],
+        half_damage_from: ['flying', 'steel', 'electric'],
+        no_damage_from: []
+    });
+    assert.deepEqual(
+        { pokemon_count: body.pokemon_count, pokemon: body.pokemon, move_count: body.move_count, move_damage_class: body.move_damage_class },
+        { pokemon_count: 2, pokemon: ['pikachu', 'raichu'], move_count: 2, move_damage_class: 'special' }
+    );
+});
+
+test('unknown moves and types are 404s keyed by the requested name', async () => {
+    assert.deepEqual(await getJson('/api/moves/splashier').then(({ status, body }) => ({ status, body })), {
+        status: 404,
+        body: { error: 'Move not found', move: 'splashier' }
+    });
+    assert.deepEqual(await getJson('/api/types/sound').then(({ status, body }) => ({ status, body })), {
+        status: 404,
+        body: { error: 'Type not found', type: 'sound' }
+    });
+});
+
+test('species are resolved from the Pokemon, so forms share the species of their base Pokemon', async () => {
+    const { status, body } = await getJson('/api/pokemon/squirtle-surfing/species');
+
+    assert.equal(status, 200);
+    assert.equal(body.name, 'squirtle');
+    assert.equal(body.evolution_chain_id, 3);
+    assert.deepEqual(body.varieties, [{ name: 'squirtle', is_default: true }]);
+
+    const cached = (await getJson('/api/cache/stats')).body.entries;
+    assert.ok(cached.includes('pokemon_squirtle-surfing'));
+    assert.ok(cached.includes('species_squirtle'));
+});
+
+test('evolution chains keep every stage with only the conditions that apply', async () => {
+    const { status, body } = await getJson('/api/pokemon/squirtle/evolution');
+
+    assert.equal(status, 200);
+    assert.equal(body.species, 'squirtle');
+    assert.equal(body.id, 3);
+    const stages = [];
+    for (let node = body.chain; node; node = node.evolves_to[0]) {
+        stages.push([node.species, node.species_id, node.conditions]);
+    }
+    assert.deepEqual(stages, [
+        ['squirtle', 7, []],
+        ['wartortle', 8, [{ trigger: 'level-up', min_level: 16 }]],
+        ['blastoise', 9, [{ trigger: 'level-up', min_level: 36 }]]
+    ]);
+
+    // La forma comparte la cadena ya cargada
+    const form = await getJson('/api/pokemon/squirtle-surfing/evolution');
+    assert.equal(form.headers.get('x-cache'), 'HIT');
+    assert.equal(form.body.id, 3);
+});
+
+test('a species without an evolution chain and an unknown Pokemon are 404s', async () => {
+    const lonely = await getJson('/api/pokemon/lonely/evolution');
+    assert.equal(lonely.status, 404);
+    assert.deepEqual(lonely.body, { error: 'Evolution chain not found', pokemon: 'lonely' });
+
+    const missing = await getJson('/api/pokemon/missingno/species');
+    assert.equal(missing.status, 404);
+    assert.deepEqual(missing.body, { error: 'Species not found', pokemon: 'missingno' });
+});
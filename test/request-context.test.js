@@ -0,0 +1,110 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { Writable } = require('stream');
+
+process.env.LOG_LEVEL = 'info';
+process.env.LOG_ROTATION = 'false';
+
+const axios = require('axios');
+const express = require('express');
+const winston = require('winston');
+const { StandardLogger, latencyMiddleware } = require('../utils/logger');
+const { propagationHeaders, getRequestId } = require('../utils/request-context');
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+
+// Líneas de log en JSON, sin pasar por consola ni por los archivos
+const logLines = [];
+const logger = new StandardLogger('REQUEST_ID_TEST');
+logger.logger.clear().add(new winston.transports.Stream({
+    format: winston.format.json(),
+    stream: new Writable({
+        write(chunk, encoding, callback) {
+            logLines.push(JSON.parse(chunk));
+            callback();
+        }
+    })
+}));
+
+// Cabeceras que recibe el servicio llamado desde la ruta
+const forwarded = [];
+const upstream = http.createServer((req, res) => {
+    forwarded.push(req.headers);
+    res.end('{}');
+});
+
+let server;
+let baseUrl;
+
+before(async () => {
+    upstream.listen(0);
+    await new Promise(resolve => upstream.once('listening', resolve));
+    const upstreamUrl = `http://127.0.0.1:${upstream.address().port}`;
+
+    const app = express();
+    app.use(latencyMiddleware(logger, 'REQUEST_ID_TEST'));
+    app.get('/lookup', async (req, res) => {
+        // El contexto debe sobrevivir a los await entre la petición y la llamada saliente
+        await new Promise(resolve => setTimeout(resolve, 5));
+        logger.logApiCall('REQUEST_ID_TEST', 'LOOKUP', 'Calling upstream');
+        await axios.get(`${upstreamUrl}/data`, { headers: propagationHeaders() });
+        res.json({ request_id: getRequestId() });
+    });
+
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+    upstream.close();
+});
+
+beforeEach(() => {
+    logLines.length = 0;
+    forwarded.length = 0;
+});
+
+async function lookup(headers = {}) {
+    const response = await fetch(`${baseUrl}/lookup`, { headers });
+    return { header: response.headers.get('x-request-id'), body: await response.json() };
+}
+
+test('a valid incoming X-Request-Id is echoed, forwarded upstream and added to the logs', async () => {
+    const { header, body } = await lookup({ 'X-Request-Id': 'client-req.42:a' });
+
+    assert.equal(header, 'client-req.42:a');
+    assert.equal(body.request_id, 'client-req.42:a');
+    assert.equal(forwarded.length, 1);
+    assert.equal(forwarded[0]['x-request-id'], 'client-req.42:a');
+
+    const functions = logLines.map(line => line.message.match(/\]\[(\w+)\]/)[1]);
+    assert.deepEqual(functions, ['REQUEST_STARTED', 'LOOKUP', 'REQUEST_COMPLETED']);
+    assert.ok(logLines.every(line => line.request_id === 'client-req.42:a'));
+});
+
+test('a request without an id gets a new UUID per request', async () => {
+    const first = await lookup();
+    const second = await lookup();
+
+    assert.match(first.header, UUID);
+    assert.match(second.header, UUID);
+    assert.notEqual(first.header, second.header);
+    assert.deepEqual(forwarded.map(headers => headers['x-request-id']), [first.header, second.header]);
+});
+
+test('an invalid incoming id is replaced instead of being propagated', async () => {
+    const { header } = await lookup({ 'X-Request-Id': 'bad id with spaces' });
+    assert.match(header, UUID);
+    assert.equal(forwarded[0]['x-request-id'], header);
+
+    const tooLong = await lookup({ 'X-Request-Id': 'a'.repeat(129) });
+    assert.match(tooLong.header, UUID);
+});
+
+test('outside a request there is nothing to propagate', () => {
+    assert.deepEqual(propagationHeaders(), {});
+    assert.equal(getRequestId(), undefined);
+});
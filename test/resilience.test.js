@@ -0,0 +1,105 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { BREAKER_STATES, CircuitBreaker, ResilientHttpClient, isRetryable, isServiceFailure } = require('../utils/resilience');
+
+const httpError = status => Object.assign(new Error(`status ${status}`), { response: { status } });
+
+test('a 4xx is not a service failure and is not retried', () => {
+    assert.equal(isServiceFailure(httpError(404)), false);
+    assert.equal(isRetryable(httpError(404)), false);
+    assert.equal(isServiceFailure(httpError(500)), true);
+    assert.equal(isRetryable(httpError(500)), false);
+    assert.equal(isRetryable(httpError(503)), true);
+    assert.equal(isRetryable(Object.assign(new Error('reset'), { code: 'ECONNRESET' })), true);
+});
+
+test('the breaker opens after the failure threshold and rejects calls', async () => {
+    const transitions = [];
+    const breaker = new CircuitBreaker('TEST', { failureThreshold: 2, resetTimeoutMs: 60000 }, (name, from, to) => transitions.push(to));
+    const fail = () => Promise.reject(httpError(500));
+
+    await assert.rejects(breaker.execute(fail));
+    assert.equal(breaker.state, BREAKER_STATES.CLOSED);
+    await assert.rejects(breaker.execute(fail));
+    assert.equal(breaker.state, BREAKER_STATES.OPEN);
+
+    await assert.rejects(breaker.execute(() => Promise.resolve('ok')), { code: 'ECIRCUITOPEN' });
+    assert.equal(breaker.snapshot().rejected, 1);
+    assert.deepEqual(transitions, [BREAKER_STATES.OPEN]);
+});
+
+test('client errors keep the breaker closed', async () => {
+    const breaker = new CircuitBreaker('TEST', { failureThreshold: 1 });
+    await assert.rejects(breaker.execute(() => Promise.reject(httpError(404))));
+    assert.equal(breaker.state, BREAKER_STATES.CLOSED);
+});
+
+test('after the reset timeout one half-open call decides the state', async () => {
+    const breaker = new CircuitBreaker('TEST', { failureThreshold: 1, resetTimeoutMs: 0, halfOpenMaxCalls: 1 });
+    await assert.rejects(breaker.execute(() => Promise.reject(httpError(503))));
+    assert.equal(breaker.state, BREAKER_STATES.OPEN);
+
+    assert.equal(await breaker.execute(() => Promise.resolve('ok')), 'ok');
+    assert.equal(breaker.state, BREAKER_STATES.CLOSED);
+
+    await assert.rejects(breaker.execute(() => Promise.reject(httpError(503))));
+    await assert.rejects(breaker.execute(() => Promise.reject(httpError(503))));
+    assert.equal(breaker.state, BREAKER_STATES.OPEN);
+});
+
+let server;
+let baseUrl;
+const hits = {};
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        hits[req.url] = (hits[req.url] || 0) + 1;
+        if (req.url === '/flaky' && hits[req.url] < 3) {
+            res.writeHead(503);
+            return res.end();
+        }
+        if (req.url === '/down') {
+            res.writeHead(503);
+            return res.end();
+        }
+        if (req.url === '/hang') {
+            return; // no responde nunca
+        }
+        res.writeHead(200, { 'content-type': 'application/json' });
+        res.end(JSON.stringify({ url: req.url, attempt: hits[req.url] }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.closeAllConnections();
+    server.close();
+});
+
+const newClient = options => new ResilientHttpClient({ retries: 2, retryBaseDelayMs: 1, retryMaxDelayMs: 5, failureThreshold: 100, ...options });
+
+test('idempotent requests are retried on 503 until they succeed', async () => {
+    const response = await newClient().get('TEST', `${baseUrl}/flaky`);
+    assert.equal(response.status, 200);
+    assert.equal(response.data.attempt, 3);
+});
+
+test('non-idempotent requests are not retried', async () => {
+    await assert.rejects(
+        newClient().request('TEST', { method: 'POST', url: `${baseUrl}/down` }),
+        error => error.response.status === 503 && error.attempts === 1
+    );
+    assert.equal(hits['/down'], 1);
+});
+
+test('retries stop after the configured count', async () => {
+    await assert.rejects(newClient().get('TEST', `${baseUrl}/down`), error => error.attempts === 3);
+});
+
+test('timeoutMs is a deadline for the whole request, retries included', async () => {
+    const startedAt = Date.now();
+    await assert.rejects(newClient({ timeoutMs: 300 }).get('TEST', `${baseUrl}/hang`), error => error.attempts === 1);
+    assert.ok(Date.now() - startedAt < 600, 'a hanging upstream must not be retried past the deadline');
+});
@@ -0,0 +1,162 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+// Los fallos simulados no deben abrir los breakers entre un test y otro
+process.env.BREAKER_FAILURE_THRESHOLD = '1000';
+
+// Un único servidor hace de poke-api, stats-api e images-api y cuenta las peticiones por ruta
+const POKEMON = {
+    pikachu: { id: 25, hp: 35 },
+    eevee: { id: 133, hp: 55 }
+};
+const calls = new Map();
+
+const upstream = http.createServer((req, res) => {
+    const [, , service, name] = req.url.split('?')[0].split('/');
+    calls.set(`${service}/${name}`, (calls.get(`${service}/${name}`) || 0) + 1);
+    res.setHeader('Content-Type', 'application/json');
+
+    const pokemon = POKEMON[name];
+    if (!pokemon) {
+        res.statusCode = 404;
+        return res.end(JSON.stringify({ error: 'Pokemon not found' }));
+    }
+    if (service === 'stats' && name === 'eevee') {
+        res.statusCode = 500;
+        return res.end(JSON.stringify({ error: 'Internal server error' }));
+    }
+
+    const bodies = {
+        pokemon: { id: pokemon.id, name, types: [{ slot: 1, name: 'electric' }] },
+        stats: { name, hp: pokemon.hp, speed: 90 },
+        images: { name, images: { front_default: `https://sprites.example/${pokemon.id}.png` } }
+    };
+    res.end(JSON.stringify(bodies[service]));
+});
+
+let server;
+let baseUrl;
+
+before(async () => {
+    upstream.listen(0);
+    await new Promise(resolve => upstream.once('listening', resolve));
+    const upstreamUrl = `http://127.0.0.1:${upstream.address().port}`;
+    process.env.POKE_API_URL = upstreamUrl;
+    process.env.STATS_API_URL = upstreamUrl;
+    process.env.IMAGES_API_URL = upstreamUrl;
+
+    const app = require('../services/search-api');
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+    upstream.close();
+});
+
+beforeEach(() => {
+    calls.clear();
+});
+
+async function getJson(pathname) {
+    const response = await fetch(`${baseUrl}${pathname}`);
+    return { status: response.status, body: await response.json() };
+}
+
+async function postBatch(body, query = '') {
+    const response = await fetch(`${baseUrl}/poke/search/batch${query}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+test('batch search removes duplicate names before querying the services', async () => {
+    const { status, body } = await postBatch({ names: ['Pikachu', ' pikachu ', 'eevee', 'PIKACHU'], include: 'pokemon' });
+
+    assert.equal(status, 200);
+    assert.equal(body.summary.requested, 4);
+    assert.equal(body.summary.unique, 2);
+    assert.equal(body.summary.duplicates_removed, 2);
+    assert.deepEqual(body.results.map(result => result.name), ['pikachu', 'eevee']);
+    assert.equal(calls.get('pokemon/pikachu'), 1);
+    assert.equal(calls.get('stats/pikachu'), undefined);
+});
+
+test('batch search allows 20 distinct names and rejects more', async () => {
+    const twenty = Array.from({ length: 20 }, (_, i) => `pokemon${i}`);
+
+    const allowed = await postBatch({ names: [...twenty, 'pokemon0'], include: 'pokemon' });
+    assert.equal(allowed.status, 200);
+    assert.equal(allowed.body.summary.unique, 20);
+
+    const rejected = await postBatch({ names: [...twenty, 'pokemon20'] });
+    assert.equal(rejected.status, 400);
+    assert.deepEqual(rejected.body, { error: 'A batch can contain at most 20 distinct names', requested: 21 });
+    assert.equal(calls.size, 20);
+});
+
+test('batch search validates the names array', async () => {
+    assert.equal((await postBatch({})).status, 400);
+    assert.equal((await postBatch({ names: [] })).status, 400);
+
+    const { status, body } = await postBatch({ names: ['pikachu', 42] });
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Every entry in "names" must be a non-empty string');
+});
+
+test('batch summary counts per-name failures and keeps each error in its result', async () => {
+    const { status, body } = await postBatch({ names: ['pikachu', 'eevee', 'missingno'] });
+    assert.equal(status, 200);
+
+    const { duration_ms, ...summary } = body.summary;
+    assert.equal(typeof duration_ms, 'number');
+    assert.deepEqual(summary, { requested: 3, unique: 3, duplicates_removed: 0, succeeded: 1, partial: 1, failed: 1 });
+
+    const [pikachu, eevee, missingno] = body.results;
+    assert.deepEqual(pikachu.status, { poke_api: 'success', stats_api: 'success', images_api: 'success' });
+    assert.deepEqual(eevee.status, { poke_api: 'success', stats_api: 'error', images_api: 'success' });
+    assert.equal(eevee.data.stats_error, 'Request failed with status code 500');
+    assert.deepEqual(missingno.status, { poke_api: 'error', stats_api: 'error', images_api: 'error' });
+    assert.equal(missingno.data.poke_api_error, 'Request failed with status code 404');
+});
+
+test('batch search takes include and fields from the body', async () => {
+    const { body } = await postBatch({ names: ['pikachu'], include: ['stats'], fields: 'stats.hp' });
+
+    assert.deepEqual(body.results[0].status, { poke_api: 'skipped', stats_api: 'success', images_api: 'skipped' });
+    assert.deepEqual(body.results[0].data, { stats: { hp: 35 } });
+    assert.equal(body.summary.succeeded, 1);
+});
+
+test('fields= projects nested paths and only queries the services it needs', async () => {
+    const { status, body } = await getJson('/poke/search?pokemon_name=pikachu&fields=id,stats.hp,stats.missing');
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.data, { id: 25, stats: { hp: 35 } });
+    assert.deepEqual(body.status, { poke_api: 'success', stats_api: 'success', images_api: 'skipped' });
+    assert.equal(calls.get('images/pikachu'), undefined);
+});
+
+test('fields= keeps the error keys of the services that failed', async () => {
+    const { body } = await getJson('/poke/search?pokemon_name=eevee&include=pokemon,stats&fields=id');
+    assert.deepEqual(body.data, { id: 133, stats_error: 'Request failed with status code 500' });
+});
+
+test('include= limits the services and rejects unknown values', async () => {
+    const { body } = await getJson('/poke/search?pokemon_name=pikachu&include=image');
+    assert.deepEqual(body.status, { poke_api: 'skipped', stats_api: 'skipped', images_api: 'success' });
+    assert.deepEqual(Object.keys(body.data), ['image']);
+
+    const invalid = await getJson('/poke/search?pokemon_name=pikachu&include=image,moves');
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.error, 'Invalid include value(s): moves. Allowed: pokemon, stats, image');
+
+    const missing = await getJson('/poke/search');
+    assert.equal(missing.status, 400);
+});
@@ -0,0 +1,110 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Dataset pequeño y conocido: los percentiles y el radar dependen de todo lo cargado
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stats-compare-'));
+process.env.STATS_CSV_PATH = path.join(tempDir, 'pokemon.csv');
+fs.writeFileSync(process.env.STATS_CSV_PATH, [
+    '#,Name,Type 1,Type 2,Total,HP,Attack,Defense,Sp. Atk,Sp. Def,Speed,Generation,Legendary',
+    '25,Pikachu,Electric,,320,35,55,40,50,50,90,1,False',
+    '7,Squirtle,Water,,314,44,48,65,50,64,43,1,False',
+    '6,Charizard,Fire,Flying,534,78,84,78,109,85,100,1,False',
+    '1,Bulbasaur,Grass,Poison,318,45,49,49,65,65,45,1,False',
+    '74,Geodude,Rock,Ground,300,40,80,100,30,30,20,1,False',
+    '143,Snorlax,Normal,,540,160,110,65,65,110,30,1,False'
+].join('\n'));
+process.env.STATS_STORE = 'memory';
+process.env.POKE_API_URL = 'http://127.0.0.1:9';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+let server;
+let baseUrl;
+
+before(async () => {
+    server = require('../services/stats-api').listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    for (let attempt = 0; attempt < 50; attempt++) {
+        const health = await fetch(`${baseUrl}/health`).then(res => res.json());
+        if (health.data_loaded) return;
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error('stats-api did not finish loading');
+});
+
+after(() => {
+    server.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+async function compare(query) {
+    const response = await fetch(`${baseUrl}/api/stats/compare?${query}`);
+    return { status: response.status, body: await response.json() };
+}
+
+test('each stat gets values, winners, deltas against the first name and dataset percentiles', async () => {
+    const { status, body } = await compare('names=Pikachu, squirtle,charizard&strict=true');
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.names, ['pikachu', 'squirtle', 'charizard']);
+    assert.equal(body.baseline, 'pikachu');
+    assert.deepEqual(body.pokemon.map(pokemon => pokemon.total), [320, 314, 534]);
+    assert.deepEqual(Object.keys(body.stats), ['hp', 'attack', 'defense', 'sp_attack', 'sp_defense', 'speed', 'total']);
+
+    assert.deepEqual(body.stats.speed, {
+        values: { pikachu: 90, squirtle: 43, charizard: 100 },
+        winners: ['charizard'],
+        deltas: { pikachu: 0, squirtle: -47, charizard: 10 },
+        // Porcentaje del dataset con un valor estrictamente menor
+        percentiles: { pikachu: 67, squirtle: 33, charizard: 83 }
+    });
+    assert.deepEqual(body.wins, { pikachu: 0, squirtle: 0, charizard: 7 });
+    assert.equal(body.radar, undefined);
+});
+
+test('ties give the win to every tied Pokemon', async () => {
+    const { body } = await compare('names=pikachu,squirtle&strict=true');
+
+    assert.deepEqual(body.stats.sp_attack.winners, ['pikachu', 'squirtle']);
+    assert.deepEqual(body.stats.sp_attack.deltas, { pikachu: 0, squirtle: 0 });
+    assert.deepEqual(body.wins, { pikachu: 4, squirtle: 4 });
+});
+
+test('radar=true scales every stat to the highest value in the dataset', async () => {
+    const { body } = await compare('names=pikachu,snorlax&radar=true&strict=true');
+
+    assert.deepEqual(body.radar.axes, ['hp', 'attack', 'defense', 'sp_attack', 'sp_defense', 'speed']);
+    assert.deepEqual(body.radar.max, { hp: 160, attack: 110, defense: 100, sp_attack: 109, sp_defense: 110, speed: 100 });
+    assert.deepEqual(body.radar.series, [
+        { name: 'pikachu', values: [0.219, 0.5, 0.4, 0.459, 0.455, 0.9] },
+        { name: 'snorlax', values: [1, 1, 0.65, 0.596, 1, 0.3] }
+    ]);
+});
+
+test('outside strict mode unknown names are compared with simulated stats; in strict mode they are a 404', async () => {
+    const relaxed = await compare('names=pikachu,missingno&strict=false');
+    assert.equal(relaxed.status, 200);
+    assert.equal(relaxed.body.pokemon[1].source, 'mock');
+    assert.equal(typeof relaxed.body.stats.hp.values.missingno, 'number');
+
+    const strict = await compare('names=pikachu,missingno&strict=true');
+    assert.equal(strict.status, 404);
+    assert.equal(strict.body.error, 'Pokemon not found');
+});
+
+test('fewer than two distinct names or more than six are rejected', async () => {
+    for (const [query, message] of [
+        ['', 'names must contain at least two different comma-separated Pokemon names'],
+        ['names=pikachu', 'names must contain at least two different comma-separated Pokemon names'],
+        ['names=pikachu,PIKACHU,%20', 'names must contain at least two different comma-separated Pokemon names'],
+        ['names=a,b,c,d,e,f,g', 'At most 6 Pokemon can be compared at once']
+    ]) {
+        const { status, body } = await compare(query);
+        assert.equal(status, 400, query);
+        assert.deepEqual(body, { error: 'Invalid comparison request', message });
+    }
+});
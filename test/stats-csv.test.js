@@ -0,0 +1,128 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// CSV de arranque con cabeceras inválidas: el servicio debe caer a los datos de ejemplo
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stats-csv-'));
+process.env.STATS_CSV_PATH = path.join(tempDir, 'pokemon.csv');
+fs.writeFileSync(process.env.STATS_CSV_PATH, 'Name,Color\npikachu,yellow\n');
+process.env.STATS_STORE = 'memory';
+process.env.CSV_MAX_UPLOAD_BYTES = '2048';
+process.env.POKE_API_URL = 'http://127.0.0.1:9';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const app = require('../services/stats-api');
+
+const HEADER = '#,Name,Type 1,Type 2,Total,HP,Attack,Defense,Sp. Atk,Sp. Def,Speed,Generation,Legendary';
+
+let server;
+let baseUrl;
+
+before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+async function getJson(pathname) {
+    const response = await fetch(`${baseUrl}${pathname}`);
+    return { status: response.status, body: await response.json() };
+}
+
+function uploadCsv(content, { mode } = {}) {
+    const form = new FormData();
+    form.append('file', new Blob([content], { type: 'text/csv' }), 'pokemon.csv');
+    if (mode) form.append('mode', mode);
+    return fetch(`${baseUrl}/api/stats/load-csv`, { method: 'POST', body: form })
+        .then(async response => ({ status: response.status, body: await response.json() }));
+}
+
+async function waitForData() {
+    for (let attempt = 0; attempt < 50; attempt++) {
+        const { body } = await getJson('/health');
+        if (body.data_loaded) return body;
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error('stats-api did not finish loading');
+}
+
+test('an invalid CSV at startup falls back to the sample data', async () => {
+    const health = await waitForData();
+    assert.equal(health.pokemon_count, 6);
+
+    const { status, body } = await getJson('/api/stats/mewtwo?strict=true');
+    assert.equal(status, 200);
+    assert.equal(body.name, 'mewtwo');
+});
+
+test('an upload reports rejected and duplicate rows and keeps the valid ones', async () => {
+    const { status, body } = await uploadCsv([
+        HEADER,
+        '25,Pikachu,Electric,,320,35,55,40,50,50,90,1,False',
+        '133,Eevee,Normal,,325,55,55,50,45,65,55,1,False',
+        '25,Pikachu,Electric,,320,35,55,40,50,50,90,1,False',
+        '999,Fakemon,Plastic,,300,50,50,50,50,50,50,1,False',
+        '6,Charizard,Fire,Flying,999,78,84,78,109,85,100,1,False',
+        '150,Mewtwo,Psychic,,680,106,110,90,154,90,130,1,Maybe',
+        '1,Bulbasaur,Grass,Poison,318,45,49,49,65,65,0,1,False'
+    ].join('\n'));
+
+    assert.equal(status, 200);
+    assert.equal(body.pokemon_count, 2);
+    assert.deepEqual(
+        { total: body.report.total_rows, accepted: body.report.accepted, rejected: body.report.rejected, duplicates: body.report.duplicates },
+        { total: 7, accepted: 2, rejected: 4, duplicates: 1 }
+    );
+    assert.deepEqual(body.report.duplicate_rows, [{ row: 4, name: 'pikachu', first_row: 2 }]);
+    assert.deepEqual(body.report.rejected_rows.map(row => [row.row, row.reason]), [
+        [5, "invalid type1: 'Plastic'"],
+        [6, "total mismatch: expected 534, got '999'"],
+        [7, "invalid legendary flag: 'Maybe'"],
+        [8, "invalid speed: '0'"]
+    ]);
+
+    const eevee = await getJson('/api/stats/eevee?strict=true');
+    assert.equal(eevee.status, 200);
+    assert.equal(eevee.body.total, 325);
+});
+
+test('append mode adds to the current data instead of replacing it', async () => {
+    const { status, body } = await uploadCsv([HEADER, '7,Squirtle,Water,,314,44,48,65,50,64,43,1,False'].join('\n'), { mode: 'append' });
+    assert.equal(status, 200);
+    assert.equal(body.report.mode, 'append');
+    assert.equal(body.pokemon_count, 3);
+});
+
+test('a CSV without the required columns is rejected without touching the data', async () => {
+    const { status, body } = await uploadCsv('Name,Type 1\npikachu,electric\n');
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Invalid CSV schema');
+    assert.match(body.message, /missing required columns: hp, attack/);
+
+    assert.equal((await getJson('/health')).body.pokemon_count, 3);
+});
+
+test('a CSV without valid rows returns 422', async () => {
+    const { status, body } = await uploadCsv([HEADER, '1,Bulbasaur,Grass,Poison,318,45,49,49,65,65,300,1,False'].join('\n'));
+    assert.equal(status, 422);
+    assert.equal(body.error, 'CSV contained no valid rows');
+    assert.equal(body.report.rejected, 1);
+});
+
+test('rejects an unknown mode and files over CSV_MAX_UPLOAD_BYTES', async () => {
+    const badMode = await uploadCsv([HEADER].join('\n'), { mode: 'merge' });
+    assert.equal(badMode.status, 400);
+    assert.equal(badMode.body.error, 'mode must be one of: replace, append');
+
+    const tooLarge = await uploadCsv(`${HEADER}\n${'x'.repeat(4096)}`);
+    assert.equal(tooLarge.status, 400);
+    assert.equal(tooLarge.body.error, 'Invalid CSV upload');
+    assert.match(tooLarge.body.message, /File too large/);
+});
@@ -0,0 +1,97 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { StatsDistribution, StatsIndex } = require('../utils/stats-distribution');
+
+const FIELDS = ['hp', 'speed'];
+
+function distributionOf(speeds) {
+    const distribution = new StatsDistribution(FIELDS);
+    speeds.forEach(speed => distribution.add({ speed }));
+    return distribution;
+}
+
+test('percentile counts the values strictly below and rank shares places on ties', () => {
+    const distribution = distributionOf([40, 20, 10, 20]);
+
+    assert.deepEqual(distribution.sorted.speed, [10, 20, 20, 40]);
+    assert.equal(distribution.percentile('speed', 20), 25);
+    assert.equal(distribution.percentile('speed', 5), 0);
+    assert.equal(distribution.percentile('speed', 100), 100);
+    assert.equal(distribution.rank('speed', 40), 1);
+    assert.equal(distribution.rank('speed', 20), 2);
+    assert.equal(distribution.rank('speed', 5), 5);
+
+    assert.equal(distribution.percentile('hp', 50), null);
+    assert.equal(distribution.rank('speed', undefined), null);
+});
+
+test('describe reports quartiles with interpolation, population stddev and a histogram', () => {
+    const stats = distributionOf([10, 20, 20, 40]).describe('speed', 3);
+
+    assert.deepEqual(stats, {
+        count: 4,
+        mean: 22.5,
+        median: 20,
+        stddev: 10.9,
+        min: 10,
+        max: 40,
+        q1: 17.5,
+        q3: 25,
+        histogram: [
+            { from: 10, to: 20, count: 1 },
+            { from: 20, to: 30, count: 2 },
+            { from: 30, to: 40, count: 1 }
+        ]
+    });
+
+    assert.deepEqual(distributionOf([]).describe('speed', 3), { count: 0 });
+    // Sin dispersión hay un único intervalo de anchura 1
+    assert.deepEqual(distributionOf([7, 7]).histogram('speed', 5), [{ from: 7, to: 8, count: 2 }]);
+});
+
+test('remove undoes add and ignores values that are not present', () => {
+    const distribution = distributionOf([10, 20, 30]);
+    distribution.remove({ speed: 20 });
+    distribution.remove({ speed: 25 });
+
+    assert.deepEqual(distribution.sorted.speed, [10, 30]);
+    assert.equal(distribution.describe('speed', 1).mean, 20);
+});
+
+test('StatsIndex replaces records on upsert and keeps the group distributions in step', () => {
+    const index = new StatsIndex(FIELDS);
+    index.upsert('pikachu', { hp: 35, speed: 90, generation: 1, type1: 'electric', legendary: false });
+    index.upsert('zapdos', { hp: 90, speed: 100, generation: 1, type1: 'electric', type2: 'flying', legendary: true });
+    index.upsert('pikachu', { hp: 35, speed: 95, generation: 1, type1: 'electric', legendary: false });
+
+    assert.equal(index.size, 2);
+    assert.equal(index.max('speed'), 100);
+    assert.equal(index.rank('speed', 95), 2);
+    assert.deepEqual(index.overall.sorted.speed, [95, 100]);
+
+    const byType = index.summary({ by: 'type', bins: 2 });
+    assert.deepEqual(Object.keys(byType.groups), ['electric', 'flying']);
+    assert.equal(byType.groups.electric.count, 2);
+    assert.equal(byType.groups.flying.stats.speed.max, 100);
+
+    assert.equal(index.delete('zapdos'), true);
+    assert.equal(index.delete('zapdos'), false);
+    assert.deepEqual(Object.keys(index.summary({ by: 'type' }).groups), ['electric']);
+    assert.deepEqual(Object.keys(index.summary({ by: 'legendary' }).groups), ['false']);
+});
+
+test('StatsIndex sorts generation groups numerically and rebuild starts from scratch', () => {
+    const index = new StatsIndex(FIELDS);
+    index.rebuild([
+        ['a', { hp: 10, generation: 10 }],
+        ['b', { hp: 20, generation: 2 }],
+        ['c', { hp: 30, generation: 1 }]
+    ]);
+    assert.deepEqual(Object.keys(index.summary({ by: 'generation' }).groups), ['1', '2', '10']);
+    assert.equal(index.percentile('hp', 30), 67);
+
+    index.rebuild([['d', { hp: 50 }]]);
+    assert.equal(index.size, 1);
+    assert.deepEqual(index.summary().stats.hp.histogram, [{ from: 50, to: 51, count: 1 }]);
+    assert.equal(index.summary().stats.speed.count, 0);
+});
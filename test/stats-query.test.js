@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseFilters, matchesFilters, parseSort, compareBy, rankBy } = require('../utils/stats-query');
+
+const FIELDS = ['name', 'hp', 'speed', 'total'];
+
+const rejects400 = (fn, pattern) => assert.throws(fn, error => error.status === 400 && pattern.test(error.message));
+
+test('parseFilters reads comparisons and ranges from a list or a repeated parameter', () => {
+    assert.deepEqual(parseFilters('speed>=100, total:500..600', FIELDS), [
+        { field: 'speed', op: '>=', value: 100 },
+        { field: 'total', op: '>=', value: 500 },
+        { field: 'total', op: '<=', value: 600 }
+    ]);
+    assert.deepEqual(parseFilters(['HP!=45', 'speed:..90.5'], FIELDS), [
+        { field: 'hp', op: '!=', value: 45 },
+        { field: 'speed', op: '<=', value: 90.5 }
+    ]);
+    assert.deepEqual(parseFilters(undefined, FIELDS), []);
+});
+
+test('parseFilters rejects unknown fields, empty ranges and bad expressions with a 400', () => {
+    rejects400(() => parseFilters('attack>10', FIELDS), /Unknown filter field: attack/);
+    rejects400(() => parseFilters('speed:..', FIELDS), /at least one bound/);
+    rejects400(() => parseFilters('speed=>10', FIELDS), /Invalid filter expression/);
+});
+
+test('matchesFilters requires every condition and a numeric value', () => {
+    const filters = parseFilters('speed>100,total:500..600', FIELDS);
+
+    assert.equal(matchesFilters({ speed: 130, total: 534 }, filters), true);
+    assert.equal(matchesFilters({ speed: 100, total: 534 }, filters), false);
+    assert.equal(matchesFilters({ speed: 130, total: 601 }, filters), false);
+    assert.equal(matchesFilters({ speed: 130 }, filters), false);
+    assert.equal(matchesFilters({}, []), true);
+});
+
+test('parseSort reads directions and rejects unknown fields', () => {
+    assert.deepEqual(parseSort('-speed,+name', FIELDS), [
+        { field: 'speed', direction: -1 },
+        { field: 'name', direction: 1 }
+    ]);
+    rejects400(() => parseSort('-weight', FIELDS), /Unknown sort field: weight/);
+});
+
+test('compareBy sorts by several keys and keeps missing values last in both directions', () => {
+    const items = [
+        { name: 'b', speed: 90 },
+        { name: 'c' },
+        { name: 'a', speed: 90 },
+        { name: 'd', speed: 120 }
+    ];
+
+    const descending = [...items].sort(compareBy(parseSort('-speed,name', FIELDS)));
+    assert.deepEqual(descending.map(item => item.name), ['d', 'a', 'b', 'c']);
+
+    const ascending = [...items].sort(compareBy(parseSort('speed,-name', FIELDS)));
+    assert.deepEqual(ascending.map(item => item.name), ['b', 'a', 'd', 'c']);
+});
+
+test('rankBy uses competition ranking, flags ties and skips records without the stat', () => {
+    const ranking = rankBy([
+        { name: 'eevee', speed: 55 },
+        { name: 'jolteon', speed: 130 },
+        { name: 'vaporeon', speed: 65 },
+        { name: 'flareon', speed: 65 },
+        { name: 'missingno' }
+    ], 'speed');
+
+    assert.deepEqual(ranking.map(({ rank, tied, item }) => [rank, tied, item.name]), [
+        [1, false, 'jolteon'],
+        [2, true, 'flareon'],
+        [2, true, 'vaporeon'],
+        [4, false, 'eevee']
+    ]);
+
+    assert.deepEqual(rankBy([{ name: 'a', hp: 1 }, { name: 'b', hp: 2 }], 'hp', 1).map(entry => entry.item.name), ['a', 'b']);
+});
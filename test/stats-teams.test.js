@@ -0,0 +1,137 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Dataset pequeño y conocido para que la cobertura, los roles y las sugerencias sean comprobables;
+// poke-api no responde, así que los desconocidos solo se resuelven con datos simulados
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stats-teams-'));
+process.env.STATS_CSV_PATH = path.join(tempDir, 'pokemon.csv');
+fs.writeFileSync(process.env.STATS_CSV_PATH, [
+    '#,Name,Type 1,Type 2,Total,HP,Attack,Defense,Sp. Atk,Sp. Def,Speed,Generation,Legendary',
+    '25,Pikachu,Electric,,320,35,55,40,50,50,90,1,False',
+    '7,Squirtle,Water,,314,44,48,65,50,64,43,1,False',
+    '6,Charizard,Fire,Flying,534,78,84,78,109,85,100,1,False',
+    '1,Bulbasaur,Grass,Poison,318,45,49,49,65,65,45,1,False',
+    '74,Geodude,Rock,Ground,300,40,80,100,30,30,20,1,False',
+    '143,Snorlax,Normal,,540,160,110,65,65,110,30,1,False'
+].join('\n'));
+process.env.STATS_STORE = 'memory';
+process.env.POKE_API_URL = 'http://127.0.0.1:9';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+let server;
+let baseUrl;
+
+before(async () => {
+    server = require('../services/stats-api').listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    for (let attempt = 0; attempt < 50; attempt++) {
+        const health = await fetch(`${baseUrl}/health`).then(res => res.json());
+        if (health.data_loaded) return;
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error('stats-api did not finish loading');
+});
+
+after(() => {
+    server.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+async function analyze(body, query = '?strict=true') {
+    const response = await fetch(`${baseUrl}/api/teams/analyze${query}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+test('a team gets its totals, roles and offensive coverage', async () => {
+    const { status, body } = await analyze({ pokemon: ['Squirtle', 'charizard', ' squirtle '] });
+
+    assert.equal(status, 200);
+    assert.equal(body.size, 2);
+    assert.deepEqual(body.team.map(member => [member.name, member.types, member.types_source, member.total, member.role]), [
+        ['squirtle', ['water'], 'stats', 314, 'support'],
+        ['charizard', ['fire', 'flying'], 'stats', 534, 'sweeper']
+    ]);
+    assert.equal(body.totals.total, 848);
+    assert.equal(body.totals.hp, 122);
+    assert.equal(body.averages.total, 424);
+    assert.equal(body.averages.speed, 71.5);
+
+    assert.deepEqual(body.roles, { sweeper: ['charizard'], tank: [], support: ['squirtle'] });
+    assert.deepEqual(body.missing_roles, ['tank']);
+    assert.deepEqual(body.coverage.by_type.grass, ['charizard']);
+    assert.deepEqual(body.coverage.by_type.rock, ['squirtle']);
+    assert.deepEqual(body.coverage.by_type.water, []);
+    assert.ok(body.coverage.uncovered.includes('water'));
+    assert.equal(body.coverage.super_effective.length + body.coverage.uncovered.length, 18);
+});
+
+test('shared weaknesses need two weak members and more weak than resistant ones', async () => {
+    const { body } = await analyze({ pokemon: ['squirtle', 'charizard'] });
+
+    const electric = body.defense.shared_weaknesses.find(weakness => weakness.type === 'electric');
+    assert.deepEqual(electric, { type: 'electric', weak: ['squirtle', 'charizard'], resisted_by: [] });
+    // Roca: Charizard la recibe x4, pero es el único miembro débil
+    assert.ok(!body.defense.shared_weaknesses.some(weakness => weakness.type === 'rock'));
+    assert.ok(body.defense.unresisted.includes('electric'));
+    assert.ok(!body.defense.unresisted.includes('fire'));
+});
+
+test('suggestions come from the dataset, skip the team and rank resisting a shared weakness first', async () => {
+    const { body } = await analyze({ pokemon: ['squirtle', 'charizard'] });
+
+    const names = body.suggestions.map(suggestion => suggestion.name);
+    assert.ok(!names.includes('squirtle') && !names.includes('charizard'));
+    assert.ok(body.suggestions.length <= 5);
+
+    const scores = body.suggestions.map(suggestion => suggestion.score);
+    assert.deepEqual(scores, [...scores].sort((a, b) => b - a));
+    body.suggestions.forEach(suggestion => {
+        const expected = suggestion.resists_shared_weaknesses.length * 2 + suggestion.covers_types.length + (suggestion.fills_role ? 1 : 0);
+        assert.equal(suggestion.score, expected, suggestion.name);
+    });
+
+    const resistElectric = body.suggestions
+        .filter(suggestion => suggestion.resists_shared_weaknesses.includes('electric'))
+        .map(suggestion => suggestion.name);
+    assert.deepEqual(resistElectric.sort(), ['bulbasaur', 'geodude', 'pikachu']);
+    const snorlax = body.suggestions.find(suggestion => suggestion.name === 'snorlax');
+    assert.ok(!snorlax || snorlax.resists_shared_weaknesses.length === 0);
+
+    assert.equal((await analyze({ pokemon: ['squirtle', 'charizard'], suggestions: 1 })).body.suggestions.length, 1);
+    assert.deepEqual((await analyze({ pokemon: ['squirtle', 'charizard'], suggestions: 0 })).body.suggestions, []);
+});
+
+test('outside strict mode unknown members are simulated; in strict mode they are a 404', async () => {
+    const relaxed = await analyze({ pokemon: ['pikachu', 'missingno'] }, '?strict=false');
+    assert.equal(relaxed.status, 200);
+    const missingno = relaxed.body.team.find(member => member.name === 'missingno');
+    assert.equal(missingno.stats_source, 'mock');
+    assert.equal(missingno.types_source, 'mock');
+
+    const strict = await analyze({ pokemon: ['pikachu', 'missingno'] });
+    assert.equal(strict.status, 404);
+    assert.equal(strict.body.error, 'Pokemon not found');
+});
+
+test('invalid teams are rejected', async () => {
+    for (const [body, message] of [
+        [{}, 'pokemon must be a non-empty array of Pokemon names'],
+        [{ pokemon: [] }, 'pokemon must be a non-empty array of Pokemon names'],
+        [{ pokemon: ['pikachu', ''] }, 'pokemon must only contain non-empty strings'],
+        [{ pokemon: ['a', 'b', 'c', 'd', 'e', 'f', 'g'] }, 'A team can have at most 6 Pokemon'],
+        [{ pokemon: ['pikachu'], suggestions: 21 }, 'suggestions must be an integer between 0 and 20']
+    ]) {
+        const response = await analyze(body);
+        assert.equal(response.status, 400);
+        assert.deepEqual(response.body, { error: 'Invalid team', message });
+    }
+});
@@ -0,0 +1,132 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// Almacén JSONL de una versión anterior: solo charizard tiene tipos, el resto se piden a poke-api
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stats-types-'));
+process.env.STATS_STORE = 'jsonl';
+process.env.STATS_STORE_PATH = path.join(tempDir, 'stats-store.jsonl');
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const record = (name, extra = {}) => ({
+    name, total: 600, hp: 100, attack: 100, defense: 100, sp_attack: 100, sp_defense: 100, speed: 100, generation: 1, legendary: false, ...extra
+});
+fs.writeFileSync(process.env.STATS_STORE_PATH, [
+    record('pikachu'),
+    record('ditto'),
+    record('eevee'),
+    record('charizard', { type1: 'fire', type2: 'flying' })
+].map(value => JSON.stringify({ op: 'set', key: value.name, value })).join('\n') + '\n');
+
+// poke-api falsa: pikachu existe, ditto no, eevee falla y charizard tiene otros tipos que no deben usarse
+const typeRequests = [];
+const pokeApi = http.createServer((req, res) => {
+    const name = req.url.split('/').pop();
+    typeRequests.push(name);
+    res.setHeader('Content-Type', 'application/json');
+    const bodies = {
+        pikachu: [200, { name, types: [{ slot: 1, name: 'electric' }] }],
+        charizard: [200, { name, types: [{ slot: 1, name: 'dragon' }] }],
+        eevee: [500, { error: 'Internal server error' }]
+    };
+    const [status, body] = bodies[name] || [404, { error: 'Pokemon not found' }];
+    res.statusCode = status;
+    res.end(JSON.stringify(body));
+});
+
+let server;
+let baseUrl;
+
+before(async () => {
+    pokeApi.listen(0);
+    await new Promise(resolve => pokeApi.once('listening', resolve));
+    process.env.POKE_API_URL = `http://127.0.0.1:${pokeApi.address().port}`;
+
+    server = require('../services/stats-api').listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+    pokeApi.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+    typeRequests.length = 0;
+});
+
+async function matchup(attacker, defender, strict = true) {
+    const response = await fetch(`${baseUrl}/api/matchup?attacker=${attacker}&defender=${defender}&strict=${strict}`);
+    return { status: response.status, body: await response.json() };
+}
+
+async function post(pathname, body) {
+    const response = await fetch(`${baseUrl}${pathname}?strict=true`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+test('records without types get them from poke-api; records with types keep their own', async () => {
+    const { status, body } = await matchup('pikachu', 'charizard');
+
+    assert.equal(status, 200);
+    assert.deepEqual([body.attacker.types, body.attacker.types_source], [['electric'], 'poke_api']);
+    assert.deepEqual([body.defender.types, body.defender.types_source], [['fire', 'flying'], 'stats']);
+    assert.deepEqual(typeRequests, ['pikachu']);
+});
+
+test('in strict mode a poke-api 404 is a 404 for that Pokemon', async () => {
+    const { status, body } = await matchup('ditto', 'charizard');
+    assert.equal(status, 404);
+    assert.deepEqual(body, { error: 'Pokemon not found', message: 'Pokemon ditto not found' });
+
+    const team = await post('/api/teams/analyze', { pokemon: ['charizard', 'ditto'] });
+    assert.equal(team.status, 404);
+    assert.equal(team.body.message, 'Pokemon ditto not found');
+});
+
+test('in strict mode other poke-api failures are a 502', async () => {
+    const { status, body } = await matchup('eevee', 'charizard');
+    assert.equal(status, 502);
+    assert.deepEqual(body, {
+        error: 'Upstream service unavailable',
+        service: 'poke-api',
+        message: 'Could not resolve types for eevee: Request failed with status code 500'
+    });
+
+    const battle = await post('/api/battle/simulate', {
+        attacker: { name: 'eevee' },
+        defender: { name: 'charizard' },
+        move: { power: 90, type: 'normal', category: 'physical' }
+    });
+    assert.equal(battle.status, 502);
+    assert.equal(battle.body.service, 'poke-api');
+});
+
+test('outside strict mode a poke-api failure falls back to simulated types', async () => {
+    const { status, body } = await matchup('eevee', 'ditto', false);
+    assert.equal(status, 200);
+    assert.equal(body.attacker.types_source, 'mock');
+    assert.equal(body.defender.types_source, 'mock');
+});
+
+test('in strict mode an unreachable poke-api is a 503', async () => {
+    const address = process.env.POKE_API_URL;
+    await new Promise(resolve => pokeApi.close(resolve));
+    try {
+        const { status, body } = await matchup('pikachu', 'charizard');
+        assert.equal(status, 503);
+        assert.match(body.message, /^Could not resolve types for pikachu: .*ECONNREFUSED/);
+    } finally {
+        pokeApi.listen(new URL(address).port);
+        await new Promise(resolve => pokeApi.once('listening', resolve));
+    }
+});
@@ -0,0 +1,143 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JsonLinesStore, MemoryStore, createStore } = require('../utils/storage');
+
+let dir;
+let filePath;
+const stores = [];
+
+function openStore(options = {}) {
+    const store = new JsonLinesStore({ filePath, ...options });
+    stores.push(store);
+    return store;
+}
+
+const readLines = () => fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stats-store-'));
+    filePath = path.join(dir, 'store.jsonl');
+});
+
+afterEach(() => {
+    stores.splice(0).forEach(store => store.unwatch());
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('concurrent appends and compactions from two stores keep every write', async () => {
+    const first = openStore();
+    const second = openStore();
+
+    await Promise.all(Array.from({ length: 40 }, (_, i) => [
+        first.set(`a${i}`, { i }),
+        second.set(`b${i}`, { i }),
+        i % 10 === 0 ? first.compact() : null,
+        i % 10 === 5 ? second.compact() : null
+    ]).flat());
+
+    const reader = openStore();
+    assert.equal(await reader.size(), 80);
+    assert.deepEqual(await reader.get('b39'), { i: 39 });
+    assert.equal(await first.size(), 80);
+    assert.ok(!fs.existsSync(`${filePath}.lock`));
+    assert.deepEqual(fs.readdirSync(dir), ['store.jsonl']);
+});
+
+test('a stale lock left by a crashed process is taken over', async () => {
+    const lockPath = `${filePath}.lock`;
+    fs.writeFileSync(lockPath, '99999');
+    const longAgo = new Date(Date.now() - 60 * 1000);
+    fs.utimesSync(lockPath, longAgo, longAgo);
+
+    const store = openStore();
+    await store.set('pikachu', { hp: 35 });
+
+    assert.deepEqual(readLines(), [{ op: 'set', key: 'pikachu', value: { hp: 35 } }]);
+    assert.ok(!fs.existsSync(lockPath));
+});
+
+test('a fresh lock makes writers wait until it is released', async () => {
+    const lockPath = `${filePath}.lock`;
+    fs.writeFileSync(lockPath, '99999');
+
+    const store = openStore();
+    let written = false;
+    const write = store.set('pikachu', { hp: 35 }).then(() => { written = true; });
+
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.equal(written, false);
+    assert.ok(!fs.existsSync(filePath));
+
+    fs.unlinkSync(lockPath);
+    await write;
+    assert.equal(await store.size(), 1);
+});
+
+test('a watching store reindexes when another writer changes the file', async () => {
+    const watcher = openStore({ pollIntervalMs: 20 });
+    const writer = openStore();
+    await watcher.set('pikachu', { hp: 35 });
+    await watcher.size();
+    watcher.watch();
+
+    const changed = new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('no change event')), 2000);
+        watcher.once('change', records => {
+            clearTimeout(timer);
+            resolve(records);
+        });
+    });
+    // El mtime de algunos sistemas de archivos tiene resolución de segundos
+    await new Promise(resolve => setTimeout(resolve, 50));
+    await writer.setMany([['eevee', { hp: 55 }]]);
+
+    const records = await changed;
+    assert.deepEqual(Array.from(records.keys()).sort(), ['eevee', 'pikachu']);
+    assert.deepEqual(await watcher.get('eevee'), { hp: 55 });
+});
+
+test('own writes do not emit change events', async () => {
+    const store = openStore();
+    await store.size();
+    let events = 0;
+    store.on('change', () => events++);
+
+    await store.set('pikachu', { hp: 35 });
+    await store.delete('pikachu');
+    await store.size();
+    assert.equal(events, 0);
+});
+
+test('compaction keeps only the last write per key', async () => {
+    const store = openStore();
+    await store.set('pikachu', { hp: 35 });
+    await store.set('eevee', { hp: 55 });
+    await store.set('pikachu', { hp: 40 });
+    await store.delete('eevee');
+    await store.set('mew', { hp: 100 });
+    assert.equal(readLines().length, 5);
+
+    await store.compact();
+
+    assert.deepEqual(readLines(), [
+        { op: 'set', key: 'pikachu', value: { hp: 40 } },
+        { op: 'set', key: 'mew', value: { hp: 100 } }
+    ]);
+    assert.deepEqual(await openStore().values(), [{ hp: 40 }, { hp: 100 }]);
+});
+
+test('an interrupted last line is ignored when loading', async () => {
+    fs.writeFileSync(filePath, '{"op":"set","key":"pikachu","value":{"hp":35}}\n{"op":"set","key":"ee');
+
+    const store = openStore();
+    assert.deepEqual(await store.values(), [{ hp: 35 }]);
+});
+
+test('createStore builds the configured store type', () => {
+    assert.ok(createStore() instanceof MemoryStore);
+    assert.ok(createStore('JSONL', { filePath }) instanceof JsonLinesStore);
+    assert.throws(() => createStore('redis'), /Unknown store type: redis. Available: memory, jsonl/);
+});
@@ -0,0 +1,84 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { NoopSpan, Span, Tracer, parseTraceparent } = require('../utils/tracing');
+
+const PARENT = '00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01';
+
+test('parseTraceparent accepts valid W3C headers only', () => {
+    assert.deepEqual(parseTraceparent(PARENT), {
+        traceId: '0af7651916cd43dd8448eb211c80319c',
+        spanId: 'b7ad6b7169203331',
+        flags: '01'
+    });
+    assert.equal(parseTraceparent('00-00000000000000000000000000000000-b7ad6b7169203331-01'), null);
+    assert.equal(parseTraceparent('garbage'), null);
+    assert.equal(parseTraceparent(undefined), null);
+});
+
+test('without an exporter no spans are created, only the incoming context is forwarded', () => {
+    const tracer = new Tracer();
+    tracer.exporter = 'none';
+
+    const root = tracer.startSpan('GET /', { parent: null });
+    assert.ok(root instanceof NoopSpan);
+    assert.equal(root.traceparent(), undefined);
+
+    const child = tracer.startSpan('GET /', { parent: parseTraceparent(PARENT) });
+    assert.equal(child.traceparent(), PARENT);
+    child.setAttributes({ a: 1 }).setError(new Error('x'));
+    child.end();
+    assert.equal(tracer.buffer.length, 0);
+});
+
+test('child spans keep the trace id and point at their parent', () => {
+    const tracer = new Tracer();
+    tracer.exporter = 'file';
+
+    const parent = tracer.startSpan('parent', { parent: null });
+    const child = tracer.startSpan('child', { parent });
+    assert.ok(child instanceof Span);
+    assert.equal(child.traceId, parent.traceId);
+    assert.equal(child.parentSpanId, parent.spanId);
+    assert.match(child.traceparent(), /^00-[0-9a-f]{32}-[0-9a-f]{16}-01$/);
+});
+
+test('the file exporter writes one OTLP request per flush', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'traces-'));
+    const tracer = new Tracer();
+    tracer.exporter = 'file';
+    tracer.setServiceName('TEST_API');
+    tracer.filePath = path.join(dir, 'traces.jsonl');
+
+    const span = tracer.startSpan('work', { parent: null, attributes: { count: 2 } });
+    span.end();
+    span.end();
+    await tracer.flush();
+
+    const lines = fs.readFileSync(tracer.filePath, 'utf8').trim().split('\n');
+    assert.equal(lines.length, 1);
+    const spans = JSON.parse(lines[0]).resourceSpans[0].scopeSpans[0].spans;
+    assert.equal(spans.length, 1);
+    assert.equal(spans[0].name, 'work');
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('export failures are reported through the service logger', async () => {
+    const errors = [];
+    const tracer = new Tracer();
+    tracer.exporter = 'file';
+    tracer.setServiceName('TEST_API', {
+        logApiError: (api, functionName, message, error) => errors.push({ api, functionName, message, error })
+    });
+    tracer.filePath = path.join(os.tmpdir(), 'missing-dir-for-traces', 'nested', 'traces.jsonl');
+
+    tracer.startSpan('work', { parent: null }).end();
+    await tracer.flush();
+
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].api, 'TEST_API');
+    assert.equal(errors[0].functionName, 'TRACE_EXPORT');
+    assert.match(errors[0].message, /Failed to export 1 spans/);
+});
@@ -0,0 +1,72 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    TYPES,
+    TYPE_CHART,
+    isValidType,
+    effectiveness,
+    bestEffectiveness,
+    defensiveProfile,
+    offensiveProfile
+} = require('../utils/type-chart');
+
+test('the chart covers the 18 types and only uses known multipliers', () => {
+    assert.equal(TYPES.length, 18);
+    assert.deepEqual(Object.keys(TYPE_CHART).sort(), [...TYPES].sort());
+
+    for (const [attackType, row] of Object.entries(TYPE_CHART)) {
+        for (const [defenderType, multiplier] of Object.entries(row)) {
+            assert.ok(isValidType(defenderType), `${attackType} -> ${defenderType}`);
+            assert.ok([0, 0.5, 2].includes(multiplier), `${attackType} -> ${defenderType}: ${multiplier}`);
+        }
+    }
+});
+
+test('isValidType only accepts lowercase type names', () => {
+    assert.equal(isValidType('fairy'), true);
+    assert.equal(isValidType('Fire'), false);
+    assert.equal(isValidType('shadow'), false);
+    assert.equal(isValidType(undefined), false);
+});
+
+test('effectiveness multiplies the multipliers of both defender types', () => {
+    assert.equal(effectiveness('water', ['fire']), 2);
+    assert.equal(effectiveness('normal', ['psychic']), 1);
+    assert.equal(effectiveness('ice', ['dragon', 'flying']), 4);
+    assert.equal(effectiveness('fire', ['water', 'dragon']), 0.25);
+    assert.equal(effectiveness('electric', ['water', 'ground']), 0);
+    assert.equal(effectiveness('dragon', ['fairy']), 0);
+    assert.equal(effectiveness('fighting', ['steel']), 2);
+});
+
+test('bestEffectiveness picks the best of the attacker types', () => {
+    assert.equal(bestEffectiveness(['normal', 'flying'], ['grass']), 2);
+    assert.equal(bestEffectiveness(['ground'], ['flying']), 0);
+    assert.equal(bestEffectiveness(['ground', 'rock'], ['flying', 'fire']), 4);
+});
+
+test('defensiveProfile sorts weaknesses and resistances and lists immunities', () => {
+    const profile = defensiveProfile(['dragon', 'ground']);
+
+    assert.equal(Object.keys(profile.multipliers).length, 18);
+    assert.deepEqual(profile.weaknesses[0], { type: 'ice', multiplier: 4 });
+    assert.deepEqual(profile.weaknesses.slice(1).map(entry => entry.type), ['dragon', 'fairy']);
+    assert.deepEqual(profile.resistances, [
+        { type: 'fire', multiplier: 0.5 },
+        { type: 'poison', multiplier: 0.5 },
+        { type: 'rock', multiplier: 0.5 }
+    ]);
+    assert.deepEqual(profile.immunities, ['electric']);
+});
+
+test('offensiveProfile classifies each defender type by the best attacker type', () => {
+    const profile = offensiveProfile(['ghost']);
+
+    assert.equal(profile.multipliers.psychic, 2);
+    assert.deepEqual(profile.super_effective, ['psychic', 'ghost']);
+    assert.deepEqual(profile.not_very_effective, ['dark']);
+    assert.deepEqual(profile.no_effect, ['normal']);
+
+    // Con dos tipos el normal deja de ser inmune: lo cubre el otro tipo
+    assert.deepEqual(offensiveProfile(['ghost', 'fighting']).no_effect, []);
+});
@@ -0,0 +1,183 @@
+// Fórmulas de combate (generación 5 en adelante): stats a un nivel dado con IVs, EVs y naturaleza,
+// tiradas de daño y una simulación por turnos reproducible con una semilla
+
+const BATTLE_STATS = ['hp', 'attack', 'defense', 'sp_attack', 'sp_defense', 'speed'];
+const MOVE_CATEGORIES = ['physical', 'special'];
+
+// Naturaleza -> [stat que sube un 10%, stat que baja un 10%]; null = neutra
+const NATURES = {
+    hardy: null, lonely: ['attack', 'defense'], brave: ['attack', 'speed'], adamant: ['attack', 'sp_attack'], naughty: ['attack', 'sp_defense'],
+    bold: ['defense', 'attack'], docile: null, relaxed: ['defense', 'speed'], impish: ['defense', 'sp_attack'], lax: ['defense', 'sp_defense'],
+    timid: ['speed', 'attack'], hasty: ['speed', 'defense'], serious: null, jolly: ['speed', 'sp_attack'], naive: ['speed', 'sp_defense'],
+    modest: ['sp_attack', 'attack'], mild: ['sp_attack', 'defense'], quiet: ['sp_attack', 'speed'], bashful: null, rash: ['sp_attack', 'sp_defense'],
+    calm: ['sp_defense', 'attack'], gentle: ['sp_defense', 'defense'], sassy: ['sp_defense', 'speed'], careful: ['sp_defense', 'sp_attack'], quirky: null
+};
+
+const MAX_IV = 31;
+const MAX_EV = 252;
+const MAX_TOTAL_EVS = 510;
+const STAB_MULTIPLIER = 1.5;
+const CRITICAL_MULTIPLIER = 1.5;
+const CRITICAL_CHANCE = 1 / 24;
+// Factor aleatorio del daño: 16 tiradas posibles, del 85% al 100%
+const DAMAGE_ROLLS = Array.from({ length: 16 }, (_, index) => 85 + index);
+
+function battleError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+function parseInteger(value, { min, max, label }) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) {
+        throw battleError(`${label} must be an integer between ${min} and ${max}`);
+    }
+    return number;
+}
+
+// Un número aplica a todas las stats; un objeto solo a las indicadas (el resto toma el valor por defecto)
+function parseSpread(value, { defaultValue, max, label }) {
+    if (value === undefined || value === null) {
+        return Object.fromEntries(BATTLE_STATS.map(stat => [stat, defaultValue]));
+    }
+    if (typeof value === 'number') {
+        const number = parseInteger(value, { min: 0, max, label });
+        return Object.fromEntries(BATTLE_STATS.map(stat => [stat, number]));
+    }
+    if (typeof value !== 'object' || Array.isArray(value)) {
+        throw battleError(`${label} must be a number or an object keyed by stat`);
+    }
+
+    const unknown = Object.keys(value).filter(stat => !BATTLE_STATS.includes(stat));
+    if (unknown.length > 0) {
+        throw battleError(`Unknown ${label} stat: ${unknown.join(', ')} (expected ${BATTLE_STATS.join(', ')})`);
+    }
+    return Object.fromEntries(BATTLE_STATS.map(stat => [
+        stat,
+        value[stat] === undefined ? defaultValue : parseInteger(value[stat], { min: 0, max, label: `${label}.${stat}` })
+    ]));
+}
+
+// { level, ivs, evs, nature } del body -> configuración validada con valores por defecto de combate competitivo
+function parseBuild(input = {}, label) {
+    const level = input.level === undefined ? 50 : parseInteger(input.level, { min: 1, max: 100, label: `${label}.level` });
+    const ivs = parseSpread(input.ivs, { defaultValue: MAX_IV, max: MAX_IV, label: `${label}.ivs` });
+    const evs = parseSpread(input.evs, { defaultValue: 0, max: MAX_EV, label: `${label}.evs` });
+
+    const totalEvs = BATTLE_STATS.reduce((sum, stat) => sum + evs[stat], 0);
+    if (totalEvs > MAX_TOTAL_EVS) {
+        throw battleError(`${label}.evs add up to ${totalEvs}; the maximum is ${MAX_TOTAL_EVS}`);
+    }
+
+    const nature = String(input.nature || 'hardy').toLowerCase();
+    if (!(nature in NATURES)) {
+        throw battleError(`Unknown ${label}.nature: ${nature} (expected ${Object.keys(NATURES).join(', ')})`);
+    }
+
+    return { level, ivs, evs, nature };
+}
+
+function natureMultiplier(nature, stat) {
+    const effect = NATURES[nature];
+    if (!effect) return 1;
+    if (effect[0] === stat) return 1.1;
+    if (effect[1] === stat) return 0.9;
+    return 1;
+}
+
+function calculateStats(baseStats, { level, ivs, evs, nature }) {
+    return Object.fromEntries(BATTLE_STATS.map(stat => {
+        const core = Math.floor(((2 * baseStats[stat] + ivs[stat] + Math.floor(evs[stat] / 4)) * level) / 100);
+        const value = stat === 'hp'
+            ? core + level + 10
+            : Math.floor((core + 5) * natureMultiplier(nature, stat));
+        return [stat, value];
+    }));
+}
+
+// Las 16 tiradas posibles, aplicando crítico, factor aleatorio, STAB y efectividad en ese orden
+function damageRolls({ level, power, attack, defense, stab, effectiveness, critical = false }) {
+    const base = Math.floor(Math.floor((Math.floor((2 * level) / 5 + 2) * power * attack) / defense) / 50) + 2;
+
+    return DAMAGE_ROLLS.map(roll => {
+        let damage = critical ? Math.floor(base * CRITICAL_MULTIPLIER) : base;
+        damage = Math.floor((damage * roll) / 100);
+        if (stab) damage = Math.floor(damage * STAB_MULTIPLIER);
+        damage = Math.floor(damage * effectiveness);
+        // Un ataque que afecta siempre hace al menos 1 de daño
+        return effectiveness > 0 ? Math.max(1, damage) : 0;
+    });
+}
+
+function summarizeDamage(rolls, defenderHp) {
+    const min = rolls[0];
+    const max = rolls[rolls.length - 1];
+    const percent = value => Math.round((value / defenderHp) * 1000) / 10;
+
+    return {
+        min,
+        max,
+        min_percent: percent(min),
+        max_percent: percent(max),
+        rolls,
+        hits_to_ko: max === 0 ? null : { best: Math.ceil(defenderHp / max), worst: Math.ceil(defenderHp / min) },
+        one_hit_ko_chance: rolls.filter(damage => damage >= defenderHp).length / rolls.length
+    };
+}
+
+// Quién mueve primero por velocidad; el empate se resuelve a cara o cruz con el generador
+function turnOrder(sides, random) {
+    const [first, second] = sides;
+    if (first.speed !== second.speed) {
+        return first.speed > second.speed ? [first, second] : [second, first];
+    }
+    return random() < 0.5 ? [first, second] : [second, first];
+}
+
+// sides: [{ key, hp, speed, attack: { normal: [rolls], critical: [rolls] } | null }]
+function simulateBattle(sides, random, { maxTurns = 50 } = {}) {
+    const hp = Object.fromEntries(sides.map(side => [side.key, side.hp]));
+    const turns = [];
+    let winner = null;
+
+    for (let turn = 1; turn <= maxTurns && !winner; turn++) {
+        for (const actor of turnOrder(sides, random)) {
+            const target = sides.find(side => side !== actor);
+            if (!actor.attack || hp[actor.key] <= 0) continue;
+
+            const critical = random() < CRITICAL_CHANCE;
+            const rolls = critical ? actor.attack.critical : actor.attack.normal;
+            const damage = rolls[Math.floor(random() * rolls.length)];
+            hp[target.key] = Math.max(0, hp[target.key] - damage);
+
+            turns.push({ turn, attacker: actor.key, damage, critical, target_hp: hp[target.key] });
+
+            if (hp[target.key] === 0) {
+                winner = actor.key;
+                break;
+            }
+        }
+
+        // Sin daño posible (inmunidades) la simulación no avanza
+        if (sides.every(side => !side.attack || side.attack.normal[0] === 0)) break;
+    }
+
+    return {
+        winner,
+        turns_taken: turns.length ? turns[turns.length - 1].turn : 0,
+        remaining_hp: hp,
+        turns
+    };
+}
+
+module.exports = {
+    BATTLE_STATS,
+    MOVE_CATEGORIES,
+    NATURES,
+    parseBuild,
+    calculateStats,
+    damageRolls,
+    summarizeDamage,
+    simulateBattle
+};
@@ -0,0 +1,278 @@
+// Caché LRU en memoria con límite de entradas y de bytes, TTL, stale-while-revalidate
+// y agrupación de cargas concurrentes de la misma clave
+
+const CACHE_STATUS = {
+    HIT: 'hit',
+    STALE: 'stale',
+    MISS: 'miss',
+    COALESCED: 'coalesced'
+};
+
+function defaultSizeOf(value) {
+    try {
+        return Buffer.byteLength(JSON.stringify(value) ?? '');
+    } catch (error) {
+        return 0;
+    }
+}
+
+class LruCache {
+    constructor({
+        maxEntries = 1000,
+        maxSizeBytes = 0,
+        ttlMs = 300000,
+        staleTtlMs = 0,
+        sizeOf = defaultSizeOf,
+        onBackgroundError = () => {}
+    } = {}) {
+        // 0 = sin límite
+        this.maxEntries = maxEntries;
+        this.maxSizeBytes = maxSizeBytes;
+        this.ttlMs = ttlMs;
+        this.staleTtlMs = staleTtlMs;
+        this.sizeOf = sizeOf;
+        this.onBackgroundError = onBackgroundError;
+
+        // El orden de inserción del Map es el orden LRU: la primera clave es la menos usada
+        this.entries = new Map();
+        this.inflight = new Map();
+        this.totalBytes = 0;
+        this.counters = {
+            hits: 0,
+            stale_hits: 0,
+            misses: 0,
+            coalesced: 0,
+            loads: 0,
+            load_errors: 0,
+            revalidations: 0,
+            revalidation_errors: 0,
+            evictions: 0,
+            expirations: 0
+        };
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    keys() {
+        return Array.from(this.entries.keys());
+    }
+
+    entryState(entry, now = Date.now()) {
+        if (now < entry.expiresAt) {
+            return CACHE_STATUS.HIT;
+        }
+        return now < entry.staleUntil ? CACHE_STATUS.STALE : null;
+    }
+
+    touch(key, entry) {
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+    }
+
+    removeEntry(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return false;
+        }
+        this.entries.delete(key);
+        this.totalBytes -= entry.size;
+        return true;
+    }
+
+    // Devuelve la entrada vigente (fresca o stale) sin contar hits ni alterar el orden LRU
+    peek(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return undefined;
+        }
+        const state = this.entryState(entry);
+        if (!state) {
+            this.removeEntry(key);
+            this.counters.expirations++;
+            return undefined;
+        }
+        return { ...entry, state };
+    }
+
+    get(key) {
+        const entry = this.peek(key);
+        if (!entry) {
+            return undefined;
+        }
+        this.recordHit(key);
+        return entry.value;
+    }
+
+    recordHit(key) {
+        const entry = this.entries.get(key);
+        entry.hits++;
+        this.touch(key, entry);
+    }
+
+    // Metadatos de una entrada para inspección (edad, TTL restante, hits...) sin contarla como uso
+    inspect(key) {
+        const entry = this.peek(key);
+        if (!entry) {
+            return undefined;
+        }
+        const now = Date.now();
+        return {
+            key,
+            state: entry.state === CACHE_STATUS.HIT ? 'fresh' : 'stale',
+            age_ms: now - entry.storedAt,
+            ttl_remaining_ms: Math.max(0, entry.expiresAt - now),
+            stale_remaining_ms: Math.max(0, entry.staleUntil - Math.max(now, entry.expiresAt)),
+            hits: entry.hits,
+            size_bytes: entry.size,
+            stored_at: new Date(entry.storedAt).toISOString(),
+            expires_at: new Date(entry.expiresAt).toISOString(),
+            revalidating: this.inflight.has(key),
+            value: entry.value
+        };
+    }
+
+    set(key, value, { ttlMs = this.ttlMs } = {}) {
+        const size = this.sizeOf(value);
+        this.removeEntry(key);
+
+        // Un valor mayor que todo el límite no se guarda (vaciaría la caché sin caber)
+        if (this.maxSizeBytes > 0 && size > this.maxSizeBytes) {
+            return false;
+        }
+
+        const now = Date.now();
+        this.entries.set(key, {
+            value,
+            size,
+            hits: 0,
+            storedAt: now,
+            expiresAt: now + ttlMs,
+            staleUntil: now + ttlMs + this.staleTtlMs
+        });
+        this.totalBytes += size;
+        this.evict();
+        return true;
+    }
+
+    evict() {
+        while (
+            (this.maxEntries > 0 && this.entries.size > this.maxEntries) ||
+            (this.maxSizeBytes > 0 && this.totalBytes > this.maxSizeBytes)
+        ) {
+            const oldestKey = this.entries.keys().next().value;
+            this.removeEntry(oldestKey);
+            this.counters.evictions++;
+        }
+    }
+
+    delete(key) {
+        return this.removeEntry(key);
+    }
+
+    // Borra las claves que cumplen el predicado y las devuelve
+    deleteWhere(predicate) {
+        const deleted = this.keys().filter(key => predicate(key));
+        deleted.forEach(key => this.removeEntry(key));
+        return deleted;
+    }
+
+    clear() {
+        const removed = this.entries.size;
+        this.entries.clear();
+        this.totalBytes = 0;
+        return removed;
+    }
+
+    // Elimina las entradas que ya no pueden servirse ni como stale; devuelve cuántas
+    prune() {
+        const now = Date.now();
+        let removed = 0;
+        for (const [key, entry] of this.entries) {
+            if (!this.entryState(entry, now)) {
+                this.removeEntry(key);
+                removed++;
+            }
+        }
+        this.counters.expirations += removed;
+        return removed;
+    }
+
+    // Una sola carga por clave: las peticiones concurrentes esperan la misma promesa
+    load(key, loader) {
+        if (this.inflight.has(key)) {
+            return this.inflight.get(key);
+        }
+
+        this.counters.loads++;
+        const promise = Promise.resolve()
+            .then(loader)
+            .then(value => {
+                this.set(key, value);
+                return value;
+            })
+            .finally(() => this.inflight.delete(key));
+
+        this.inflight.set(key, promise);
+        return promise;
+    }
+
+    // Devuelve { value, status }: hit (fresco), stale (se sirve y se revalida en segundo plano),
+    // coalesced (se unió a una carga en curso) o miss (cargado ahora)
+    async getOrLoad(key, loader) {
+        const entry = this.peek(key);
+
+        if (entry) {
+            this.recordHit(key);
+
+            if (entry.state === CACHE_STATUS.HIT) {
+                this.counters.hits++;
+                return { value: entry.value, status: CACHE_STATUS.HIT };
+            }
+
+            this.counters.stale_hits++;
+            if (!this.inflight.has(key)) {
+                this.counters.revalidations++;
+                this.load(key, loader).catch(error => {
+                    this.counters.revalidation_errors++;
+                    this.onBackgroundError(key, error);
+                });
+            }
+            return { value: entry.value, status: CACHE_STATUS.STALE };
+        }
+
+        if (this.inflight.has(key)) {
+            this.counters.coalesced++;
+            return { value: await this.inflight.get(key), status: CACHE_STATUS.COALESCED };
+        }
+
+        this.counters.misses++;
+        try {
+            return { value: await this.load(key, loader), status: CACHE_STATUS.MISS };
+        } catch (error) {
+            this.counters.load_errors++;
+            throw error;
+        }
+    }
+
+    stats() {
+        const lookups = this.counters.hits + this.counters.stale_hits + this.counters.misses + this.counters.coalesced;
+        return {
+            size: this.entries.size,
+            size_bytes: this.totalBytes,
+            max_entries: this.maxEntries || null,
+            max_size_bytes: this.maxSizeBytes || null,
+            ttl_ms: this.ttlMs,
+            stale_ttl_ms: this.staleTtlMs,
+            inflight: this.inflight.size,
+            ...this.counters,
+            hit_ratio: lookups ? Math.round(((this.counters.hits + this.counters.stale_hits) / lookups) * 10000) / 10000 : null
+        };
+    }
+}
+
+module.exports = {
+    CACHE_STATUS,
+    LruCache
+};
@@ -0,0 +1,22 @@
+// Ejecuta fn sobre cada elemento con como máximo `limit` promesas en vuelo.
+// Los resultados conservan el orden de entrada.
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    const worker = async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+
+    const workerCount = Math.max(1, Math.min(limit, items.length));
+    await Promise.all(Array.from({ length: workerCount }, worker));
+
+    return results;
+}
+
+module.exports = {
+    mapWithConcurrency
+};
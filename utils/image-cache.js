@@ -0,0 +1,330 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+// Caché en disco de imágenes remotas: <clave>.img con los bytes originales, <clave>.json con sus
+// metadatos y <clave>-<hash>-w<ancho>.<formato> para cada variante redimensionada o convertida.
+// Los anchos se redondean a unos pocos tamaños fijos. Los originales (con sus metadatos) ocupan como
+// mucho maxOriginalBytes y las variantes maxVariantBytes: al pasarse se borran los menos usados, y con
+// cada original sus variantes
+
+const OUTPUT_FORMATS = ['png', 'webp', 'jpeg', 'avif'];
+const VARIANT_WIDTHS = [64, 128, 256, 512, 1024];
+const ORIGINAL_FILE = /^([0-9a-f]{40})\.img$/;
+const VARIANT_FILE = /^[0-9a-f]{40}-[0-9a-f]{12}-w\d+\.[a-z]+$/;
+const CONTENT_TYPES = {
+    png: 'image/png',
+    webp: 'image/webp',
+    jpeg: 'image/jpeg',
+    avif: 'image/avif',
+    gif: 'image/gif'
+};
+
+const sha1 = value => crypto.createHash('sha1').update(value).digest('hex');
+
+// Bytes de un original en disco: la imagen más su <clave>.json
+const originalSize = meta => meta.size + Buffer.byteLength(JSON.stringify(meta));
+
+function formatFromContentType(contentType) {
+    const format = Object.keys(CONTENT_TYPES).find(key => CONTENT_TYPES[key] === String(contentType).split(';')[0].trim());
+    return OUTPUT_FORMATS.includes(format) ? format : 'png';
+}
+
+async function writeAtomic(filePath, data) {
+    const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await fs.promises.writeFile(tempPath, data);
+    await fs.promises.rename(tempPath, filePath);
+}
+
+class ImageDiskCache {
+    constructor({
+        dir,
+        ttlMs = 7 * 24 * 60 * 60 * 1000,
+        timeoutMs = 10000,
+        maxBytes = 10 * 1024 * 1024,
+        widths = VARIANT_WIDTHS,
+        maxOriginalBytes = 100 * 1024 * 1024,
+        maxVariantBytes = 200 * 1024 * 1024,
+        logger = null,
+        api = 'IMAGES_API'
+    }) {
+        this.dir = dir;
+        this.ttlMs = ttlMs;
+        this.timeoutMs = timeoutMs;
+        this.maxBytes = maxBytes;
+        this.widths = [...widths].sort((a, b) => a - b);
+        this.maxOriginalBytes = maxOriginalBytes;
+        this.maxVariantBytes = maxVariantBytes;
+        this.logger = logger;
+        this.api = api;
+        // Una sola descarga o conversión a la vez por archivo; las peticiones concurrentes esperan la misma
+        this.inflight = new Map();
+
+        fs.mkdirSync(dir, { recursive: true });
+        this.loadIndex();
+    }
+
+    // Índices LRU de los originales (clave -> bytes) y de las variantes (nombre -> bytes) en disco; el
+    // orden del Map es el de uso, empezando por el más antiguo. Al arrancar se toma la fecha de
+    // modificación del .img o de la variante, que se actualiza en cada uso
+    loadIndex() {
+        this.originals = new Map();
+        this.originalBytes = 0;
+        this.variants = new Map();
+        this.variantBytes = 0;
+
+        const fileSize = file => {
+            try {
+                return fs.statSync(path.join(this.dir, file)).size;
+            } catch (error) {
+                return 0;
+            }
+        };
+
+        fs.readdirSync(this.dir)
+            .filter(file => ORIGINAL_FILE.test(file) || VARIANT_FILE.test(file))
+            .map(file => ({ file, stats: fs.statSync(path.join(this.dir, file)) }))
+            .sort((a, b) => a.stats.mtimeMs - b.stats.mtimeMs)
+            .forEach(({ file, stats }) => {
+                const original = ORIGINAL_FILE.exec(file);
+                if (original) {
+                    this.trackOriginal(original[1], stats.size + fileSize(`${original[1]}.json`));
+                } else {
+                    this.trackVariant(file, stats.size);
+                }
+            });
+    }
+
+    trackOriginal(key, size) {
+        this.untrackOriginal(key);
+        this.originals.set(key, size);
+        this.originalBytes += size;
+    }
+
+    untrackOriginal(key) {
+        if (this.originals.has(key)) {
+            this.originalBytes -= this.originals.get(key);
+            this.originals.delete(key);
+        }
+    }
+
+    // Marca un original como recién usado (también en disco, para el orden tras reiniciar)
+    async touchOriginal(key, meta) {
+        this.trackOriginal(key, originalSize(meta));
+        const now = new Date();
+        await fs.promises.utimes(path.join(this.dir, `${key}.img`), now, now).catch(() => {});
+    }
+
+    // Como evictVariants, pero cada original se lleva su .json y sus variantes; nunca el último usado
+    async evictOriginals() {
+        while (this.originalBytes > this.maxOriginalBytes && this.originals.size > 1) {
+            const oldest = this.originals.keys().next().value;
+            this.untrackOriginal(oldest);
+            await Promise.all([`${oldest}.img`, `${oldest}.json`].map(file => fs.promises.unlink(path.join(this.dir, file)).catch(() => {})));
+            await this.removeVariants(oldest);
+
+            if (this.logger) {
+                this.logger.logApiCall(this.api, 'IMAGE_CACHE', `Original evicted: ${oldest}`, { original_bytes: this.originalBytes });
+            }
+        }
+    }
+
+    trackVariant(fileName, size) {
+        this.untrackVariant(fileName);
+        this.variants.set(fileName, size);
+        this.variantBytes += size;
+    }
+
+    untrackVariant(fileName) {
+        if (this.variants.has(fileName)) {
+            this.variantBytes -= this.variants.get(fileName);
+            this.variants.delete(fileName);
+        }
+    }
+
+    // Borra las variantes menos usadas hasta quedar por debajo del límite; nunca la última generada,
+    // que está a punto de servirse
+    async evictVariants() {
+        while (this.variantBytes > this.maxVariantBytes && this.variants.size > 1) {
+            const oldest = this.variants.keys().next().value;
+            this.untrackVariant(oldest);
+            await fs.promises.unlink(path.join(this.dir, oldest)).catch(() => {});
+
+            if (this.logger) {
+                this.logger.logApiCall(this.api, 'IMAGE_CACHE', `Variant evicted: ${oldest}`, { variant_bytes: this.variantBytes });
+            }
+        }
+    }
+
+    // Ancho fijo más pequeño que cubre el pedido (o el mayor de todos)
+    variantWidth(width) {
+        return this.widths.find(candidate => candidate >= width) ?? this.widths[this.widths.length - 1];
+    }
+
+    coalesce(key, task) {
+        if (!this.inflight.has(key)) {
+            this.inflight.set(key, task().finally(() => this.inflight.delete(key)));
+        }
+        return this.inflight.get(key);
+    }
+
+    entry(key, meta, status) {
+        return {
+            status,
+            filePath: path.join(this.dir, `${key}.img`),
+            contentType: meta.content_type,
+            size: meta.size,
+            etag: `"${meta.hash}"`,
+            lastModified: meta.last_modified
+        };
+    }
+
+    async readMeta(key) {
+        try {
+            return JSON.parse(await fs.promises.readFile(path.join(this.dir, `${key}.json`), 'utf8'));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Devuelve la imagen original: hit (fresca en disco), revalidated (304 del origen), miss (descargada)
+    // o stale (el origen falló y se sirve la copia caducada)
+    get(url) {
+        const key = sha1(url);
+
+        return this.coalesce(key, async () => {
+            const meta = await this.readMeta(key);
+            if (meta && Date.now() - meta.fetched_at < this.ttlMs) {
+                await this.touchOriginal(key, meta);
+                return this.entry(key, meta, 'hit');
+            }
+
+            try {
+                return await this.download(url, key, meta);
+            } catch (error) {
+                if (!meta || error.response?.status === 404) {
+                    throw error;
+                }
+                if (this.logger) {
+                    this.logger.logApiWarning(this.api, 'IMAGE_CACHE', `Upstream failed, serving stale image for ${url}`, {
+                        error: error.message,
+                        error_status: error.response?.status
+                    });
+                }
+                await this.touchOriginal(key, meta);
+                return this.entry(key, meta, 'stale');
+            }
+        });
+    }
+
+    // Descarga condicional: con una copia previa se envían If-None-Match/If-Modified-Since del origen
+    async download(url, key, previous) {
+        const headers = { 'User-Agent': 'Pokemon-Microservice/1.0' };
+        if (previous?.upstream_etag) headers['If-None-Match'] = previous.upstream_etag;
+        if (previous?.upstream_last_modified) headers['If-Modified-Since'] = previous.upstream_last_modified;
+
+        const response = await axios.get(url, {
+            responseType: 'arraybuffer',
+            timeout: this.timeoutMs,
+            maxContentLength: this.maxBytes,
+            headers,
+            validateStatus: status => status === 200 || (status === 304 && Boolean(previous))
+        });
+
+        if (response.status === 304) {
+            const meta = { ...previous, fetched_at: Date.now() };
+            await writeAtomic(path.join(this.dir, `${key}.json`), JSON.stringify(meta));
+            await this.touchOriginal(key, meta);
+            return this.entry(key, meta, 'revalidated');
+        }
+
+        const body = Buffer.from(response.data);
+        const now = new Date();
+        const meta = {
+            url,
+            content_type: response.headers['content-type'] || 'application/octet-stream',
+            size: body.length,
+            hash: sha1(body),
+            upstream_etag: response.headers.etag || null,
+            upstream_last_modified: response.headers['last-modified'] || null,
+            last_modified: response.headers['last-modified'] || now.toUTCString(),
+            fetched_at: now.getTime()
+        };
+
+        await writeAtomic(path.join(this.dir, `${key}.img`), body);
+        await writeAtomic(path.join(this.dir, `${key}.json`), JSON.stringify(meta));
+
+        if (previous && previous.hash !== meta.hash) {
+            await this.removeVariants(key);
+        }
+        this.trackOriginal(key, originalSize(meta));
+        await this.evictOriginals();
+
+        if (this.logger) {
+            this.logger.logApiCall(this.api, 'IMAGE_CACHE', `Image cached: ${url}`, { size: meta.size });
+        }
+        return this.entry(key, meta, 'miss');
+    }
+
+    // Variante redimensionada (sin ampliar) y/o en otro formato, generada una vez y guardada junto al original
+    variant(original, { width: requestedWidth = null, format = null }) {
+        const width = requestedWidth ? this.variantWidth(requestedWidth) : null;
+        const key = path.basename(original.filePath, '.img');
+        const outputFormat = format || formatFromContentType(original.contentType);
+        const hash = original.etag.replace(/"/g, '');
+        const fileName = `${key}-${hash.slice(0, 12)}-w${width || 0}.${outputFormat}`;
+        const filePath = path.join(this.dir, fileName);
+
+        // Una variante ya generada hereda el estado del original; una nueva es siempre miss
+        const variant = (stats, status) => ({
+            status,
+            filePath,
+            contentType: CONTENT_TYPES[outputFormat],
+            size: stats.size,
+            etag: `"${hash}-w${width || 0}.${outputFormat}"`,
+            lastModified: original.lastModified
+        });
+
+        return this.coalesce(fileName, async () => {
+            try {
+                const stats = await fs.promises.stat(filePath);
+                this.trackVariant(fileName, stats.size);
+                const now = new Date();
+                await fs.promises.utimes(filePath, now, now).catch(() => {});
+                return variant(stats, original.status);
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+                this.untrackVariant(fileName);
+            }
+
+            let pipeline = sharp(original.filePath);
+            if (width) {
+                pipeline = pipeline.resize({ width, withoutEnlargement: true });
+            }
+            await writeAtomic(filePath, await pipeline.toFormat(outputFormat).toBuffer());
+
+            const stats = await fs.promises.stat(filePath);
+            this.trackVariant(fileName, stats.size);
+            await this.evictVariants();
+            return variant(stats, 'miss');
+        });
+    }
+
+    async removeVariants(key) {
+        const files = await fs.promises.readdir(this.dir);
+        await Promise.all(files
+            .filter(file => file.startsWith(`${key}-`))
+            .map(file => {
+                this.untrackVariant(file);
+                return fs.promises.unlink(path.join(this.dir, file)).catch(() => {});
+            }));
+    }
+}
+
+module.exports = {
+    OUTPUT_FORMATS,
+    VARIANT_WIDTHS,
+    ImageDiskCache
+};
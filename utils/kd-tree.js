@@ -0,0 +1,128 @@
+// Árbol k-d para buscar los k vecinos más cercanos sin recorrer todo el dataset
+
+const DISTANCE_METRICS = ['euclidean', 'manhattan', 'cosine'];
+
+function euclidean(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) {
+        sum += (a[i] - b[i]) ** 2;
+    }
+    return Math.sqrt(sum);
+}
+
+function manhattan(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) {
+        sum += Math.abs(a[i] - b[i]);
+    }
+    return sum;
+}
+
+function unitVector(vector) {
+    const length = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return length === 0 ? vector.map(() => 0) : vector.map(value => value / length);
+}
+
+class KdTree {
+    // points: [{ vector: [n1, n2, ...], value }]
+    constructor(points, dimensions) {
+        this.dimensions = dimensions;
+        this.size = points.length;
+        this.root = this.build(points.slice(), 0);
+    }
+
+    build(points, depth) {
+        if (points.length === 0) {
+            return null;
+        }
+
+        const axis = depth % this.dimensions;
+        points.sort((a, b) => a.vector[axis] - b.vector[axis]);
+        const median = points.length >> 1;
+
+        return {
+            point: points[median],
+            axis,
+            left: this.build(points.slice(0, median), depth + 1),
+            right: this.build(points.slice(median + 1), depth + 1)
+        };
+    }
+
+    // La diferencia en un solo eje debe ser cota inferior de `distance` (vale para euclídea y manhattan):
+    // así se descarta la rama lejana cuando no puede mejorar el peor de los k actuales
+    nearest(target, k, { distance = euclidean, filter = () => true } = {}) {
+        const best = [];
+
+        const visit = node => {
+            if (!node) {
+                return;
+            }
+
+            if (filter(node.point.value)) {
+                const d = distance(target, node.point.vector);
+                if (best.length < k || d < best[best.length - 1].distance) {
+                    let index = best.length;
+                    while (index > 0 && best[index - 1].distance > d) {
+                        index--;
+                    }
+                    best.splice(index, 0, { value: node.point.value, distance: d });
+                    if (best.length > k) {
+                        best.pop();
+                    }
+                }
+            }
+
+            const diff = target[node.axis] - node.point.vector[node.axis];
+            const [near, far] = diff < 0 ? [node.left, node.right] : [node.right, node.left];
+
+            visit(near);
+            if (best.length < k || Math.abs(diff) < best[best.length - 1].distance) {
+                visit(far);
+            }
+        };
+
+        visit(this.root);
+        return best;
+    }
+}
+
+// Índice de vecinos para una métrica. Para coseno se indexan vectores unitarios: entre ellos
+// ||a - b||² = 2 (1 - cos), así que la distancia euclídea ordena igual y se convierte a 1 - cos
+class NeighborIndex {
+    constructor(points, metric = 'euclidean') {
+        if (!DISTANCE_METRICS.includes(metric)) {
+            throw new Error(`Unknown distance metric: ${metric} (expected ${DISTANCE_METRICS.join(', ')})`);
+        }
+
+        this.metric = metric;
+        this.dimensions = points.length > 0 ? points[0].vector.length : 0;
+        this.tree = new KdTree(
+            metric === 'cosine' ? points.map(point => ({ ...point, vector: unitVector(point.vector) })) : points,
+            this.dimensions
+        );
+    }
+
+    get size() {
+        return this.tree.size;
+    }
+
+    // [{ value, distance }] ordenados de más a menos cercano
+    nearest(target, k, { filter } = {}) {
+        if (this.metric === 'cosine') {
+            return this.tree
+                .nearest(unitVector(target), k, { distance: euclidean, filter })
+                .map(({ value, distance }) => ({ value, distance: (distance * distance) / 2 }));
+        }
+
+        return this.tree.nearest(target, k, {
+            distance: this.metric === 'manhattan' ? manhattan : euclidean,
+            filter
+        });
+    }
+}
+
+module.exports = {
+    DISTANCE_METRICS,
+    KdTree,
+    NeighborIndex
+};
@@ -1,60 +1,131 @@
 const winston = require('winston');
+const DailyRotateFile = require('winston-daily-rotate-file');
 const path = require('path');
+const { REQUEST_ID_HEADER, getRequestContext, runWithRequestContext, resolveRequestId } = require('./request-context');
+const { metrics, recordHttpRequest, routeLabel } = require('./metrics');
+const { TRACEPARENT_HEADER, tracer, parseTraceparent } = require('./tracing');
+
+// Añade el id de la petición y la traza en curso a cada línea de log
+const requestIdFormat = winston.format(info => {
+    const context = getRequestContext();
+    if (context?.requestId && info.request_id === undefined) {
+        info.request_id = context.requestId;
+    }
+    if (context?.span && tracer.enabled && info.trace_id === undefined) {
+        info.trace_id = context.span.traceId;
+    }
+    return info;
+});
+
+const LOGS_DIR = process.env.LOGS_DIR ? path.resolve(process.env.LOGS_DIR) : path.join(__dirname, '../logs');
+const LOG_FORMAT = (process.env.LOG_FORMAT || 'text').toLowerCase();
+const LOG_ROTATION = process.env.LOG_ROTATION !== 'false';
+const LOG_MAX_SIZE = process.env.LOG_MAX_SIZE || '20m';
+const LOG_MAX_FILES = process.env.LOG_MAX_FILES || '14d';
+const LOG_DATE_PATTERN = process.env.LOG_DATE_PATTERN || 'YYYY-MM-DD';
+
+// Campos estructurados de cada llamada (api, función, mensaje sin prefijo); al ser un Symbol
+// no aparecen en la metadata serializada
+const LOG_FIELDS = Symbol('logFields');
+
+// LOG_LEVEL_<MODULO> (p. ej. LOG_LEVEL_SEARCH_API) tiene prioridad sobre LOG_LEVEL
+function resolveLogLevel(moduleName) {
+    const level = (process.env[`LOG_LEVEL_${moduleName}`] || process.env.LOG_LEVEL || 'info').toLowerCase();
+    return winston.config.npm.levels[level] !== undefined ? level : 'info';
+}
+
+// Con rotación: <modulo>-<fecha>.log (se parte también al llegar a LOG_MAX_SIZE) y se borran los
+// archivos más antiguos que LOG_MAX_FILES; <modulo>.log queda como enlace al archivo actual.
+// Un <modulo>.log normal de versiones anteriores no se toca: el enlace no se crea hasta migrarlo
+// con `npm run logs -- migrate`
+function fileTransport(baseName, options = {}) {
+    if (!LOG_ROTATION) {
+        return new winston.transports.File({ filename: path.join(LOGS_DIR, `${baseName}.log`), ...options });
+    }
+
+    return new DailyRotateFile({
+        dirname: LOGS_DIR,
+        filename: `${baseName}-%DATE%.log`,
+        datePattern: LOG_DATE_PATTERN,
+        maxSize: LOG_MAX_SIZE,
+        maxFiles: LOG_MAX_FILES,
+        auditFile: path.join(LOGS_DIR, '.audit', `${baseName}.json`),
+        createSymlink: true,
+        symlinkName: `${baseName}.log`,
+        ...options
+    });
+}
 
 class StandardLogger {
     constructor(moduleName) {
         this.moduleName = moduleName;
+
+        const textLine = ({ timestamp, level, message, ...meta }) => {
+            return `${timestamp} [${this.moduleName}] ${level}: ${message} ${Object.keys(meta).length ? JSON.stringify(meta) : ''}`;
+        };
+
+        // Un objeto por línea: {timestamp, service, api, function, level, message, meta}
+        const jsonLine = info => {
+            const { timestamp, level, message, ...meta } = info;
+            const fields = info[LOG_FIELDS] || {};
+            return JSON.stringify({
+                timestamp,
+                service: this.moduleName,
+                api: fields.api || null,
+                function: fields.functionName || null,
+                level,
+                message: fields.message || message,
+                meta
+            });
+        };
+
+        const fileFormat = LOG_FORMAT === 'json'
+            ? winston.format.printf(jsonLine)
+            : winston.format.printf(info => textLine({ ...info, level: info.level.toUpperCase() }));
+
+        const consoleFormat = LOG_FORMAT === 'json'
+            ? winston.format.printf(jsonLine)
+            : winston.format.combine(winston.format.colorize(), winston.format.printf(textLine));
+
         this.logger = winston.createLogger({
-            level: 'info',
+            level: resolveLogLevel(moduleName),
             format: winston.format.combine(
                 winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss.SSS' }),
-                winston.format.errors({ stack: true }),
-                winston.format.json(),
-                winston.format.printf(({ timestamp, level, message, ...meta }) => {
-                    return `${timestamp} [${this.moduleName}] ${level.toUpperCase()}: ${message} ${Object.keys(meta).length ? JSON.stringify(meta) : ''}`;
-                })
+                requestIdFormat(),
+                winston.format.errors({ stack: true })
             ),
             transports: [
-                new winston.transports.File({ 
-                    filename: path.join(__dirname, '../logs', `${moduleName.toLowerCase()}-error.log`), 
-                    level: 'error' 
-                }),
-                new winston.transports.File({ 
-                    filename: path.join(__dirname, '../logs', `${moduleName.toLowerCase()}.log`) 
-                }),
-                new winston.transports.Console({
-                    format: winston.format.combine(
-                        winston.format.colorize(),
-                        winston.format.simple(),
-                        winston.format.printf(({ timestamp, level, message, ...meta }) => {
-                            return `${timestamp} [${this.moduleName}] ${level}: ${message} ${Object.keys(meta).length ? JSON.stringify(meta) : ''}`;
-                        })
-                    )
-                })
+                fileTransport(`${moduleName.toLowerCase()}-error`, { level: 'error', format: fileFormat }),
+                fileTransport(moduleName.toLowerCase(), { format: fileFormat }),
+                new winston.transports.Console({ format: consoleFormat })
             ]
         });
     }
 
+    // Mensaje de texto "[API][FUNCION] mensaje" más los campos estructurados para el formato json
+    logStructured(level, api, functionName, prefix, message, metadata) {
+        this.logger[level](`[${api}][${functionName}] ${prefix}${message}`, {
+            ...metadata,
+            [LOG_FIELDS]: { api, functionName, message }
+        });
+    }
+
     logApiCall(api, functionName, message, metadata = {}) {
-        const standardMessage = `[${api}][${functionName}] ${message}`;
-        this.logger.info(standardMessage, metadata);
+        this.logStructured('info', api, functionName, '', message, metadata);
     }
 
     logApiError(api, functionName, message, error = null, metadata = {}) {
-        const standardMessage = `[${api}][${functionName}] ERROR: ${message}`;
         const errorMetadata = error ? { ...metadata, error: error.message, stack: error.stack } : metadata;
-        this.logger.error(standardMessage, errorMetadata);
+        this.logStructured('error', api, functionName, 'ERROR: ', message, errorMetadata);
     }
 
     logApiWarning(api, functionName, message, metadata = {}) {
-        const standardMessage = `[${api}][${functionName}] WARNING: ${message}`;
-        this.logger.warn(standardMessage, metadata);
+        this.logStructured('warn', api, functionName, 'WARNING: ', message, metadata);
     }
 
     logLatency(api, functionName, startTime, endTime, additionalData = {}) {
         const latency = endTime - startTime;
-        const message = `[${api}][${functionName}] Latency: ${latency}ms`;
-        this.logger.info(message, { latency, startTime, endTime, ...additionalData });
+        this.logStructured('info', api, functionName, '', `Latency: ${latency}ms`, { latency, startTime, endTime, ...additionalData });
     }
 
     // Métodos básicos de Winston
@@ -76,15 +147,42 @@ class StandardLogger {
 }
 
 const latencyMiddleware = (logger, apiName) => {
+    metrics.setDefaultLabels({ service: apiName });
+    tracer.setServiceName(apiName, logger);
+
     return (req, res, next) => {
         const startTime = Date.now();
         const originalEnd = res.end;
+        // Span de servidor hijo del traceparent recibido (si lo hay): así la traza cruza los saltos HTTP
+        const span = tracer.startSpan(`${req.method} ${req.path}`, {
+            kind: 'server',
+            parent: parseTraceparent(req.get(TRACEPARENT_HEADER)),
+            attributes: {
+                'http.method': req.method,
+                'http.target': req.originalUrl,
+                'http.user_agent': req.get('User-Agent')
+            }
+        });
+        const context = { requestId: resolveRequestId(req), span };
+
+        req.requestId = context.requestId;
+        res.setHeader(REQUEST_ID_HEADER, context.requestId);
 
         res.end = function(...args) {
             const endTime = Date.now();
             const latency = endTime - startTime;
+
+            recordHttpRequest(metrics, req, res, latency);
+
+            const route = routeLabel(req, res);
+            span.name = `${req.method} ${route}`;
+            span.setAttributes({ 'http.route': route, 'http.status_code': res.statusCode, 'request.id': context.requestId });
+            if (res.statusCode >= 500) {
+                span.status = { code: 'error', message: `HTTP ${res.statusCode}` };
+            }
+            span.end();
             
-            logger.logApiCall(
+            runWithRequestContext(context, () => logger.logApiCall(
                 apiName, 
                 'REQUEST_COMPLETED', 
                 `${req.method} ${req.originalUrl} - ${res.statusCode}`,
@@ -96,44 +194,53 @@ const latencyMiddleware = (logger, apiName) => {
                     userAgent: req.get('User-Agent'),
                     ip: req.ip
                 }
-            );
+            ));
 
             originalEnd.apply(this, args);
         };
 
-        logger.logApiCall(
-            apiName, 
-            'REQUEST_STARTED', 
-            `${req.method} ${req.originalUrl}`,
-            {
-                method: req.method,
-                url: req.originalUrl,
-                userAgent: req.get('User-Agent'),
-                ip: req.ip
-            }
-        );
+        runWithRequestContext(context, () => {
+            logger.logApiCall(
+                apiName, 
+                'REQUEST_STARTED', 
+                `${req.method} ${req.originalUrl}`,
+                {
+                    method: req.method,
+                    url: req.originalUrl,
+                    userAgent: req.get('User-Agent'),
+                    ip: req.ip
+                }
+            );
 
-        next();
+            next();
+        });
     };
 };
 
 const measureExecutionTime = async (logger, api, functionName, asyncFunction, additionalData = {}) => {
     const startTime = Date.now();
-    logger.logApiCall(api, functionName, 'Execution started');
-    
-    try {
-        const result = await asyncFunction();
-        const endTime = Date.now();
-        logger.logLatency(api, functionName, startTime, endTime, additionalData);
-        return result;
-    } catch (error) {
-        const endTime = Date.now();
-        logger.logApiError(api, functionName, 'Execution failed', error, { 
-            executionTime: endTime - startTime,
-            ...additionalData 
-        });
-        throw error;
-    }
+    const span = tracer.startSpan(functionName, { attributes: { api, ...additionalData } });
+
+    return tracer.withSpan(span, async () => {
+        logger.logApiCall(api, functionName, 'Execution started');
+
+        try {
+            const result = await asyncFunction();
+            const endTime = Date.now();
+            logger.logLatency(api, functionName, startTime, endTime, additionalData);
+            return result;
+        } catch (error) {
+            const endTime = Date.now();
+            span.setError(error);
+            logger.logApiError(api, functionName, 'Execution failed', error, { 
+                executionTime: endTime - startTime,
+                ...additionalData 
+            });
+            throw error;
+        } finally {
+            span.end();
+        }
+    });
 };
 
 module.exports = {
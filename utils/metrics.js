@@ -0,0 +1,236 @@
+const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Buckets de latencia en ms (misma unidad que los logs y los resultados de JMeter)
+const DEFAULT_LATENCY_BUCKETS_MS = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000, 30000];
+const QUANTILES = [0.5, 0.9, 0.95, 0.99];
+
+function labelKey(labels) {
+    return JSON.stringify(Object.keys(labels).sort().map(key => [key, String(labels[key])]));
+}
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) {
+        return '';
+    }
+    return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+// Estima un cuantil interpolando linealmente dentro del bucket que lo contiene
+function estimateQuantile(quantile, buckets, cumulativeCounts, count) {
+    if (count === 0) {
+        return null;
+    }
+
+    const rank = quantile * count;
+    let previousBound = 0;
+    let previousCount = 0;
+
+    for (let i = 0; i < buckets.length; i++) {
+        if (cumulativeCounts[i] >= rank) {
+            const inBucket = cumulativeCounts[i] - previousCount;
+            const fraction = inBucket === 0 ? 0 : (rank - previousCount) / inBucket;
+            return Math.round((previousBound + (buckets[i] - previousBound) * fraction) * 100) / 100;
+        }
+        previousBound = buckets[i];
+        previousCount = cumulativeCounts[i];
+    }
+
+    // Por encima del último bucket solo sabemos que supera su límite
+    return buckets[buckets.length - 1];
+}
+
+class MetricsRegistry {
+    constructor() {
+        this.defaultLabels = {};
+        this.counters = new Map();
+        this.gauges = new Map();
+        this.histograms = new Map();
+        this.collectors = [];
+    }
+
+    // Etiquetas añadidas a todas las series (p. ej. service) para poder combinar snapshots
+    setDefaultLabels(labels) {
+        this.defaultLabels = { ...labels };
+    }
+
+    getFamily(store, name, help, extra = {}) {
+        if (!store.has(name)) {
+            store.set(name, { help, series: new Map(), ...extra });
+        }
+        return store.get(name);
+    }
+
+    incrementCounter(name, help, labels = {}, value = 1) {
+        const family = this.getFamily(this.counters, name, help);
+        const key = labelKey(labels);
+        const series = family.series.get(key) || { labels, value: 0 };
+        series.value += value;
+        family.series.set(key, series);
+    }
+
+    setGauge(name, help, labels = {}, value) {
+        const family = this.getFamily(this.gauges, name, help);
+        family.series.set(labelKey(labels), { labels, value });
+    }
+
+    observeHistogram(name, help, labels = {}, value, buckets = DEFAULT_LATENCY_BUCKETS_MS) {
+        const family = this.getFamily(this.histograms, name, help, { buckets });
+        const key = labelKey(labels);
+        let series = family.series.get(key);
+
+        if (!series) {
+            series = { labels, counts: new Array(family.buckets.length).fill(0), sum: 0, count: 0 };
+            family.series.set(key, series);
+        }
+
+        const index = family.buckets.findIndex(bound => value <= bound);
+        if (index !== -1) {
+            series.counts[index]++;
+        }
+        series.sum += value;
+        series.count++;
+    }
+
+    // Funciones que actualizan gauges justo antes de exportar (memoria, breakers...)
+    addCollector(collector) {
+        this.collectors.push(collector);
+    }
+
+    snapshot() {
+        this.collectors.forEach(collector => collector(this));
+        const withDefaults = labels => ({ ...this.defaultLabels, ...labels });
+
+        const counters = {};
+        for (const [name, family] of this.counters) {
+            counters[name] = { help: family.help, series: Array.from(family.series.values()).map(({ labels, value }) => ({ labels: withDefaults(labels), value })) };
+        }
+
+        const gauges = {};
+        for (const [name, family] of this.gauges) {
+            gauges[name] = { help: family.help, series: Array.from(family.series.values()).map(({ labels, value }) => ({ labels: withDefaults(labels), value })) };
+        }
+
+        const histograms = {};
+        for (const [name, family] of this.histograms) {
+            histograms[name] = {
+                help: family.help,
+                buckets: family.buckets,
+                series: Array.from(family.series.values()).map(({ labels, counts, sum, count }) => {
+                    const cumulative = [];
+                    counts.reduce((total, bucketCount, i) => (cumulative[i] = total + bucketCount), 0);
+
+                    const quantiles = {};
+                    QUANTILES.forEach(quantile => {
+                        quantiles[`p${quantile * 100}`] = estimateQuantile(quantile, family.buckets, cumulative, count);
+                    });
+
+                    return {
+                        labels: withDefaults(labels),
+                        buckets: cumulative,
+                        sum: Math.round(sum * 100) / 100,
+                        count,
+                        avg: count ? Math.round((sum / count) * 100) / 100 : null,
+                        quantiles
+                    };
+                })
+            };
+        }
+
+        return { counters, gauges, histograms, timestamp: new Date().toISOString() };
+    }
+}
+
+// Combina varios snapshots (p. ej. el gateway y sus microservicios) en un único texto Prometheus
+function renderPrometheus(snapshots) {
+    const families = new Map();
+
+    const addFamily = (type, name, family) => {
+        if (!families.has(name)) {
+            families.set(name, { type, help: family.help, buckets: family.buckets, series: [] });
+        }
+        families.get(name).series.push(...family.series);
+    };
+
+    snapshots.forEach(snapshot => {
+        Object.entries(snapshot.counters || {}).forEach(([name, family]) => addFamily('counter', name, family));
+        Object.entries(snapshot.gauges || {}).forEach(([name, family]) => addFamily('gauge', name, family));
+        Object.entries(snapshot.histograms || {}).forEach(([name, family]) => addFamily('histogram', name, family));
+    });
+
+    const lines = [];
+    for (const [name, family] of families) {
+        lines.push(`# HELP ${name} ${family.help}`);
+        lines.push(`# TYPE ${name} ${family.type}`);
+
+        family.series.forEach(series => {
+            if (family.type !== 'histogram') {
+                lines.push(`${name}${formatLabels(series.labels)} ${series.value}`);
+                return;
+            }
+
+            family.buckets.forEach((bound, i) => {
+                lines.push(`${name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.buckets[i]}`);
+            });
+            lines.push(`${name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+            lines.push(`${name}_sum${formatLabels(series.labels)} ${series.sum}`);
+            lines.push(`${name}_count${formatLabels(series.labels)} ${series.count}`);
+        });
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+// Ruta con la plantilla de Express (/api/stats/:pokemonName) para no crear una serie por URL
+function routeLabel(req, res) {
+    if (req.route) {
+        return `${req.baseUrl}${req.route.path}`;
+    }
+    return res.locals.metricsRoute || 'unmatched';
+}
+
+function recordHttpRequest(registry, req, res, latency) {
+    const labels = {
+        method: req.method,
+        route: routeLabel(req, res),
+        status: res.statusCode
+    };
+
+    registry.incrementCounter('http_requests_total', 'Total HTTP requests handled', labels);
+    if (res.statusCode >= 500) {
+        registry.incrementCounter('http_request_errors_total', 'HTTP requests that ended with a 5xx status', labels);
+    }
+    registry.observeHistogram('http_request_duration_ms', 'HTTP request latency in milliseconds', labels, latency);
+}
+
+// Registro único por proceso: cada servicio corre en su propio proceso
+const metrics = new MetricsRegistry();
+
+metrics.addCollector(registry => {
+    const memory = process.memoryUsage();
+    registry.setGauge('process_uptime_seconds', 'Process uptime in seconds', {}, Math.round(process.uptime()));
+    registry.setGauge('process_resident_memory_bytes', 'Resident memory size in bytes', {}, memory.rss);
+    registry.setGauge('process_heap_used_bytes', 'V8 heap used in bytes', {}, memory.heapUsed);
+});
+
+function sendMetrics(req, res, snapshots) {
+    if (req.query.format === 'json') {
+        return res.json(snapshots.length === 1 ? snapshots[0] : snapshots);
+    }
+    res.type(PROMETHEUS_CONTENT_TYPE).send(renderPrometheus(snapshots));
+}
+
+module.exports = {
+    PROMETHEUS_CONTENT_TYPE,
+    DEFAULT_LATENCY_BUCKETS_MS,
+    MetricsRegistry,
+    metrics,
+    recordHttpRequest,
+    routeLabel,
+    renderPrometheus,
+    sendMetrics
+};
@@ -0,0 +1,163 @@
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+
+// live: llama a PokeAPI; offline: solo fixtures locales; record: llama a PokeAPI y guarda cada respuesta como fixture
+const PROVIDER_MODES = ['live', 'offline', 'record'];
+
+const DEFAULT_BASE_URL = 'https://pokeapi.co/api/v2';
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '../data/pokeapi-fixtures');
+const SAFE_SEGMENT = /^[a-z0-9][a-z0-9-_.]*$/;
+
+function notFoundError(message) {
+    // Misma forma que un 404 de axios para que las rutas lo traten igual que en modo live
+    const error = new Error(message);
+    error.code = 'EFIXTURENOTFOUND';
+    error.response = { status: 404, data: { error: message } };
+    return error;
+}
+
+class PokeApiProvider {
+    constructor({
+        mode = 'live',
+        baseUrl = DEFAULT_BASE_URL,
+        fixturesDir = DEFAULT_FIXTURES_DIR,
+        timeoutMs = 10000,
+        logger = null,
+        api = 'POKE_API'
+    } = {}) {
+        if (!PROVIDER_MODES.includes(mode)) {
+            throw new Error(`Invalid PokeAPI mode: ${mode} (expected ${PROVIDER_MODES.join(', ')})`);
+        }
+        this.mode = mode;
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.fixturesDir = fixturesDir;
+        this.timeoutMs = timeoutMs;
+        this.logger = logger;
+        this.api = api;
+    }
+
+    // pokemon/pikachu -> <dir>/pokemon/pikachu.json; pokemon?limit=20&offset=0 -> <dir>/pokemon/index@limit=20&offset=0.json
+    fixturePath(resource, params = {}) {
+        const segments = resource.toLowerCase().split('/').filter(Boolean);
+        if (segments.length === 0 || !segments.every(segment => SAFE_SEGMENT.test(segment))) {
+            throw notFoundError(`Invalid PokeAPI resource: ${resource}`);
+        }
+
+        const query = Object.keys(params)
+            .sort()
+            .map(key => `${key}=${params[key]}`)
+            .join('&');
+
+        const isCollection = segments.length === 1;
+        const fileName = `${isCollection ? 'index' : segments.pop()}${query ? `@${query}` : ''}.json`;
+        if (!/^[a-z0-9-_.@=&]+$/.test(fileName)) {
+            throw notFoundError(`Invalid PokeAPI query for ${resource}`);
+        }
+
+        return path.join(this.fixturesDir, ...segments, fileName);
+    }
+
+    async get(resource, params = {}) {
+        if (this.mode === 'offline') {
+            return this.readFixture(resource, params);
+        }
+
+        const url = `${this.baseUrl}/${resource.split('/').map(encodeURIComponent).join('/')}`;
+        const response = await axios.get(url, {
+            params,
+            timeout: this.timeoutMs,
+            headers: {
+                'User-Agent': 'Pokemon-Microservice/1.0'
+            }
+        });
+
+        if (this.mode === 'record') {
+            await this.writeFixture(resource, params, response.data);
+        }
+
+        return response.data;
+    }
+
+    async readFixture(resource, params) {
+        const filePath = this.fixturePath(resource, params);
+
+        try {
+            return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+
+        // Sin fixture exacto, un listado (pokemon?limit=&offset=) se construye con los fixtures del recurso
+        if (!resource.includes('/')) {
+            return this.listFromFixtures(resource, params);
+        }
+
+        throw notFoundError(`Fixture not found for ${resource}`);
+    }
+
+    async listFromFixtures(resource, { limit = 20, offset = 0 } = {}) {
+        let files;
+        try {
+            files = await fs.promises.readdir(path.join(this.fixturesDir, resource));
+        } catch (error) {
+            throw notFoundError(`Fixture not found for ${resource}`);
+        }
+
+        const names = files
+            .filter(file => file.endsWith('.json') && !file.startsWith('index'))
+            .map(file => file.slice(0, -'.json'.length))
+            .filter(name => !/^\d+$/.test(name))
+            .sort();
+
+        const start = Math.max(0, parseInt(offset) || 0);
+        const end = start + Math.max(0, parseInt(limit) || 20);
+
+        return {
+            count: names.length,
+            next: null,
+            previous: null,
+            results: names.slice(start, end).map(name => ({ name, url: `${this.baseUrl}/${resource}/${name}/` }))
+        };
+    }
+
+    // Escritura atómica: un fixture a medio escribir nunca se sirve
+    async writeFixture(resource, params, data) {
+        const filePath = this.fixturePath(resource, params);
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+
+        try {
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.writeFile(tempPath, JSON.stringify(data, null, 2), 'utf8');
+            await fs.promises.rename(tempPath, filePath);
+
+            if (this.logger) {
+                this.logger.logApiCall(this.api, 'RECORD_FIXTURE', `Fixture recorded: ${path.relative(this.fixturesDir, filePath)}`, {
+                    resource
+                });
+            }
+        } catch (error) {
+            // Grabar es secundario: la respuesta en vivo se devuelve igualmente
+            if (this.logger) {
+                this.logger.logApiWarning(this.api, 'RECORD_FIXTURE', `Failed to record fixture for ${resource}`, {
+                    error: error.message
+                });
+            }
+        }
+    }
+
+    describe() {
+        return {
+            mode: this.mode,
+            base_url: this.mode === 'offline' ? null : this.baseUrl,
+            fixtures_dir: this.mode === 'live' ? null : this.fixturesDir
+        };
+    }
+}
+
+module.exports = {
+    PROVIDER_MODES,
+    PokeApiProvider
+};
@@ -0,0 +1,48 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+const REQUEST_ID_HEADER = 'x-request-id';
+const VALID_REQUEST_ID = /^[\w\-.:]{1,128}$/;
+
+// Contexto por petición: se propaga automáticamente a través de callbacks y promesas
+const requestContext = new AsyncLocalStorage();
+
+function getRequestContext() {
+    return requestContext.getStore();
+}
+
+function getRequestId() {
+    return getRequestContext()?.requestId;
+}
+
+function runWithRequestContext(context, fn) {
+    return requestContext.run(context, fn);
+}
+
+// Reutiliza el id recibido si es válido; si no, genera uno nuevo
+function resolveRequestId(req) {
+    const incoming = req.get(REQUEST_ID_HEADER);
+    return incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+}
+
+// Cabeceras a reenviar en las llamadas a otros servicios (id de petición y traceparent W3C del span activo)
+function propagationHeaders() {
+    const context = getRequestContext();
+    const headers = {};
+    if (context?.requestId) {
+        headers[REQUEST_ID_HEADER] = context.requestId;
+    }
+    if (context?.span) {
+        headers.traceparent = context.span.traceparent();
+    }
+    return headers;
+}
+
+module.exports = {
+    REQUEST_ID_HEADER,
+    getRequestContext,
+    getRequestId,
+    runWithRequestContext,
+    resolveRequestId,
+    propagationHeaders
+};
@@ -0,0 +1,270 @@
+const axios = require('axios');
+const { TRACEPARENT_HEADER, tracer } = require('./tracing');
+
+const BREAKER_STATES = {
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half_open'
+};
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const RETRYABLE_STATUS_CODES = [502, 503, 504];
+
+function readInt(name, defaultValue) {
+    const value = parseInt(process.env[name]);
+    return Number.isNaN(value) ? defaultValue : value;
+}
+
+const DEFAULT_OPTIONS = {
+    timeoutMs: readInt('UPSTREAM_TIMEOUT_MS', 5000),
+    failureThreshold: readInt('BREAKER_FAILURE_THRESHOLD', 5),
+    resetTimeoutMs: readInt('BREAKER_RESET_TIMEOUT_MS', 30000),
+    halfOpenMaxCalls: readInt('BREAKER_HALF_OPEN_MAX_CALLS', 1),
+    retries: readInt('RETRY_MAX_RETRIES', 2),
+    retryBaseDelayMs: readInt('RETRY_BASE_DELAY_MS', 100),
+    retryMaxDelayMs: readInt('RETRY_MAX_DELAY_MS', 1000)
+};
+
+// Un fallo del servicio es no obtener respuesta (red, timeout) o un 5xx; un 4xx es un servicio sano
+function isServiceFailure(error) {
+    if (error.code === 'ECIRCUITOPEN') {
+        return false;
+    }
+    return !error.response || error.response.status >= 500;
+}
+
+function isRetryable(error) {
+    if (error.code === 'ECIRCUITOPEN') {
+        return false;
+    }
+    return !error.response || RETRYABLE_STATUS_CODES.includes(error.response.status);
+}
+
+class CircuitBreaker {
+    constructor(name, options = {}, onStateChange = () => {}) {
+        this.name = name;
+        this.failureThreshold = options.failureThreshold ?? DEFAULT_OPTIONS.failureThreshold;
+        this.resetTimeoutMs = options.resetTimeoutMs ?? DEFAULT_OPTIONS.resetTimeoutMs;
+        this.halfOpenMaxCalls = options.halfOpenMaxCalls ?? DEFAULT_OPTIONS.halfOpenMaxCalls;
+        this.onStateChange = onStateChange;
+
+        this.state = BREAKER_STATES.CLOSED;
+        this.consecutiveFailures = 0;
+        this.openedAt = null;
+        this.halfOpenCalls = 0;
+        this.counters = { successes: 0, failures: 0, rejected: 0 };
+    }
+
+    transition(state) {
+        if (this.state === state) {
+            return;
+        }
+        const previous = this.state;
+        this.state = state;
+        this.onStateChange(this.name, previous, state, this);
+    }
+
+    // Comprueba si una llamada puede pasar; en open, pasado resetTimeoutMs se prueba en half_open
+    allowRequest() {
+        if (this.state === BREAKER_STATES.OPEN) {
+            if (Date.now() - this.openedAt < this.resetTimeoutMs) {
+                return false;
+            }
+            this.halfOpenCalls = 0;
+            this.transition(BREAKER_STATES.HALF_OPEN);
+        }
+
+        if (this.state === BREAKER_STATES.HALF_OPEN) {
+            if (this.halfOpenCalls >= this.halfOpenMaxCalls) {
+                return false;
+            }
+            this.halfOpenCalls++;
+        }
+
+        return true;
+    }
+
+    recordSuccess() {
+        this.counters.successes++;
+        this.consecutiveFailures = 0;
+        if (this.state !== BREAKER_STATES.CLOSED) {
+            this.openedAt = null;
+            this.transition(BREAKER_STATES.CLOSED);
+        }
+    }
+
+    recordFailure() {
+        this.counters.failures++;
+        this.consecutiveFailures++;
+
+        if (this.state === BREAKER_STATES.HALF_OPEN || this.consecutiveFailures >= this.failureThreshold) {
+            this.openedAt = Date.now();
+            this.transition(BREAKER_STATES.OPEN);
+        }
+    }
+
+    async execute(fn) {
+        if (!this.allowRequest()) {
+            this.counters.rejected++;
+            const error = new Error(`Circuit breaker open for ${this.name}`);
+            error.code = 'ECIRCUITOPEN';
+            error.retryAfterMs = Math.max(0, this.resetTimeoutMs - (Date.now() - this.openedAt));
+            throw error;
+        }
+
+        try {
+            const result = await fn();
+            this.recordSuccess();
+            return result;
+        } catch (error) {
+            if (isServiceFailure(error)) {
+                this.recordFailure();
+            } else {
+                this.recordSuccess();
+            }
+            throw error;
+        }
+    }
+
+    snapshot() {
+        return {
+            name: this.name,
+            state: this.state,
+            consecutive_failures: this.consecutiveFailures,
+            failure_threshold: this.failureThreshold,
+            opened_at: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+            next_attempt_at: this.state === BREAKER_STATES.OPEN
+                ? new Date(this.openedAt + this.resetTimeoutMs).toISOString()
+                : null,
+            successes: this.counters.successes,
+            failures: this.counters.failures,
+            rejected: this.counters.rejected
+        };
+    }
+}
+
+// Espera exponencial con "full jitter": aleatoria entre 0 y base * 2^intento (con tope)
+function retryDelay(attempt, baseDelayMs, maxDelayMs) {
+    const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+    return Math.floor(Math.random() * ceiling);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Cliente HTTP con un circuit breaker por servicio y reintentos para peticiones idempotentes
+class ResilientHttpClient {
+    constructor({ logger, api, ...options } = {}) {
+        this.logger = logger;
+        this.api = api;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.breakers = new Map();
+    }
+
+    getBreaker(serviceName) {
+        if (!this.breakers.has(serviceName)) {
+            this.breakers.set(serviceName, new CircuitBreaker(serviceName, this.options, (name, from, to) => {
+                if (this.logger) {
+                    this.logger.logApiWarning(this.api, 'CIRCUIT_BREAKER', `Circuit breaker for ${name} changed from ${from} to ${to}`, {
+                        service: name,
+                        from,
+                        to
+                    });
+                }
+            }));
+        }
+        return this.breakers.get(serviceName);
+    }
+
+    // timeoutMs es el plazo total de la petición, reintentos y esperas incluidos: cada intento
+    // recibe lo que queda (o config.timeout si es menor) y no se reintenta si ya no hay margen
+    async request(serviceName, config, overrides = {}) {
+        const options = { ...this.options, ...overrides };
+        const breaker = this.getBreaker(serviceName);
+        const method = (config.method || 'GET').toUpperCase();
+        const maxRetries = IDEMPOTENT_METHODS.includes(method) ? options.retries : 0;
+        const deadline = Date.now() + options.timeoutMs;
+
+        for (let attempt = 0; ; attempt++) {
+            const remainingMs = Math.max(1, deadline - Date.now());
+            // Un span de cliente por intento; el servicio destino cuelga su span de servidor de este
+            const span = tracer.startSpan(`${method} ${serviceName}`, {
+                kind: 'client',
+                attributes: { 'peer.service': serviceName, 'http.method': method, 'http.url': config.url, 'retry.attempt': attempt }
+            });
+            let delay;
+
+            try {
+                const response = await breaker.execute(() => axios({
+                    ...config,
+                    headers: { ...config.headers, [TRACEPARENT_HEADER]: span.traceparent() },
+                    timeout: Math.min(config.timeout ?? remainingMs, remainingMs)
+                }));
+                span.setAttributes({ 'http.status_code': response.status });
+                return response;
+            } catch (error) {
+                span.setAttributes({ 'http.status_code': error.response?.status });
+                span.setError(error);
+
+                delay = retryDelay(attempt, options.retryBaseDelayMs, options.retryMaxDelayMs);
+                if (attempt >= maxRetries || !isRetryable(error) || Date.now() + delay >= deadline) {
+                    error.attempts = attempt + 1;
+                    throw error;
+                }
+
+                if (this.logger) {
+                    this.logger.logApiWarning(this.api, 'RETRY_REQUEST', `Retrying request to ${serviceName}`, {
+                        service: serviceName,
+                        attempt: attempt + 1,
+                        delay_ms: delay,
+                        error: error.message,
+                        error_code: error.code,
+                        error_status: error.response?.status
+                    });
+                }
+            } finally {
+                span.end();
+            }
+
+            // La espera entre intentos no cuenta en el span del intento fallido
+            await sleep(delay);
+        }
+    }
+
+    get(serviceName, url, config = {}, overrides = {}) {
+        return this.request(serviceName, { ...config, method: 'GET', url }, overrides);
+    }
+
+    snapshot() {
+        const breakers = {};
+        for (const [name, breaker] of this.breakers) {
+            breakers[name.toLowerCase()] = breaker.snapshot();
+        }
+        return breakers;
+    }
+}
+
+const BREAKER_STATE_VALUES = {
+    [BREAKER_STATES.CLOSED]: 0,
+    [BREAKER_STATES.HALF_OPEN]: 1,
+    [BREAKER_STATES.OPEN]: 2
+};
+
+// Collector para MetricsRegistry: expone el estado de cada breaker del cliente como gauge
+function breakerMetricsCollector(client) {
+    return registry => {
+        for (const breaker of client.breakers.values()) {
+            const labels = { target: breaker.name };
+            registry.setGauge('circuit_breaker_state', 'Circuit breaker state (0=closed, 1=half_open, 2=open)', labels, BREAKER_STATE_VALUES[breaker.state]);
+            registry.setGauge('circuit_breaker_rejected_calls', 'Calls rejected while the breaker was open', labels, breaker.counters.rejected);
+        }
+    };
+}
+
+module.exports = {
+    BREAKER_STATES,
+    breakerMetricsCollector,
+    CircuitBreaker,
+    ResilientHttpClient,
+    isServiceFailure,
+    isRetryable
+};
@@ -0,0 +1,30 @@
+// Hash FNV-1a de 32 bits: mismo texto, mismo número en cualquier proceso
+function hashString(value) {
+    let hash = 0x811c9dc5;
+    const text = String(value);
+
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+
+    return hash >>> 0;
+}
+
+// Generador mulberry32: devuelve una función que produce números en [0, 1)
+function createSeededRandom(seed) {
+    let state = typeof seed === 'number' ? seed >>> 0 : hashString(seed);
+
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+module.exports = {
+    hashString,
+    createSeededRandom
+};
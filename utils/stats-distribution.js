@@ -0,0 +1,253 @@
+// Distribuciones precalculadas del dataset de stats: un array ordenado por stat que se mantiene
+// al insertar o reemplazar registros, así percentiles y rankings se resuelven con búsqueda binaria
+
+// Primer índice con valor >= value
+function lowerBound(sorted, value) {
+    let low = 0;
+    let high = sorted.length;
+    while (low < high) {
+        const mid = (low + high) >>> 1;
+        if (sorted[mid] < value) low = mid + 1;
+        else high = mid;
+    }
+    return low;
+}
+
+// Primer índice con valor > value
+function upperBound(sorted, value) {
+    let low = 0;
+    let high = sorted.length;
+    while (low < high) {
+        const mid = (low + high) >>> 1;
+        if (sorted[mid] <= value) low = mid + 1;
+        else high = mid;
+    }
+    return low;
+}
+
+// Cuantil con interpolación lineal entre los dos valores vecinos
+function quantile(sorted, q) {
+    const position = (sorted.length - 1) * q;
+    const base = Math.floor(position);
+    const next = sorted[base + 1];
+    return next === undefined ? sorted[base] : sorted[base] + (position - base) * (next - sorted[base]);
+}
+
+const round = value => Math.round(value * 100) / 100;
+
+class StatsDistribution {
+    constructor(fields) {
+        this.fields = fields;
+        this.count = 0;
+        this.sorted = {};
+        this.sums = {};
+        this.squares = {};
+        fields.forEach(field => {
+            this.sorted[field] = [];
+            this.sums[field] = 0;
+            this.squares[field] = 0;
+        });
+    }
+
+    add(record) {
+        this.count++;
+        this.fields.forEach(field => {
+            const value = record[field];
+            if (typeof value !== 'number') return;
+            const values = this.sorted[field];
+            values.splice(upperBound(values, value), 0, value);
+            this.sums[field] += value;
+            this.squares[field] += value * value;
+        });
+    }
+
+    remove(record) {
+        this.count--;
+        this.fields.forEach(field => {
+            const value = record[field];
+            if (typeof value !== 'number') return;
+            const values = this.sorted[field];
+            const index = lowerBound(values, value);
+            if (values[index] === value) {
+                values.splice(index, 1);
+                this.sums[field] -= value;
+                this.squares[field] -= value * value;
+            }
+        });
+    }
+
+    // Porcentaje de valores menores que `value` (el valor no tiene por qué estar en el dataset)
+    percentile(field, value) {
+        const values = this.sorted[field];
+        if (typeof value !== 'number' || values.length === 0) {
+            return null;
+        }
+        return Math.round((lowerBound(values, value) / values.length) * 100);
+    }
+
+    // 1 + número de valores mayores: los empates comparten puesto
+    rank(field, value) {
+        const values = this.sorted[field];
+        if (typeof value !== 'number') {
+            return null;
+        }
+        return values.length - upperBound(values, value) + 1;
+    }
+
+    describe(field, bins) {
+        const values = this.sorted[field];
+        const n = values.length;
+        if (n === 0) {
+            return { count: 0 };
+        }
+
+        const mean = this.sums[field] / n;
+        // Varianza poblacional; max(0) evita negativos por redondeo de coma flotante
+        const variance = Math.max(0, this.squares[field] / n - mean * mean);
+
+        return {
+            count: n,
+            mean: round(mean),
+            median: round(quantile(values, 0.5)),
+            stddev: round(Math.sqrt(variance)),
+            min: values[0],
+            max: values[n - 1],
+            q1: round(quantile(values, 0.25)),
+            q3: round(quantile(values, 0.75)),
+            histogram: this.histogram(field, bins)
+        };
+    }
+
+    // Intervalos de igual anchura entre el mínimo y el máximo; el último incluye el máximo
+    histogram(field, bins) {
+        const values = this.sorted[field];
+        const min = values[0];
+        const max = values[values.length - 1];
+        const width = (max - min) / bins || 1;
+
+        const result = [];
+        let start = 0;
+        for (let bin = 0; bin < bins; bin++) {
+            const from = min + bin * width;
+            const to = bin === bins - 1 ? max : min + (bin + 1) * width;
+            const end = bin === bins - 1 ? values.length : lowerBound(values, to);
+            result.push({ from: round(from), to: round(to), count: end - start });
+            start = end;
+            if (max === min) break;
+        }
+        return result;
+    }
+
+    summary(bins) {
+        return {
+            count: this.count,
+            stats: Object.fromEntries(this.fields.map(field => [field, this.describe(field, bins)]))
+        };
+    }
+}
+
+// Distribución global más una por generación, tipo y legendario; conserva cada registro por clave
+// para poder reemplazarlo (importación CSV en modo append) sin recalcular todo
+class StatsIndex {
+    constructor(fields) {
+        this.fields = fields;
+        this.clear();
+    }
+
+    clear() {
+        this.records = new Map();
+        this.overall = new StatsDistribution(this.fields);
+        this.groups = {
+            generation: new Map(),
+            type: new Map(),
+            legendary: new Map()
+        };
+    }
+
+    groupKeys(record) {
+        return {
+            generation: record.generation === undefined || record.generation === null ? [] : [String(record.generation)],
+            type: [...new Set([record.type1, record.type2].filter(Boolean))],
+            legendary: typeof record.legendary === 'boolean' ? [String(record.legendary)] : []
+        };
+    }
+
+    forEachDistribution(record, callback) {
+        callback(this.overall);
+        const keys = this.groupKeys(record);
+        Object.keys(this.groups).forEach(groupBy => {
+            keys[groupBy].forEach(key => {
+                const groups = this.groups[groupBy];
+                if (!groups.has(key)) {
+                    groups.set(key, new StatsDistribution(this.fields));
+                }
+                callback(groups.get(key));
+            });
+        });
+    }
+
+    upsert(key, record) {
+        this.delete(key);
+        this.records.set(key, record);
+        this.forEachDistribution(record, distribution => distribution.add(record));
+    }
+
+    delete(key) {
+        const previous = this.records.get(key);
+        if (!previous) {
+            return false;
+        }
+        this.records.delete(key);
+        this.forEachDistribution(previous, distribution => distribution.remove(previous));
+        Object.values(this.groups).forEach(groups => {
+            groups.forEach((distribution, groupKey) => {
+                if (distribution.count === 0) groups.delete(groupKey);
+            });
+        });
+        return true;
+    }
+
+    rebuild(entries) {
+        this.clear();
+        for (const [key, record] of entries) {
+            this.upsert(key, record);
+        }
+    }
+
+    get size() {
+        return this.records.size;
+    }
+
+    percentile(field, value) {
+        return this.overall.percentile(field, value);
+    }
+
+    rank(field, value) {
+        return this.overall.rank(field, value);
+    }
+
+    max(field) {
+        const values = this.overall.sorted[field];
+        return values[values.length - 1];
+    }
+
+    summary({ by = null, bins = 10 } = {}) {
+        const result = this.overall.summary(bins);
+        if (!by) {
+            return result;
+        }
+
+        const keys = Array.from(this.groups[by].keys())
+            .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+        return {
+            ...result,
+            by,
+            groups: Object.fromEntries(keys.map(key => [key, this.groups[by].get(key).summary(bins)]))
+        };
+    }
+}
+
+module.exports = {
+    StatsDistribution,
+    StatsIndex
+};
@@ -0,0 +1,131 @@
+// Lenguaje de consulta de /api/stats: filtros por rango ("speed>=100", "total:500..600"),
+// orden multi-clave ("-speed,name") y rankings con empates
+
+const NUMBER = '(-?\\d+(?:\\.\\d+)?)';
+const COMPARISON_PATTERN = new RegExp(`^([a-z0-9_]+)(>=|<=|!=|>|<|=)${NUMBER}$`);
+const RANGE_PATTERN = new RegExp(`^([a-z0-9_]+):${NUMBER}?\\.\\.${NUMBER}?$`);
+
+const COMPARATORS = {
+    '>=': (a, b) => a >= b,
+    '<=': (a, b) => a <= b,
+    '>': (a, b) => a > b,
+    '<': (a, b) => a < b,
+    '=': (a, b) => a === b,
+    '!=': (a, b) => a !== b
+};
+
+function queryError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+// Acepta "a,b" o el parámetro repetido (?filter=a&filter=b)
+function toList(value) {
+    return [].concat(value || [])
+        .flatMap(item => String(item).split(','))
+        .map(item => item.replace(/\s+/g, '').toLowerCase())
+        .filter(Boolean);
+}
+
+function checkField(field, fields, kind) {
+    if (!fields.includes(field)) {
+        throw queryError(`Unknown ${kind} field: ${field} (expected ${fields.join(', ')})`);
+    }
+}
+
+// "speed>=100,total:500..600" -> [{ field: 'speed', op: '>=', value: 100 }, { field: 'total', op: '>=', value: 500 }, ...]
+function parseFilters(value, fields) {
+    return toList(value).flatMap(expression => {
+        const range = expression.match(RANGE_PATTERN);
+        if (range) {
+            const [, field, min, max] = range;
+            checkField(field, fields, 'filter');
+            if (min === undefined && max === undefined) {
+                throw queryError(`Range filter needs at least one bound: ${expression}`);
+            }
+
+            const conditions = [];
+            if (min !== undefined) conditions.push({ field, op: '>=', value: Number(min) });
+            if (max !== undefined) conditions.push({ field, op: '<=', value: Number(max) });
+            return conditions;
+        }
+
+        const comparison = expression.match(COMPARISON_PATTERN);
+        if (!comparison) {
+            throw queryError(`Invalid filter expression: ${expression} (use stat>=value or stat:min..max)`);
+        }
+
+        const [, field, op, number] = comparison;
+        checkField(field, fields, 'filter');
+        return [{ field, op, value: Number(number) }];
+    });
+}
+
+// Un registro sin la stat (p. ej. un almacén antiguo) no cumple ningún filtro sobre ella
+function matchesFilters(item, filters) {
+    return filters.every(({ field, op, value }) =>
+        typeof item[field] === 'number' && COMPARATORS[op](item[field], value)
+    );
+}
+
+// "-speed,name" -> [{ field: 'speed', direction: -1 }, { field: 'name', direction: 1 }]
+function parseSort(value, fields) {
+    return toList(value).map(key => {
+        const direction = key.startsWith('-') ? -1 : 1;
+        const field = key.replace(/^[-+]/, '');
+        checkField(field, fields, 'sort');
+        return { field, direction };
+    });
+}
+
+// Los valores ausentes van siempre al final, sea cual sea la dirección
+function compareBy(sortKeys) {
+    return (a, b) => {
+        for (const { field, direction } of sortKeys) {
+            const left = a[field];
+            const right = b[field];
+            const leftMissing = left === undefined || left === null;
+            const rightMissing = right === undefined || right === null;
+
+            if (leftMissing || rightMissing) {
+                if (leftMissing !== rightMissing) {
+                    return leftMissing ? 1 : -1;
+                }
+                continue;
+            }
+
+            const order = typeof left === 'string' ? left.localeCompare(right) : left - right;
+            if (order !== 0) {
+                return order * direction;
+            }
+        }
+        return 0;
+    };
+}
+
+// Ranking de competición (1, 2, 2, 4): los empates comparten puesto y el siguiente salta;
+// los registros sin la stat quedan fuera
+function rankBy(items, field, direction = -1) {
+    const sorted = items
+        .filter(item => typeof item[field] === 'number')
+        .sort(compareBy([{ field, direction }, { field: 'name', direction: 1 }]));
+
+    let rank = 0;
+    return sorted.map((item, index) => {
+        if (index === 0 || item[field] !== sorted[index - 1][field]) {
+            rank = index + 1;
+        }
+        const tied = (index > 0 && sorted[index - 1][field] === item[field]) ||
+            (index < sorted.length - 1 && sorted[index + 1][field] === item[field]);
+        return { rank, tied, item };
+    });
+}
+
+module.exports = {
+    parseFilters,
+    matchesFilters,
+    parseSort,
+    compareBy,
+    rankBy
+};
@@ -0,0 +1,307 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+// Bloqueo entre procesos del almacén jsonl: reintentos, espera máxima y edad a partir de la cual
+// un lock se considera abandonado (proceso caído mientras lo tenía)
+const LOCK_RETRY_MS = 25;
+const LOCK_TIMEOUT_MS = 10000;
+const LOCK_STALE_MS = 30000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Almacén en memoria: comportamiento por defecto, se pierde al reiniciar
+class MemoryStore {
+    constructor() {
+        this.type = 'memory';
+        this.records = new Map();
+    }
+
+    async get(key) {
+        return this.records.get(key);
+    }
+
+    async has(key) {
+        return this.records.has(key);
+    }
+
+    async set(key, value) {
+        this.records.set(key, value);
+        return value;
+    }
+
+    async setMany(entries) {
+        for (const [key, value] of entries) {
+            this.records.set(key, value);
+        }
+    }
+
+    async delete(key) {
+        return this.records.delete(key);
+    }
+
+    async values() {
+        return Array.from(this.records.values());
+    }
+
+    async size() {
+        return this.records.size;
+    }
+
+    async clear() {
+        this.records.clear();
+    }
+
+    async replaceAll(entries) {
+        this.records = new Map(entries);
+    }
+}
+
+// Almacén en archivo JSON-lines: cada línea es una operación (set/delete) y la
+// última escritura gana. Si otro proceso modifica el archivo se recarga antes de leer,
+// así varias réplicas pueden compartir el mismo dataset a través de un volumen.
+// Las escrituras toman <archivo>.lock para que una compactación no pierda líneas de otra
+// réplica, y al recargar cambios ajenos se emite 'change' con los registros nuevos.
+class JsonLinesStore extends EventEmitter {
+    constructor({ filePath, pollIntervalMs = 2000 }) {
+        super();
+        this.type = 'jsonl';
+        this.filePath = filePath;
+        this.lockPath = `${filePath}.lock`;
+        this.pollIntervalMs = pollIntervalMs;
+        this.records = new Map();
+        this.signature = null;
+        this.synced = false;
+        this.lineCount = 0;
+        this.queue = Promise.resolve();
+
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    }
+
+    // Comprueba el archivo periódicamente para recoger escrituras de otras réplicas sin esperar
+    // a una lectura; no mantiene vivo el proceso
+    watch() {
+        fs.watchFile(this.filePath, { interval: this.pollIntervalMs, persistent: false }, () => {
+            this.sync().catch(error => this.emit('syncError', error));
+        });
+    }
+
+    unwatch() {
+        fs.unwatchFile(this.filePath);
+    }
+
+    async get(key) {
+        await this.sync();
+        return this.records.get(key);
+    }
+
+    async has(key) {
+        await this.sync();
+        return this.records.has(key);
+    }
+
+    async set(key, value) {
+        await this.append([{ op: 'set', key, value }]);
+        return value;
+    }
+
+    async setMany(entries) {
+        const operations = [];
+        for (const [key, value] of entries) {
+            operations.push({ op: 'set', key, value });
+        }
+        await this.append(operations);
+    }
+
+    async delete(key) {
+        await this.sync();
+        if (!this.records.has(key)) {
+            return false;
+        }
+        await this.append([{ op: 'delete', key }]);
+        return true;
+    }
+
+    async values() {
+        await this.sync();
+        return Array.from(this.records.values());
+    }
+
+    async size() {
+        await this.sync();
+        return this.records.size;
+    }
+
+    async clear() {
+        await this.replaceAll([]);
+    }
+
+    async replaceAll(entries) {
+        await this.enqueue(async () => {
+            this.records = new Map(entries);
+            await this.rewrite();
+        });
+    }
+
+    // Serializa las escrituras de este proceso (cola) y de todas las réplicas (lock en disco)
+    enqueue(task) {
+        const run = this.queue.then(() => this.withLock(task));
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    async withLock(task) {
+        const deadline = Date.now() + LOCK_TIMEOUT_MS;
+        let handle = null;
+
+        while (!handle) {
+            try {
+                handle = await fs.promises.open(this.lockPath, 'wx');
+            } catch (error) {
+                if (error.code !== 'EEXIST') {
+                    throw error;
+                }
+
+                const stats = await fs.promises.stat(this.lockPath).catch(() => null);
+                if (stats && Date.now() - stats.mtimeMs > LOCK_STALE_MS) {
+                    await fs.promises.unlink(this.lockPath).catch(() => {});
+                    continue;
+                }
+                if (Date.now() > deadline) {
+                    throw new Error(`Timed out waiting for store lock ${this.lockPath}`);
+                }
+                await sleep(LOCK_RETRY_MS);
+            }
+        }
+
+        try {
+            await handle.writeFile(String(process.pid));
+            return await task();
+        } finally {
+            await handle.close();
+            await fs.promises.unlink(this.lockPath).catch(() => {});
+        }
+    }
+
+    async append(operations) {
+        if (operations.length === 0) {
+            return;
+        }
+
+        await this.enqueue(async () => {
+            await this.sync();
+
+            const lines = operations.map(operation => JSON.stringify(operation)).join('\n') + '\n';
+            await fs.promises.appendFile(this.filePath, lines, 'utf8');
+
+            operations.forEach(operation => this.apply(operation));
+            this.lineCount += operations.length;
+            this.signature = await this.readSignature();
+            this.synced = true;
+        });
+    }
+
+    apply(operation) {
+        if (operation.op === 'set') {
+            this.records.set(operation.key, operation.value);
+        } else if (operation.op === 'delete') {
+            this.records.delete(operation.key);
+        }
+    }
+
+    async readSignature() {
+        try {
+            const stats = await fs.promises.stat(this.filePath);
+            return `${stats.mtimeMs}:${stats.size}`;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async sync() {
+        const signature = await this.readSignature();
+        if (signature === this.signature) {
+            return;
+        }
+
+        const records = new Map();
+        let lineCount = 0;
+
+        if (signature !== null) {
+            const content = await fs.promises.readFile(this.filePath, 'utf8');
+            for (const line of content.split('\n')) {
+                if (!line.trim()) {
+                    continue;
+                }
+                try {
+                    const operation = JSON.parse(line);
+                    if (operation.op === 'set') {
+                        records.set(operation.key, operation.value);
+                    } else if (operation.op === 'delete') {
+                        records.delete(operation.key);
+                    }
+                    lineCount++;
+                } catch (error) {
+                    // Línea incompleta (escritura interrumpida): se ignora
+                }
+            }
+        }
+
+        const changed = this.synced;
+        this.records = records;
+        this.lineCount = lineCount;
+        this.signature = signature;
+        this.synced = true;
+
+        // Solo cambios ajenos: las escrituras propias actualizan la firma y no llegan aquí
+        if (changed) {
+            this.emit('change', this.records);
+        }
+    }
+
+    // Reescribe el archivo con solo los registros vivos (escritura atómica vía rename).
+    // Debe llamarse con el lock tomado: otra réplica no puede añadir líneas entre la lectura y el rename
+    async rewrite() {
+        const tempPath = `${this.filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+        const lines = Array.from(this.records, ([key, value]) => JSON.stringify({ op: 'set', key, value }));
+
+        await fs.promises.writeFile(tempPath, lines.length ? lines.join('\n') + '\n' : '', 'utf8');
+        await fs.promises.rename(tempPath, this.filePath);
+
+        this.lineCount = lines.length;
+        this.signature = await this.readSignature();
+        this.synced = true;
+    }
+
+    async compact() {
+        await this.enqueue(async () => {
+            await this.sync();
+            if (this.lineCount > this.records.size) {
+                await this.rewrite();
+            }
+        });
+    }
+}
+
+const STORE_TYPES = {
+    memory: () => new MemoryStore(),
+    jsonl: options => new JsonLinesStore(options)
+};
+
+function createStore(type = 'memory', options = {}) {
+    const factory = STORE_TYPES[type.toLowerCase()];
+    if (!factory) {
+        throw new Error(`Unknown store type: ${type}. Available: ${Object.keys(STORE_TYPES).join(', ')}`);
+    }
+    return factory(options);
+}
+
+module.exports = {
+    MemoryStore,
+    JsonLinesStore,
+    createStore
+};
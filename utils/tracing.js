@@ -0,0 +1,249 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { getRequestContext, runWithRequestContext } = require('./request-context');
+
+const TRACEPARENT_HEADER = 'traceparent';
+const TRACEPARENT_PATTERN = /^00-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+
+// Valores de SpanKind y StatusCode de OTLP
+const SPAN_KINDS = { internal: 1, server: 2, client: 3 };
+const STATUS_CODES = { unset: 0, ok: 1, error: 2 };
+
+const TRACE_EXPORTER = (process.env.TRACE_EXPORTER || 'none').toLowerCase();
+const TRACE_FLUSH_INTERVAL_MS = parseInt(process.env.TRACE_FLUSH_INTERVAL_MS) || 5000;
+const TRACE_MAX_BATCH_SIZE = parseInt(process.env.TRACE_MAX_BATCH_SIZE) || 100;
+const OTLP_ENDPOINT = process.env.OTEL_EXPORTER_OTLP_ENDPOINT || 'http://localhost:4318';
+
+// Hora de pared en nanosegundos con la resolución de hrtime
+const epochOffsetNs = BigInt(Date.now()) * 1000000n - process.hrtime.bigint();
+const nowNs = () => epochOffsetNs + process.hrtime.bigint();
+
+function randomHex(bytes) {
+    return crypto.randomBytes(bytes).toString('hex');
+}
+
+function parseTraceparent(header) {
+    const match = TRACEPARENT_PATTERN.exec(String(header || '').trim().toLowerCase());
+    if (!match || /^0+$/.test(match[1]) || /^0+$/.test(match[2])) {
+        return null;
+    }
+    return { traceId: match[1], spanId: match[2], flags: match[3] };
+}
+
+function toOtlpAttributes(attributes) {
+    return Object.entries(attributes)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([key, value]) => {
+            if (typeof value === 'number') {
+                return { key, value: Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value } };
+            }
+            if (typeof value === 'boolean') {
+                return { key, value: { boolValue: value } };
+            }
+            return { key, value: { stringValue: typeof value === 'string' ? value : JSON.stringify(value) } };
+        });
+}
+
+class Span {
+    constructor(tracer, name, { kind = 'internal', parent = null, attributes = {} } = {}) {
+        this.tracer = tracer;
+        this.name = name;
+        this.kind = kind;
+        this.traceId = parent ? parent.traceId : randomHex(16);
+        this.spanId = randomHex(8);
+        this.parentSpanId = parent ? parent.spanId : null;
+        this.attributes = { ...attributes };
+        this.status = { code: 'unset', message: '' };
+        this.startTimeNs = nowNs();
+        this.endTimeNs = null;
+    }
+
+    setAttributes(attributes) {
+        Object.assign(this.attributes, attributes);
+        return this;
+    }
+
+    setError(error) {
+        this.status = { code: 'error', message: error.message };
+        this.attributes['exception.message'] = error.message;
+        return this;
+    }
+
+    // Cabecera W3C para propagar este span como padre en la siguiente llamada HTTP
+    traceparent() {
+        return `00-${this.traceId}-${this.spanId}-01`;
+    }
+
+    end() {
+        if (this.endTimeNs !== null) {
+            return;
+        }
+        this.endTimeNs = nowNs();
+        this.tracer.onSpanEnd(this);
+    }
+
+    toOtlp() {
+        const span = {
+            traceId: this.traceId,
+            spanId: this.spanId,
+            name: this.name,
+            kind: SPAN_KINDS[this.kind],
+            startTimeUnixNano: this.startTimeNs.toString(),
+            endTimeUnixNano: this.endTimeNs.toString(),
+            attributes: toOtlpAttributes(this.attributes),
+            status: { code: STATUS_CODES[this.status.code], message: this.status.message }
+        };
+        if (this.parentSpanId) {
+            span.parentSpanId = this.parentSpanId;
+        }
+        return span;
+    }
+}
+
+// Span inerte para cuando no hay exportador: no genera ids ni guarda atributos, solo reenvía
+// el traceparent recibido para no cortar la traza de los servicios que sí exportan
+class NoopSpan {
+    constructor(parent) {
+        this.traceId = parent ? parent.traceId : null;
+        this.spanId = parent ? parent.spanId : null;
+    }
+
+    setAttributes() {
+        return this;
+    }
+
+    setError() {
+        return this;
+    }
+
+    traceparent() {
+        return this.traceId ? `00-${this.traceId}-${this.spanId}-01` : undefined;
+    }
+
+    end() {}
+}
+
+// Exporta en formato OTLP/JSON: a un archivo JSON-lines (un ExportTraceServiceRequest por línea)
+// o por HTTP a un collector (OTEL_EXPORTER_OTLP_ENDPOINT/v1/traces)
+class Tracer {
+    constructor() {
+        this.serviceName = 'unknown';
+        this.exporter = TRACE_EXPORTER;
+        this.buffer = [];
+        this.timer = null;
+        this.logger = null;
+    }
+
+    setServiceName(serviceName, logger = null) {
+        this.serviceName = serviceName;
+        this.logger = logger;
+        this.filePath = process.env.TRACE_FILE_PATH
+            || path.join(__dirname, '../logs', `traces-${serviceName.toLowerCase()}.jsonl`);
+    }
+
+    get enabled() {
+        return this.exporter === 'file' || this.exporter === 'otlp';
+    }
+
+    currentSpan() {
+        return getRequestContext()?.span || null;
+    }
+
+    startSpan(name, options = {}) {
+        const parent = options.parent !== undefined ? options.parent : this.currentSpan();
+        if (!this.enabled) {
+            return new NoopSpan(parent);
+        }
+        return new Span(this, name, { ...options, parent });
+    }
+
+    // Ejecuta fn con `span` como span activo (los spans creados dentro serán sus hijos)
+    withSpan(span, fn) {
+        return runWithRequestContext({ ...getRequestContext(), span }, fn);
+    }
+
+    onSpanEnd(span) {
+        if (!this.enabled) {
+            return;
+        }
+
+        this.buffer.push(span.toOtlp());
+
+        if (this.buffer.length >= TRACE_MAX_BATCH_SIZE) {
+            this.flush();
+        } else if (!this.timer) {
+            this.timer = setTimeout(() => this.flush(), TRACE_FLUSH_INTERVAL_MS);
+            this.timer.unref();
+        }
+    }
+
+    buildPayload(spans) {
+        return {
+            resourceSpans: [{
+                resource: { attributes: toOtlpAttributes({ 'service.name': this.serviceName }) },
+                scopeSpans: [{
+                    scope: { name: 'pokemon-microservices', version: '1.0.0' },
+                    spans
+                }]
+            }]
+        };
+    }
+
+    takeBatch() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        const spans = this.buffer;
+        this.buffer = [];
+        return spans;
+    }
+
+    async flush() {
+        const spans = this.takeBatch();
+        if (spans.length === 0) {
+            return;
+        }
+
+        const payload = this.buildPayload(spans);
+
+        try {
+            if (this.exporter === 'file') {
+                await fs.promises.appendFile(this.filePath, JSON.stringify(payload) + '\n', 'utf8');
+            } else {
+                await axios.post(`${OTLP_ENDPOINT.replace(/\/$/, '')}/v1/traces`, payload, { timeout: 5000 });
+            }
+        } catch (error) {
+            // Perder trazas no debe afectar a las peticiones
+            if (this.logger) {
+                this.logger.logApiError(this.serviceName, 'TRACE_EXPORT', `Failed to export ${spans.length} spans`, error, {
+                    exporter: this.exporter,
+                    spans: spans.length
+                });
+            }
+        }
+    }
+
+    // Al salir solo se puede escribir de forma síncrona, así que únicamente el exportador a archivo vacía el buffer
+    flushSync() {
+        if (this.exporter !== 'file') {
+            return;
+        }
+        const spans = this.takeBatch();
+        if (spans.length > 0) {
+            fs.appendFileSync(this.filePath, JSON.stringify(this.buildPayload(spans)) + '\n', 'utf8');
+        }
+    }
+}
+
+const tracer = new Tracer();
+process.on('exit', () => tracer.flushSync());
+
+module.exports = {
+    TRACEPARENT_HEADER,
+    NoopSpan,
+    Span,
+    Tracer,
+    tracer,
+    parseTraceparent
+};
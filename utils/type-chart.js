@@ -0,0 +1,91 @@
+// Tabla de efectividad de tipos (generación 6 en adelante), incluida localmente para funcionar sin conexión
+
+const TYPES = [
+    'normal', 'fire', 'water', 'electric', 'grass', 'ice', 'fighting', 'poison', 'ground',
+    'flying', 'psychic', 'bug', 'rock', 'ghost', 'dragon', 'dark', 'steel', 'fairy'
+];
+
+// Tipo atacante -> { tipo defensor: multiplicador }; las combinaciones ausentes valen 1
+const TYPE_CHART = {
+    normal: { rock: 0.5, ghost: 0, steel: 0.5 },
+    fire: { fire: 0.5, water: 0.5, grass: 2, ice: 2, bug: 2, rock: 0.5, dragon: 0.5, steel: 2 },
+    water: { fire: 2, water: 0.5, grass: 0.5, ground: 2, rock: 2, dragon: 0.5 },
+    electric: { water: 2, electric: 0.5, grass: 0.5, ground: 0, flying: 2, dragon: 0.5 },
+    grass: { fire: 0.5, water: 2, grass: 0.5, poison: 0.5, ground: 2, flying: 0.5, bug: 0.5, rock: 2, dragon: 0.5, steel: 0.5 },
+    ice: { fire: 0.5, water: 0.5, grass: 2, ice: 0.5, ground: 2, flying: 2, dragon: 2, steel: 0.5 },
+    fighting: { normal: 2, ice: 2, poison: 0.5, flying: 0.5, psychic: 0.5, bug: 0.5, rock: 2, ghost: 0, dark: 2, steel: 2, fairy: 0.5 },
+    poison: { grass: 2, poison: 0.5, ground: 0.5, rock: 0.5, ghost: 0.5, steel: 0, fairy: 2 },
+    ground: { fire: 2, electric: 2, grass: 0.5, poison: 2, flying: 0, bug: 0.5, rock: 2, steel: 2 },
+    flying: { electric: 0.5, grass: 2, fighting: 2, bug: 2, rock: 0.5, steel: 0.5 },
+    psychic: { fighting: 2, poison: 2, psychic: 0.5, dark: 0, steel: 0.5 },
+    bug: { fire: 0.5, grass: 2, fighting: 0.5, poison: 0.5, flying: 0.5, psychic: 2, ghost: 0.5, dark: 2, steel: 0.5, fairy: 0.5 },
+    rock: { fire: 2, ice: 2, fighting: 0.5, ground: 0.5, flying: 2, bug: 2, steel: 0.5 },
+    ghost: { normal: 0, psychic: 2, ghost: 2, dark: 0.5 },
+    dragon: { dragon: 2, steel: 0.5, fairy: 0 },
+    dark: { fighting: 0.5, psychic: 2, ghost: 2, dark: 0.5, fairy: 0.5 },
+    steel: { fire: 0.5, water: 0.5, electric: 0.5, ice: 2, rock: 2, steel: 0.5, fairy: 2 },
+    fairy: { fire: 0.5, fighting: 2, poison: 0.5, dragon: 2, dark: 2, steel: 0.5 }
+};
+
+function isValidType(type) {
+    return TYPES.includes(type);
+}
+
+// Multiplicador de un ataque de `attackType` contra un Pokemon de uno o dos tipos (se multiplican)
+function effectiveness(attackType, defenderTypes) {
+    return defenderTypes.reduce((multiplier, defenderType) => {
+        const value = TYPE_CHART[attackType][defenderType];
+        return multiplier * (value === undefined ? 1 : value);
+    }, 1);
+}
+
+// Mejor multiplicador que consigue un Pokemon con movimientos de sus propios tipos
+function bestEffectiveness(attackerTypes, defenderTypes) {
+    return Math.max(...attackerTypes.map(attackType => effectiveness(attackType, defenderTypes)));
+}
+
+const byMultiplier = direction => (a, b) => direction * (a.multiplier - b.multiplier) || a.type.localeCompare(b.type);
+
+// Daño recibido de cada tipo atacante
+function defensiveProfile(types) {
+    const multipliers = {};
+    TYPES.forEach(attackType => {
+        multipliers[attackType] = effectiveness(attackType, types);
+    });
+
+    const entries = Object.entries(multipliers).map(([type, multiplier]) => ({ type, multiplier }));
+
+    return {
+        multipliers,
+        weaknesses: entries.filter(entry => entry.multiplier > 1).sort(byMultiplier(-1)),
+        resistances: entries.filter(entry => entry.multiplier > 0 && entry.multiplier < 1).sort(byMultiplier(1)),
+        immunities: entries.filter(entry => entry.multiplier === 0).map(entry => entry.type)
+    };
+}
+
+// Daño causado a cada tipo defensor usando el mejor de los tipos propios
+function offensiveProfile(types) {
+    const multipliers = {};
+    TYPES.forEach(defenderType => {
+        multipliers[defenderType] = bestEffectiveness(types, [defenderType]);
+    });
+
+    const typesWhere = predicate => Object.keys(multipliers).filter(type => predicate(multipliers[type]));
+
+    return {
+        multipliers,
+        super_effective: typesWhere(multiplier => multiplier > 1),
+        not_very_effective: typesWhere(multiplier => multiplier > 0 && multiplier < 1),
+        no_effect: typesWhere(multiplier => multiplier === 0)
+    };
+}
+
+module.exports = {
+    TYPES,
+    TYPE_CHART,
+    isValidType,
+    effectiveness,
+    bestEffectiveness,
+    defensiveProfile,
+    offensiveProfile
+};